@@ -15,6 +15,31 @@ const path = require('node:path');
 const fs = require('fs-extra');
 const { YamlXmlBuilder } = require('../tools/cli/lib/yaml-xml-builder');
 const { ManifestGenerator } = require('../tools/cli/installers/lib/core/manifest-generator');
+const { InstallationAuditor } = require('../tools/cli/installers/lib/core/installation-auditor');
+const { Installer } = require('../tools/cli/installers/lib/core/installer');
+const { InstallPlanner } = require('../tools/cli/installers/lib/core/install-planner');
+const { InstallTransaction } = require('../tools/cli/installers/lib/core/install-transaction');
+const { SnapshotManager } = require('../tools/cli/installers/lib/core/snapshot-manager');
+const { Manifest } = require('../tools/cli/installers/lib/core/manifest');
+const { AnswerFile } = require('../tools/cli/installers/lib/core/answer-file');
+const { ConfigCollector } = require('../tools/cli/installers/lib/core/config-collector');
+const { ConfigEditor } = require('../tools/cli/installers/lib/core/config-editor');
+const { ModuleManager } = require('../tools/cli/installers/lib/modules/manager');
+const { ExternalModuleManager } = require('../tools/cli/installers/lib/modules/external-manager');
+const { LegacyMigrator } = require('../tools/cli/installers/lib/core/legacy-migrator');
+const { ModuleEditor } = require('../tools/cli/installers/lib/core/module-editor');
+const { DependencyResolver } = require('../tools/cli/installers/lib/core/dependency-resolver');
+const { ConfigDrivenIdeSetup } = require('../tools/cli/installers/lib/ide/_config-driven');
+const { ModuleMirror } = require('../tools/cli/installers/lib/modules/module-mirror');
+const { ModuleVerifier } = require('../tools/cli/installers/lib/modules/module-verifier');
+const { Lockfile } = require('../tools/cli/installers/lib/core/lockfile');
+const { IdeConfigManager } = require('../tools/cli/installers/lib/core/ide-config-manager');
+const { FileMerger } = require('../tools/cli/installers/lib/core/file-merger');
+const { InstallProfiler } = require('../tools/cli/installers/lib/core/install-profiler');
+const { InstallLog, MAX_LOGS } = require('../tools/cli/installers/lib/core/install-log');
+const { Workspace, WORKSPACE_FILE } = require('../tools/cli/installers/lib/core/workspace');
+const { findBmadConfig } = require('../tools/cli/lib/agent/installer');
+const { mapLimit } = require('../tools/cli/lib/parallel');
 
 // ANSI colors
 const colors = {
@@ -186,6 +211,1959 @@ async function runTests() {
 
   console.log('');
 
+  // ============================================================
+  // Test 6: Installation Audit
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 6: Installation Audit${colors.reset}\n`);
+
+  const auditProjectDir = path.join(__dirname, 'temp-audit-project');
+
+  try {
+    const bmadDir = path.join(auditProjectDir, '_bmad');
+    const auditor = new InstallationAuditor();
+
+    await fs.outputFile(path.join(bmadDir, 'bmm/workflows/plan/workflow.md'), 'original\n');
+    await fs.outputFile(path.join(bmadDir, 'bmm/tasks/review.xml'), '<task/>\n');
+    await fs.outputFile(path.join(bmadDir, 'core/tasks/help.md'), 'help\n');
+    await fs.outputFile(path.join(bmadDir, 'bmm/config.yaml'), 'user_name: Test\n');
+
+    const manifestFiles = [];
+    for (const relPath of ['bmm/workflows/plan/workflow.md', 'bmm/tasks/review.xml', 'core/tasks/help.md', 'bmm/config.yaml']) {
+      manifestFiles.push({
+        module: relPath.split('/')[0],
+        path: relPath,
+        hash: await auditor.manifest.calculateFileHash(path.join(bmadDir, relPath)),
+      });
+    }
+
+    const cleanReport = await auditor.audit(auditProjectDir, bmadDir, manifestFiles);
+    assert(cleanReport.healthy && cleanReport.summary.checked === 4, 'Untouched installation audits as healthy');
+
+    await fs.appendFile(path.join(bmadDir, 'bmm/workflows/plan/workflow.md'), 'edited\n');
+    await fs.appendFile(path.join(bmadDir, 'bmm/config.yaml'), 'communication_language: French\n');
+    await fs.remove(path.join(bmadDir, 'core/tasks/help.md'));
+    await fs.outputFile(path.join(bmadDir, 'bmm/notes.md'), 'mine\n');
+
+    const report = await auditor.audit(auditProjectDir, bmadDir, manifestFiles);
+
+    assert(!report.healthy, 'Drifted installation is reported as unhealthy');
+    assert(
+      report.modules.bmm.modified.length === 1 && report.modules.bmm.modified[0] === 'bmm/workflows/plan/workflow.md',
+      'Edited workflow reported as modified (config.yaml edits ignored)',
+      JSON.stringify(report.modules.bmm.modified),
+    );
+    assert(report.modules.core.missing[0] === 'core/tasks/help.md', 'Deleted file reported as missing under its module');
+    assert(report.modules.bmm.orphan[0] === 'bmm/notes.md', 'Untracked file reported as orphan');
+
+    const commandDir = path.join(auditProjectDir, '.claude', 'commands');
+    await fs.outputFile(path.join(commandDir, 'bmad-bmm-plan.md'), 'LOAD @{project-root}/_bmad/bmm/workflows/plan/workflow.md, READ it');
+    await fs.outputFile(path.join(commandDir, 'bmad-help.md'), 'LOAD @{project-root}/_bmad/core/tasks/help.md, READ it');
+
+    const ideResults = await auditor.auditIdeCommands(auditProjectDir, bmadDir, '_bmad', ['claude-code']);
+    assert(
+      ideResults[0].stale.length === 1 && ideResults[0].stale[0].missing[0] === '_bmad/core/tasks/help.md',
+      'IDE command pointing at a removed file is reported as stale',
+      JSON.stringify(ideResults),
+    );
+  } catch (error) {
+    assert(false, 'Installation audit test setup', error.message);
+  } finally {
+    await fs.remove(auditProjectDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 7: Restore Installed Files From Source
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 7: Restore Installed Files From Source${colors.reset}\n`);
+
+  const restoreDir = path.join(__dirname, 'temp-restore');
+
+  try {
+    const installer = new Installer();
+    const bmadDir = path.join(restoreDir, '_bmad');
+
+    const coreSource = await installer.resolveLocalModuleSource('core', bmadDir);
+    assert(coreSource === path.join(projectRoot, 'src/core'), 'core resolves to src/core');
+
+    const bmmSource = await installer.resolveLocalModuleSource('bmm', bmadDir);
+    assert(bmmSource === path.join(projectRoot, 'src/bmm'), 'bmm resolves to src/bmm');
+
+    const unknownSource = await installer.resolveLocalModuleSource('not-a-module', bmadDir);
+    assert(unknownSource === null, 'Unknown module without cache has no local source');
+
+    const target = path.join(bmadDir, 'core/tasks/help.md');
+    const restored = await installer.restoreInstalledFile('core/tasks/help.md', coreSource, target);
+    const original = await fs.readFile(path.join(projectRoot, 'src/core/tasks/help.md'), 'utf8');
+    assert(restored && (await fs.readFile(target, 'utf8')) === original, 'Deleted core file is restored from source');
+
+    const missing = await installer.restoreInstalledFile('core/tasks/does-not-exist.md', coreSource, target);
+    assert(missing === false, 'Restore reports files the source no longer has');
+  } catch (error) {
+    assert(false, 'Restore test setup', error.message);
+  } finally {
+    await fs.remove(restoreDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 8: Install Plan (Dry Run)
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 8: Install Plan (Dry Run)${colors.reset}\n`);
+
+  const planProjectDir = path.join(__dirname, 'temp-plan-project');
+
+  try {
+    const planner = new InstallPlanner();
+
+    await fs.outputFile(path.join(planProjectDir, '_bmad/core/tasks/help.md'), 'old\n');
+    await fs.outputFile(path.join(planProjectDir, '_bmad/bmm/agents/pm.md'), 'same\n');
+    await fs.outputFile(path.join(planProjectDir, '.claude/commands/bmad-removed.md'), 'stale\n');
+    await fs.outputFile(path.join(planProjectDir, 'src/app.js'), 'not managed\n');
+
+    const stagingDir = await planner.stage(planProjectDir);
+    try {
+      assert(!(await fs.pathExists(path.join(stagingDir, 'src'))), 'Staging copies only installer-managed directories');
+
+      // Simulate what an update does inside the staged copy
+      await fs.writeFile(path.join(stagingDir, '_bmad/core/tasks/help.md'), 'new\n');
+      await fs.outputFile(path.join(stagingDir, '_bmad/core/tasks/help.md.bak'), 'old\n');
+      await fs.outputFile(path.join(stagingDir, '.claude/commands/bmad-help.md'), 'help\n');
+      await fs.remove(path.join(stagingDir, '.claude/commands/bmad-removed.md'));
+
+      const plan = await planner.plan(planProjectDir, stagingDir);
+      const core = plan.groups['_bmad/core'];
+      const claude = plan.groups['.claude/commands'];
+
+      assert(core.overwrite.includes('_bmad/core/tasks/help.md'), 'Changed file is planned as overwrite');
+      assert(core.backup.includes('_bmad/core/tasks/help.md.bak'), 'New .bak file is planned as backup');
+      assert(claude.create.includes('.claude/commands/bmad-help.md'), 'New IDE command is grouped under its target directory');
+      assert(claude.delete.includes('.claude/commands/bmad-removed.md'), 'Removed IDE command is planned as delete');
+      assert(!plan.groups['_bmad/bmm'] && plan.totals.unchanged === 1, 'Identical files are counted as unchanged');
+    } finally {
+      await planner.cleanup(stagingDir);
+    }
+  } catch (error) {
+    assert(false, 'Install plan test setup', error.message);
+  } finally {
+    await fs.remove(planProjectDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 9: Transactional Install and Rollback
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 9: Transactional Install and Rollback${colors.reset}\n`);
+
+  const txProjectDir = path.join(__dirname, 'temp-transaction-project');
+
+  try {
+    await fs.outputFile(path.join(txProjectDir, '_bmad/core/tasks/help.md'), 'v1\n');
+    await fs.outputFile(path.join(txProjectDir, '.claude/settings.json'), '{}\n');
+
+    // A failed install is discarded without touching the project
+    const failed = new InstallTransaction(txProjectDir);
+    const failedStaging = await failed.begin();
+    await fs.writeFile(path.join(failedStaging, '_bmad/core/tasks/help.md'), 'broken\n');
+    await failed.abort();
+    assert(!(await fs.pathExists(failedStaging)), 'Aborted install removes its staging directory');
+    assert(
+      (await fs.readFile(path.join(txProjectDir, '_bmad/core/tasks/help.md'), 'utf8')) === 'v1\n',
+      'Aborted install leaves the project unchanged',
+    );
+
+    // A successful install swaps in only the directories it changed
+    const transaction = new InstallTransaction(txProjectDir);
+    const stagingDir = await transaction.begin();
+    await fs.writeFile(path.join(stagingDir, '_bmad/core/tasks/help.md'), 'v2\n');
+    await fs.outputFile(path.join(stagingDir, '.cursor/commands/bmad-help.md'), 'help\n');
+    const committed = await transaction.commit();
+
+    assert(committed.replaced.join(',') === '_bmad' && committed.created.join(',') === '.cursor', 'Commit swaps only changed directories');
+    assert((await fs.readFile(path.join(txProjectDir, '_bmad/core/tasks/help.md'), 'utf8')) === 'v2\n', 'Committed install is in place');
+    assert(!(await fs.pathExists(stagingDir)), 'Commit removes the staging directory');
+
+    // A swap that fails part way puts back every directory already moved
+    const sourceDir = path.join(txProjectDir, 'incoming');
+    const holdDir = path.join(txProjectDir, 'hold');
+    await fs.outputFile(path.join(sourceDir, '_bmad/core/tasks/help.md'), 'v3\n');
+    await fs.outputFile(path.join(sourceDir, '.claude/settings.json'), '{"v":3}\n');
+    await fs.outputFile(path.join(holdDir, '.claude/blocker'), 'makes the second move fail\n');
+
+    let swapError = null;
+    try {
+      await transaction.swapRoots(sourceDir, ['_bmad', '.claude'], holdDir);
+    } catch (error) {
+      swapError = error;
+    }
+    assert(swapError !== null, 'Swap reports the failed move');
+    assert(
+      (await fs.readFile(path.join(txProjectDir, '_bmad/core/tasks/help.md'), 'utf8')) === 'v2\n' &&
+        (await fs.pathExists(path.join(sourceDir, '_bmad/core/tasks/help.md'))),
+      'Failed swap restores directories already swapped',
+    );
+  } catch (error) {
+    assert(false, 'Transaction test setup', error.message);
+  } finally {
+    await fs.remove(txProjectDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 10: Installation Snapshots
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 10: Installation Snapshots${colors.reset}\n`);
+
+  const snapshotProjectDir = path.join(__dirname, 'temp-snapshot-project');
+
+  try {
+    const snapshotManager = new SnapshotManager();
+    const manifest = new Manifest();
+    const bmadDir = path.join(snapshotProjectDir, '_bmad');
+    const helpPath = path.join(bmadDir, 'core/tasks/help.md');
+    const writeVersion = (dir, version) =>
+      manifest._writeRaw(dir, { installation: { version }, modules: [{ name: 'core', version }], ides: ['claude-code'] });
+
+    await writeVersion(bmadDir, '6.0.1');
+    await fs.outputFile(path.join(bmadDir, 'core/config.yaml'), 'user_name: Ada\n');
+    await fs.outputFile(helpPath, 'v1\n');
+
+    // Simulate two installs, each snapshotting what it replaces
+    const simulateInstall = async (version, helpContent, extra) => {
+      const transaction = new InstallTransaction(snapshotProjectDir);
+      const stagingDir = await transaction.begin();
+      const stagedBmadDir = path.join(stagingDir, '_bmad');
+      await writeVersion(stagedBmadDir, version);
+      await fs.writeFile(path.join(stagedBmadDir, 'core/tasks/help.md'), helpContent);
+      if (extra) await fs.outputFile(path.join(stagingDir, extra), 'new\n');
+      const snapshot = await snapshotManager.capture(snapshotProjectDir, stagingDir);
+      await transaction.commit();
+      return snapshot;
+    };
+
+    const first = await simulateInstall('6.0.2', 'v2\n', '.cursor/commands/bmad-help.md');
+    await simulateInstall('6.0.3', 'v3\n');
+
+    const snapshots = await snapshotManager.list(bmadDir);
+    assert(snapshots.length === 2 && snapshots[0].version === '6.0.2', 'Snapshots are listed newest first with the version they replaced');
+    assert(
+      first.files.some((f) => f.path === '_bmad/core/tasks/help.md' && f.hash) && first.created.includes('.cursor/commands/bmad-help.md'),
+      'Snapshot records changed files with hashes and created files',
+    );
+    assert(
+      await fs.pathExists(path.join(snapshotManager.getSnapshotsDir(bmadDir), first.id, 'configs/core/config.yaml')),
+      'Snapshot keeps module configs',
+    );
+
+    // Restoring the oldest snapshot undoes both installs
+    await snapshotManager.restore(snapshotProjectDir, first.id);
+    assert((await fs.readFile(helpPath, 'utf8')) === 'v1\n', 'Restore brings back file contents from before the snapshot');
+    assert(!(await fs.pathExists(path.join(snapshotProjectDir, '.cursor'))), 'Restore removes files created since the snapshot');
+    assert((await manifest.read(bmadDir)).version === '6.0.1', 'Restore brings back the manifest');
+
+    const afterRestore = await snapshotManager.list(bmadDir);
+    assert(afterRestore.length === 3 && afterRestore[0].reason === 'rollback', 'Restore snapshots the state it replaced');
+
+    // The restore itself can be undone
+    await snapshotManager.restore(snapshotProjectDir);
+    assert((await fs.readFile(helpPath, 'utf8')) === 'v3\n', 'Restoring the newest snapshot undoes a rollback');
+
+    // A damaged snapshot is rejected and the project is left unchanged
+    const newest = (await snapshotManager.list(bmadDir))[0];
+    await fs.outputFile(path.join(snapshotManager.getSnapshotsDir(bmadDir), newest.id, 'files/_bmad/core/tasks/help.md'), 'tampered\n');
+    let restoreError = null;
+    try {
+      await snapshotManager.restore(snapshotProjectDir, newest.id);
+    } catch (error) {
+      restoreError = error;
+    }
+    assert(restoreError !== null && (await fs.readFile(helpPath, 'utf8')) === 'v3\n', 'Damaged snapshot fails its hash check');
+  } catch (error) {
+    assert(false, 'Snapshot test setup', error.message);
+  } finally {
+    await fs.remove(snapshotProjectDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 11: Answer File
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 11: Answer File${colors.reset}\n`);
+
+  const answerDir = path.join(__dirname, 'temp-answer-file');
+
+  try {
+    const answerFile = new AnswerFile();
+    const answerPath = path.join(answerDir, 'bmad.config.yaml');
+    await fs.outputFile(
+      answerPath,
+      [
+        'modules: [bmm]',
+        'ides: []',
+        'custom_content: [./my-module]',
+        'answers:',
+        '  core:',
+        '    user_name: Ada',
+        '  bmm:',
+        '    user_skill_level: expert',
+        '',
+      ].join('\n'),
+    );
+
+    const loaded = await answerFile.load(answerPath);
+    assert(loaded.customContent[0] === path.join(answerDir, 'my-module'), 'Relative paths resolve against the answer file');
+
+    const options = answerFile.applyToOptions(loaded, { modules: 'bmm,cis' });
+    assert(options.modules === 'bmm,cis', 'Command-line flags take precedence over the answer file');
+    assert(options.tools === 'none', 'An empty ides list skips tool configuration');
+    assert(options.answers.bmm.user_skill_level === 'expert', 'Per-module answers are passed through');
+
+    await fs.outputFile(answerPath, 'modules: [bmm]\nusers: [ada]\n');
+    let loadError = null;
+    try {
+      await answerFile.load(answerPath);
+    } catch (error) {
+      loadError = error;
+    }
+    assert(loadError && loadError.message.includes('users'), 'Unknown keys are rejected');
+
+    // Answered questions are not asked, even without --yes
+    const collector = new ConfigCollector();
+    collector.presetAnswers = {
+      bmm: {
+        project_name: 'demo',
+        user_skill_level: 'expert',
+        planning_artifacts: 'plans',
+        implementation_artifacts: 'impl',
+        project_knowledge: 'docs',
+      },
+    };
+    collector.modulesToCustomize = new Set(['bmm']);
+    await collector.collectModuleConfig('bmm', answerDir);
+    assert(collector.collectedConfig.bmm.user_skill_level === 'expert', 'Preset answers are used without prompting');
+    assert(collector.collectedConfig.bmm.planning_artifacts === '{project-root}/plans', 'Preset answers go through the result template');
+
+    const badCollector = new ConfigCollector();
+    badCollector.presetAnswers = { bmm: { user_skill_level: 'guru' } };
+    badCollector.modulesToCustomize = new Set(['bmm']);
+    let choiceError = null;
+    try {
+      await badCollector.collectModuleConfig('bmm', answerDir);
+    } catch (error) {
+      choiceError = error;
+    }
+    assert(
+      choiceError?.message.includes("bmm.user_skill_level: 'guru'") && choiceError.message.includes('beginner, intermediate, expert'),
+      'An answer outside the single-select choices is rejected',
+    );
+
+    const coreAnswers = await new ConfigCollector().checkAnswers('core', { user_name: 'Ada' });
+    const numbered = await new ConfigCollector().checkAnswers(
+      'x',
+      { level: '2' },
+      { level: { prompt: 'Level?', 'single-select': [1, 2] } },
+    );
+    assert(coreAnswers.user_name === 'Ada' && numbered.level === 2, 'Valid answers are kept, as the choice they name');
+
+    const schema = {
+      tools: { prompt: 'Tools?', 'multi-select': ['git', 'jira'] },
+      ticket: { prompt: 'Ticket prefix?', regex: '^[A-Z]+$' },
+      tests: { prompt: 'Tests?', default: true },
+    };
+    const rejection = (answers) =>
+      new ConfigCollector().checkAnswers('x', answers, schema).then(
+        () => null,
+        (error) => error.message,
+      );
+    const multiError = await rejection({ tools: ['git', 'svn'] });
+    assert(
+      multiError?.includes('x.tools: svn') && multiError.includes('git, jira'),
+      'A multi-select answer outside the choices is rejected',
+      multiError,
+    );
+    const regexError = await rejection({ ticket: 'abc' });
+    assert(regexError?.includes("x.ticket: 'abc' must match ^[A-Z]+$"), 'An answer not matching its regex is rejected', regexError);
+    const parsed = await new ConfigCollector().checkAnswers('x', { tools: ['jira', 'git'], ticket: 'BMAD', tests: 'no' }, schema);
+    assert(
+      parsed.tools.join(',') === 'git,jira' && parsed.ticket === 'BMAD' && parsed.tests === false,
+      'Multi-select, text and boolean answers are kept as the prompts would give them',
+      JSON.stringify(parsed),
+    );
+  } catch (error) {
+    assert(false, 'Answer file test setup', error.message);
+  } finally {
+    await fs.remove(answerDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 12: Config Export
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 12: Config Export${colors.reset}\n`);
+
+  const exportDir = path.join(__dirname, 'temp-config-export');
+
+  try {
+    await fs.outputFile(path.join(exportDir, '_bmad', '_config', 'manifest.yaml'), 'modules: [core, bmm]\n');
+    await fs.outputFile(
+      path.join(exportDir, '_bmad', 'core', 'config.yaml'),
+      'user_name: Ada\ncommunication_language: English\ndocument_output_language: English\noutput_folder: _bmad-output\n',
+    );
+    await fs.outputFile(
+      path.join(exportDir, '_bmad', 'bmm', 'config.yaml'),
+      [
+        'project_name: temp-config-export',
+        'user_skill_level: expert',
+        'planning_artifacts: "{project-root}/plans"',
+        'implementation_artifacts: "{project-root}/impl"',
+        'project_knowledge: "{project-root}/docs"',
+        'user_name: Ada',
+        'output_folder: _bmad-output',
+        '',
+      ].join('\n'),
+    );
+
+    const collector = new ConfigCollector();
+    const answers = await collector.exportAnswers(exportDir, ['core', 'bmm']);
+    assert(answers.core.user_name === 'Ada', 'Core answers are exported');
+    assert(answers.bmm.planning_artifacts === 'plans', 'The {project-root}/ prefix is removed from exported paths');
+    assert(answers.bmm.user_name === undefined, 'Core values copied into module configs are not exported');
+    assert(answers.bmm.project_name === undefined, 'A project name taken from the directory name is not exported');
+
+    const answerFile = new AnswerFile();
+    const exportPath = path.join(exportDir, 'shared', 'bmad.config.yaml');
+    const customPath = path.join(exportDir, 'my-module');
+    await answerFile.save(exportPath, { modules: ['bmm'], ides: [], customContent: [customPath], answers }, ' Exported');
+
+    const reloaded = await answerFile.load(exportPath);
+    assert(reloaded.customContent[0] === customPath, 'Exported custom content paths survive a reload');
+    assert(reloaded.ides.length === 0 && reloaded.answers.bmm.user_skill_level === 'expert', 'Exported answer file loads back unchanged');
+  } catch (error) {
+    assert(false, 'Config export test setup', error.message);
+  } finally {
+    await fs.remove(exportDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 13: Config Editor
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 13: Config Editor${colors.reset}\n`);
+
+  const editDir = path.join(__dirname, 'temp-config-editor');
+
+  try {
+    await fs.outputFile(
+      path.join(editDir, '_bmad', '_config', 'manifest.yaml'),
+      'installation:\n  version: 6.0.0\nmodules: [core, bmm]\nides: []\n',
+    );
+    await fs.outputFile(
+      path.join(editDir, '_bmad', 'core', 'config.yaml'),
+      'user_name: Ada\noutput_folder: "{project-root}/_bmad-output"\n',
+    );
+    await fs.outputFile(
+      path.join(editDir, '_bmad', 'bmm', 'config.yaml'),
+      'user_skill_level: intermediate\nplanning_artifacts: "{project-root}/plans"\nuser_name: Ada\noutput_folder: "{project-root}/_bmad-output"\n',
+    );
+
+    const editor = new ConfigEditor();
+    const settings = await editor.list(editDir);
+    assert(
+      settings.some((s) => s.module === 'bmm' && s.key === 'user_skill_level') &&
+        !settings.some((s) => s.module === 'bmm' && s.key === 'user_name'),
+      'Settings are listed under the module that asks for them',
+    );
+
+    let selectError = null;
+    try {
+      await editor.set(editDir, 'user_skill_level', 'guru');
+    } catch (error) {
+      selectError = error;
+    }
+    assert(
+      selectError && selectError.message.includes('beginner, intermediate, expert'),
+      'Values outside single-select choices are rejected',
+    );
+
+    const planning = await editor.set(editDir, 'bmm.planning_artifacts', 'docs/planning');
+    const bmmConfig = await fs.readFile(path.join(editDir, '_bmad', 'bmm', 'config.yaml'), 'utf8');
+    assert(planning.value === '{project-root}/docs/planning', 'New values go through the result template');
+    assert(bmmConfig.includes('user_name: Ada'), 'Core values stay in the module config');
+    assert(await fs.pathExists(path.join(editDir, 'docs', 'planning')), 'Declared directories follow the new value');
+
+    await editor.set(editDir, 'user_name', 'Grace');
+    assert(
+      (await fs.readFile(path.join(editDir, '_bmad', 'bmm', 'config.yaml'), 'utf8')).includes('user_name: Grace'),
+      'Changing a core value updates every module config',
+    );
+
+    const snapshots = await new SnapshotManager().list(path.join(editDir, '_bmad'));
+    assert(snapshots.length === 2 && snapshots[0].reason === 'config', 'Each change leaves a snapshot for rollback');
+
+    await fs.outputFile(path.join(editDir, 'docs', 'planning', 'prd.md'), '# PRD\n');
+    const moved = await editor.set(editDir, 'planning_artifacts', 'docs/plans');
+    assert(
+      moved.movedDirs.length === 1 &&
+        moved.createdDirs.length === 0 &&
+        (await fs.pathExists(path.join(editDir, 'docs', 'plans', 'prd.md'))),
+      'A declared directory with content is moved to the new value',
+    );
+    await new SnapshotManager().restore(editDir);
+    assert(
+      (await fs.pathExists(path.join(editDir, 'docs', 'planning', 'prd.md'))) &&
+        !(await fs.pathExists(path.join(editDir, 'docs', 'plans'))),
+      'Rollback moves the directory back',
+    );
+
+    await fs.ensureDir(path.join(editDir, 'docs', 'existing'));
+    await fs.remove(path.join(editDir, 'docs', 'planning'));
+    const existing = await editor.set(editDir, 'planning_artifacts', 'docs/existing');
+    assert(existing.createdDirs.length === 0 && existing.movedDirs.length === 0, 'A folder that already exists is not reported as created');
+
+    await fs.outputFile(path.join(editDir, 'docs', 'existing', 'prd.md'), '# PRD\n');
+    const failing = new ConfigEditor();
+    failing.snapshotManager.capture = async () => {
+      throw new Error('disk full');
+    };
+    let failedSet = null;
+    try {
+      await failing.set(editDir, 'planning_artifacts', 'docs/failed');
+    } catch (error) {
+      failedSet = error;
+    }
+    assert(
+      failedSet?.message === 'disk full' &&
+        (await fs.pathExists(path.join(editDir, 'docs', 'existing', 'prd.md'))) &&
+        !(await fs.pathExists(path.join(editDir, 'docs', 'failed'))),
+      'A change that fails puts moved directories back',
+    );
+  } catch (error) {
+    assert(false, 'Config editor test setup', error.message);
+  } finally {
+    await fs.remove(editDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 14: External Module Pins
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 14: External Module Pins${colors.reset}\n`);
+
+  const pinDir = path.join(__dirname, 'temp-module-pins');
+
+  try {
+    const { execSync } = require('node:child_process');
+    const git = (args, cwd) =>
+      execSync(`git -c user.name=test -c user.email=test@example.com ${args}`, { cwd, stdio: 'pipe' }).toString().trim();
+
+    const originDir = path.join(pinDir, 'origin');
+    await fs.ensureDir(originDir);
+    git('init -q', originDir);
+    git('commit -q --allow-empty -m one', originDir);
+    git('tag v1', originDir);
+    git('commit -q --allow-empty -m two', originDir);
+    const v1 = git('rev-parse v1', originDir);
+    const latest = git('rev-parse HEAD', originDir);
+
+    const cloneDir = path.join(pinDir, 'clone');
+    git(`clone -q --depth 1 "file://${originDir}" "${cloneDir}"`, pinDir);
+
+    const moduleManager = new ModuleManager();
+    moduleManager.checkoutExternalRef(cloneDir, 'v1');
+    assert(git('rev-parse HEAD', cloneDir) === v1, 'A shallow clone can be moved to a tag');
+    moduleManager.checkoutExternalRef(cloneDir, null);
+    assert(git('rev-parse HEAD', cloneDir) === latest, 'Without a ref the default branch is checked out');
+    moduleManager.checkoutExternalRef(cloneDir, v1);
+    assert(git('rev-parse HEAD', cloneDir) === v1, 'A recorded commit SHA can be checked out');
+
+    let refError = null;
+    try {
+      moduleManager.checkoutExternalRef(cloneDir, 'main; rm -rf /');
+    } catch (error) {
+      refError = error;
+    }
+    assert(refError && refError.message.includes('Invalid git ref'), 'Refs with shell characters are rejected');
+
+    // The manifest's recorded commit is reused until an upgrade or a new pin
+    const projectDir = path.join(pinDir, 'project');
+    await fs.outputFile(
+      path.join(projectDir, '_bmad', '_config', 'manifest.yaml'),
+      `modules:\n  - name: bmb\n    source: external\n    ref: v1\n    sha: ${v1}\n`,
+    );
+    const installer = new Installer();
+    const externalManager = new ExternalModuleManager();
+
+    await installer.pinExternalModules(projectDir, {});
+    assert((await externalManager.getModuleRef('bmb')).sha === v1, 'Installs reproduce the commit recorded in the manifest');
+
+    await installer.pinExternalModules(projectDir, { upgradeModules: ['bmb'] });
+    const upgraded = await externalManager.getModuleRef('bmb');
+    assert(upgraded.sha === null && upgraded.ref === 'v1', 'An upgrade re-resolves the recorded ref');
+
+    await installer.pinExternalModules(projectDir, { pins: { bmb: 'v2' } });
+    const repinned = await externalManager.getModuleRef('bmb');
+    assert(repinned.ref === 'v2' && repinned.sha === null, 'A new pin replaces the recorded ref and commit');
+
+    externalManager.clearPins();
+  } catch (error) {
+    assert(false, 'Module pin test setup', error.message);
+  } finally {
+    await fs.remove(pinDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 15: BMAD v4 Migration
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 15: BMAD v4 Migration${colors.reset}\n`);
+
+  const v4Dir = path.join(__dirname, 'temp-v4-migration');
+
+  try {
+    const agentFile = (body) => `# agent\n\n\`\`\`yaml\n${body}\`\`\`\n`;
+    await fs.outputFile(
+      path.join(v4Dir, '.bmad-core', 'agents', 'dev.md'),
+      agentFile('agent:\n  name: Jimbo\n  id: dev\n  customization: Use pnpm.\npersona:\n  role: Engineer\n  style: Terse\n'),
+    );
+    await fs.outputFile(path.join(v4Dir, '.bmad-core', 'agents', 'pm.md'), agentFile('agent:\n  name: John\n  id: pm\n'));
+    await fs.outputFile(path.join(v4Dir, '.bmad-core', 'tasks', 'create-next-story.md'), '# task\n');
+    await fs.outputFile(
+      path.join(v4Dir, '.bmad-core', 'core-config.yaml'),
+      'prd:\n  prdFile: docs/prd.md\ndevStoryLocation: docs/stories\ndevLoadAlwaysFiles:\n  - docs/standards.md\nslashPrefix: BMad\n',
+    );
+    // pm.md matches its recorded hash; dev.md does not
+    const crypto = require('node:crypto');
+    const pmHash = crypto
+      .createHash('sha256')
+      .update(await fs.readFile(path.join(v4Dir, '.bmad-core', 'agents', 'pm.md')))
+      .digest('hex')
+      .slice(0, 16);
+    await fs.outputFile(
+      path.join(v4Dir, '.bmad-core', 'install-manifest.yaml'),
+      `version: 4.44.1\nides_setup: [claude-code, qwen-code]\nfiles:\n  - path: .bmad-core/agents/dev.md\n    hash: "deadbeefdeadbeef"\n  - path: .bmad-core/agents/pm.md\n    hash: "${pmHash}"\n`,
+    );
+    await fs.outputFile(path.join(v4Dir, '.claude', 'commands', 'BMad', 'agents', 'dev.md'), 'v4');
+    await fs.outputFile(path.join(v4Dir, '.github', 'chatmodes', 'dev.chatmode.md'), 'v4');
+    await fs.outputFile(path.join(v4Dir, '.github', 'chatmodes', 'mine.chatmode.md'), 'user');
+
+    const migrator = new LegacyMigrator();
+    const plan = await migrator.analyze(v4Dir);
+
+    assert(
+      plan.answers.bmm?.planning_artifacts === 'docs' && plan.answers.bmm?.implementation_artifacts === 'docs/stories',
+      'core-config.yaml locations become bmm answers',
+    );
+    assert(plan.ides.includes('claude-code') && plan.ides.includes('qwen'), 'v4 IDE ids are translated to v6 tool ids');
+
+    const dev = plan.customizations['bmm-dev'];
+    assert(
+      dev?.agent?.metadata?.name === 'Jimbo' && dev.persona.role === 'Engineer' && dev.persona.communication_style === 'Terse',
+      'A modified v4 agent carries its name and persona over',
+    );
+    assert(
+      dev?.critical_actions.some((a) => a.includes('docs/standards.md')) && dev.critical_actions.includes('Use pnpm.'),
+      'devLoadAlwaysFiles and agent customization become critical actions',
+    );
+    assert(!plan.customizations['bmm-pm'], 'An unmodified v4 agent needs no customize file');
+    assert(
+      plan.items.find((i) => i.name === 'create-next-story')?.replacement === 'bmm create-story workflow',
+      'v4 tasks are mapped to the v6 workflow replacing them',
+    );
+    assert(
+      plan.ideFiles.includes('.claude/commands/BMad') &&
+        plan.ideFiles.includes('.github/chatmodes/dev.chatmode.md') &&
+        !plan.ideFiles.includes('.github/chatmodes/mine.chatmode.md'),
+      'Only IDE files generated by v4 are picked for removal',
+    );
+
+    let migrateError = null;
+    try {
+      await migrator.migrate(v4Dir, plan, async () => {
+        throw new Error('install failed');
+      });
+    } catch (error) {
+      migrateError = error;
+    }
+    assert(
+      migrateError &&
+        (await fs.pathExists(path.join(v4Dir, '.bmad-core', 'agents', 'dev.md'))) &&
+        (await fs.pathExists(path.join(v4Dir, '.claude', 'commands', 'BMad'))) &&
+        !(await fs.pathExists(path.join(v4Dir, '_bmad'))),
+      'A failed install puts the v4 files back',
+    );
+
+    const result = await migrator.migrate(v4Dir, plan, async () => {});
+    assert(
+      !(await fs.pathExists(path.join(v4Dir, '.bmad-core'))) &&
+        (await fs.pathExists(path.join(result.backupDir, '.bmad-core', 'core-config.yaml'))) &&
+        (await fs.pathExists(path.join(v4Dir, '.github', 'chatmodes', 'mine.chatmode.md'))) &&
+        !(await fs.pathExists(path.join(v4Dir, '.claude'))),
+      'v4 folders and IDE files are moved into the backup folder',
+    );
+    assert(
+      result.written.includes('_bmad/_config/agents/bmm-dev.customize.yaml') && (await fs.pathExists(result.reportPath)),
+      'Customize files and a migration report are written',
+    );
+  } catch (error) {
+    assert(false, 'v4 migration test setup', error.message);
+  } finally {
+    await fs.remove(v4Dir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 16: Add and Remove a Single Module
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 16: Add and Remove a Single Module${colors.reset}\n`);
+
+  const moduleProjectDir = path.join(__dirname, 'temp-module-edit');
+
+  try {
+    const commandsDir = path.join(moduleProjectDir, '.claude', 'commands');
+    for (const file of ['bmad-help.md', 'bmad-bmm-prd.md', 'bmad-agent-bmm-dev.md', 'bmad-bmm-ext-plan.md', 'my-notes.md']) {
+      await fs.outputFile(path.join(commandsDir, file), '# command\n');
+    }
+    const ideSetup = new ConfigDrivenIdeSetup('claude-code', { name: 'Claude Code', installer: { target_dir: '.claude/commands' } });
+    await ideSetup.cleanupModuleFiles(moduleProjectDir, '.claude/commands', ['bmm'], ['core', 'bmm', 'bmm-ext']);
+    const remaining = (await fs.readdir(commandsDir)).sort();
+    assert(
+      remaining.join(',') === 'bmad-bmm-ext-plan.md,bmad-help.md,my-notes.md',
+      "Only the removed module's command files are deleted",
+      remaining.join(','),
+    );
+
+    const bmadDir = path.join(moduleProjectDir, '_bmad');
+    await fs.outputFile(path.join(bmadDir, 'xmod', 'workflows', 'plan.md'), 'Load {project-root}/_bmad/bmm/workflows/prd/template.md\n');
+    await fs.outputFile(path.join(bmadDir, 'core', 'tasks', 'help.md'), 'No references here\n');
+    const references = await new DependencyResolver().findModuleReferences(bmadDir, 'bmm', ['core', 'bmm', 'xmod']);
+    assert(
+      references.length === 1 &&
+        references[0].file === 'xmod/workflows/plan.md' &&
+        references[0].references[0] === '_bmad/bmm/workflows/prd/template.md',
+      'Files of other modules that point into a module are found',
+    );
+
+    await fs.outputFile(path.join(bmadDir, 'bmm', 'tasks', 'review.md'), '# review\n');
+    await new Manifest().create(bmadDir, { modules: ['core', 'bmm', 'xmod'], ides: [] });
+    // Sidecars of bmm's agents: one as installed, one the user has written to
+    const sidecarFile = path.join(bmadDir, '_memory', 'tech-writer-sidecar', 'standards.md');
+    await fs.outputFile(sidecarFile, '# standards\n');
+    await fs.outputFile(path.join(bmadDir, '_memory', 'pm-sidecar', 'notes.md'), 'my notes\n');
+    await fs.outputFile(
+      path.join(bmadDir, '_config', 'agent-manifest.csv'),
+      'name,module,path\n"tech-writer","bmm","_bmad/bmm/agents/tech-writer.md"\n"pm","bmm","_bmad/bmm/agents/pm.md"\n',
+    );
+    const sidecarHash = await new Manifest().calculateFileHash(sidecarFile);
+    await fs.outputFile(
+      path.join(bmadDir, '_config', 'files-manifest.csv'),
+      `type,name,module,path,hash\n"md","standards","_memory","_memory/tech-writer-sidecar/standards.md","${sidecarHash}"\n` +
+        `"md","notes","_memory","_memory/pm-sidecar/notes.md","${'0'.repeat(64)}"\n`,
+    );
+    const editor = new ModuleEditor();
+    const removed = await editor.remove(moduleProjectDir, 'bmm');
+    const afterRemove = await new Manifest().read(bmadDir);
+    assert(
+      !(await fs.pathExists(path.join(bmadDir, 'bmm'))) && !afterRemove.modules.includes('bmm') && afterRemove.modules.includes('xmod'),
+      'Removing a module deletes it and drops it from the manifest',
+    );
+    assert(
+      !(await fs.pathExists(path.join(bmadDir, '_memory', 'tech-writer-sidecar'))) &&
+        !(await fs.readFile(path.join(bmadDir, '_config', 'files-manifest.csv'), 'utf8')).includes('tech-writer-sidecar'),
+      "Removing a module deletes its agents' sidecars",
+    );
+    assert(
+      (await fs.pathExists(path.join(bmadDir, '_memory', 'pm-sidecar', 'notes.md'))) &&
+        removed.keptSidecars.join(',') === '_memory/pm-sidecar',
+      'A sidecar holding user edits is kept and reported',
+    );
+    assert((await editor.snapshotManager.list(bmadDir))[0]?.reason === 'module', 'The removal is recorded as a snapshot for rollback');
+
+    let removeError = null;
+    try {
+      await editor.remove(moduleProjectDir, 'core');
+    } catch (error) {
+      removeError = error;
+    }
+    assert(removeError?.message.includes('cannot be removed'), 'The core module cannot be removed');
+  } catch (error) {
+    assert(false, 'Module add/remove test setup', error.message);
+  } finally {
+    await fs.remove(moduleProjectDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 17: Module Dependencies
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 17: Module Dependencies${colors.reset}\n`);
+
+  const depsDir = path.join(__dirname, 'temp-module-dependencies');
+
+  try {
+    const writeModule = (code, body) => fs.outputFile(path.join(depsDir, code, 'module.yaml'), `code: ${code}\nname: ${code}\n${body}`);
+    await writeModule('app', 'module_version: 1.0.0\ndependencies:\n  lib: "^2.0.0"\n  bmm: ">=6.0.0"\n');
+    await writeModule('lib', 'module_version: 2.3.0\ndependencies:\n  util:\n');
+    await writeModule('util', 'module_version: 0.1.0\n');
+    await writeModule('strict', 'module_version: 1.0.0\ndependencies:\n  lib: ">=3"\n  ghost: "*"\n');
+    await writeModule('broken', 'dependencies:\n  lib: "not a range"\n');
+
+    const depsManager = new ModuleManager();
+    depsManager.setCustomModulePaths(new Map(['app', 'lib', 'util', 'strict', 'broken'].map((m) => [m, path.join(depsDir, m)])));
+    const resolver = new DependencyResolver();
+
+    const resolution = await resolver.resolveModuleGraph(['app'], depsManager);
+    assert(
+      resolution.modules.join(',') === 'app,lib,bmm,util' && resolution.added.find((a) => a.module === 'util')?.requiredBy === 'lib',
+      'Dependencies that were not selected are added, transitively',
+      resolution.modules.join(','),
+    );
+    assert(
+      resolution.conflicts.length === 0 && resolution.graph.app.find((d) => d.name === 'lib')?.version === '2.3.0',
+      'The resolved graph records each dependency with its version',
+    );
+
+    const strict = await resolver.resolveModuleGraph(['strict'], depsManager);
+    assert(
+      strict.conflicts[0]?.dependency === 'lib' && strict.missing[0]?.dependency === 'ghost',
+      'Versions outside the declared range and unknown modules are reported',
+    );
+    const kept = await resolver.resolveModuleGraph(['strict'], depsManager, { installed: new Map([['lib', '3.1.0']]) });
+    assert(
+      kept.conflicts.length === 0 && !kept.modules.includes('lib'),
+      'An installed module satisfies a dependency with its installed version',
+    );
+
+    let rangeError = null;
+    try {
+      await resolver.readModuleDeclaration('broken', depsManager);
+    } catch (error) {
+      rangeError = error;
+    }
+    assert(rangeError?.message.includes('invalid version range'), 'An invalid version range in module.yaml is rejected');
+  } catch (error) {
+    assert(false, 'Module dependency test setup', error.message);
+  } finally {
+    await fs.remove(depsDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 18: Offline Module Source
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 18: Offline Module Source${colors.reset}\n`);
+
+  const offlineDir = path.join(__dirname, 'temp-offline-source');
+  const offlineManager = new ExternalModuleManager();
+
+  try {
+    const { execSync } = require('node:child_process');
+    const git = (args, cwd) =>
+      execSync(`git -c user.name=test -c user.email=test@example.com ${args}`, { cwd, stdio: 'pipe' }).toString().trim();
+
+    const mirrorDir = path.join(offlineDir, 'mirror');
+    await fs.outputFile(path.join(mirrorDir, 'bmb', 'src', 'module.yaml'), 'code: bmb\nname: Builder\n');
+    git('init -q', path.join(mirrorDir, 'bmb'));
+    git('add -A', path.join(mirrorDir, 'bmb'));
+    git('commit -q -m mirrored', path.join(mirrorDir, 'bmb'));
+    const mirroredCommit = git('rev-parse HEAD', path.join(mirrorDir, 'bmb'));
+
+    const moduleMirror = new ModuleMirror();
+    let indexError = null;
+    try {
+      await moduleMirror.open(mirrorDir);
+    } catch (error) {
+      indexError = error;
+    }
+    assert(indexError?.message.includes('not a module mirror'), 'A directory without bmad-mirror.yaml is rejected');
+
+    await fs.outputFile(path.join(mirrorDir, 'bmad-mirror.yaml'), `modules:\n  bmb:\n    sha: ${mirroredCommit}\n`);
+    const archivePath = path.join(offlineDir, 'mirror.tgz');
+    execSync(`tar -czf "${archivePath}" -C "${mirrorDir}" .`, { stdio: 'pipe' });
+    const opened = await moduleMirror.open(archivePath);
+    assert(
+      opened.index.modules.bmb?.sha === mirroredCommit && (await fs.pathExists(path.join(opened.dir, 'bmb', 'src', 'module.yaml'))),
+      'A packed mirror is unpacked and its index read',
+    );
+    await fs.remove(opened.extracted);
+
+    const cacheDir = path.join(offlineDir, 'cache');
+    const offlineModules = new ModuleManager();
+    offlineModules.getExternalCacheDir = () => cacheDir;
+    offlineManager.useOfflineSource(mirrorDir);
+    const sourcePath = await offlineModules.findExternalModuleSource('bmb');
+    assert(
+      sourcePath === path.join(cacheDir, 'bmb', 'src') && offlineModules.getExternalModuleCommit('bmb') === mirroredCommit,
+      'Offline, an external module is copied from the mirror instead of cloned',
+    );
+    assert((await new Manifest().fetchNpmVersion('bmad-builder')) === null, 'Offline, npm is not asked for module versions');
+
+    offlineManager.pinModule('bmb', { ref: null, sha: '0123456789abcdef0123456789abcdef01234567' });
+    let pinError = null;
+    try {
+      await offlineModules.useOfflineModule('bmb');
+    } catch (error) {
+      pinError = error;
+    }
+    assert(pinError?.message.includes('pinned to 0123456'), 'A pinned commit the mirror does not have is reported');
+  } catch (error) {
+    assert(false, 'Offline module source test setup', error.message);
+  } finally {
+    offlineManager.clearOfflineSource();
+    offlineManager.clearPins();
+    await fs.remove(offlineDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 19: Module Registries
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 19: Module Registries${colors.reset}\n`);
+
+  const registryDir = path.join(__dirname, 'temp-registries');
+  const registryManager = new ExternalModuleManager();
+
+  try {
+    const { pathToFileURL } = require('node:url');
+    await fs.outputFile(
+      path.join(registryDir, 'registries', 'acme.yaml'),
+      'modules:\n  acme-ops:\n    url: https://git.example.com/acme/ops\n    module-definition: src/module.yaml\n    code: ops\n    name: Acme Ops\n    type: bmad-org\n  builder:\n    url: https://git.example.com/acme/bmb\n    code: bmb\n    name: Acme Builder\n',
+    );
+    await fs.outputFile(
+      path.join(registryDir, 'shared.yaml'),
+      'modules:\n  acme-ops:\n    url: https://git.example.com/shared/ops2\n    code: ops2\n    name: Shared Ops\n',
+    );
+    await fs.outputFile(
+      path.join(registryDir, 'bmad-registries.yaml'),
+      [
+        'registries:',
+        '  - name: acme',
+        '    path: ./registries/acme.yaml',
+        '    trust: internal',
+        '  - name: shared',
+        `    path: ${pathToFileURL(path.join(registryDir, 'shared.yaml')).href}`,
+        '    trust: community',
+        '  - name: unvetted',
+        '    path: ./registries/acme.yaml',
+        '    trust: trusted',
+      ].join('\n'),
+    );
+
+    const officialCount = (await registryManager.listAvailable()).length;
+    registryManager.useProjectRegistries(registryDir);
+    const listed = await registryManager.listAvailable();
+
+    const ops = listed.find((m) => m.code === 'ops');
+    assert(ops?.type === 'internal' && ops.registry === 'acme', "A registry's trust level becomes the type of its modules");
+    assert(
+      listed.find((m) => m.code === 'bmb')?.url.includes('bmad-code-org') && listed.filter((m) => m.code === 'bmb').length === 1,
+      'A module code already in the official list keeps the official entry',
+    );
+    const shared = listed.find((m) => m.code === 'ops2');
+    assert(shared?.key === 'shared/acme-ops' && shared.type === 'community', 'A registry given as a file:// URL is read');
+    assert(listed.length === officialCount + 2, 'A registry without a valid trust level is skipped');
+
+    registryManager.useProjectRegistries(null);
+    assert(!(await registryManager.hasModule('ops')), "Another project does not see this project's registries");
+  } catch (error) {
+    assert(false, 'Module registries test setup', error.message);
+  } finally {
+    registryManager.useProjectRegistries(null);
+    await fs.remove(registryDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 20: Module Integrity Verification
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 20: Module Integrity Verification${colors.reset}\n`);
+
+  const verifyDir = path.join(__dirname, 'temp-verification');
+  const verifier = new ModuleVerifier();
+
+  try {
+    const { execSync } = require('node:child_process');
+    const { pathToFileURL } = require('node:url');
+    const git = (args, cwd) =>
+      execSync(`git -c user.name=test -c user.email=test@example.com ${args}`, { cwd, stdio: 'pipe' }).toString().trim();
+
+    const originDir = path.join(verifyDir, 'origin');
+    await fs.outputFile(path.join(originDir, 'src', 'module.yaml'), 'code: sec\nname: Secure\n');
+    await fs.outputFile(path.join(originDir, 'tools', 'setup.js'), '// runs from the clone root\n');
+    git('init -q', originDir);
+    git('add -A', originDir);
+    git('commit -q -m release', originDir);
+    const commit = git('rev-parse HEAD', originDir);
+    const hash = await verifier.hashModule(originDir);
+
+    const writeRegistry = (integrity) =>
+      fs.outputFile(
+        path.join(verifyDir, 'project', 'modules.yaml'),
+        `modules:\n  secure:\n    url: ${pathToFileURL(originDir).href}\n    module-definition: src/module.yaml\n    code: sec\n    name: Secure\n    integrity: ${integrity}\n    sha: ${commit}\n`,
+      );
+    await fs.outputFile(
+      path.join(verifyDir, 'project', 'bmad-registries.yaml'),
+      'registries:\n  - name: acme\n    path: ./modules.yaml\n    trust: internal\nintegrity:\n  mine: 0123abcd\n',
+    );
+    new ExternalModuleManager().useProjectRegistries(path.join(verifyDir, 'project'));
+
+    const fetchModule = () => {
+      const modules = new ModuleManager();
+      modules.getExternalCacheDir = () => path.join(verifyDir, 'cache');
+      return modules.findExternalModuleSource('sec', { silent: true });
+    };
+
+    await writeRegistry(hash);
+    await fetchModule();
+    assert(verifier.getResult('sec')?.status === 'verified', 'A module matching its registry hash and commit is verified');
+    assert(
+      new Manifest().getVerificationInfo('sec').verification === 'verified' &&
+        new Manifest().getVerificationInfo('sec').contentHash === hash,
+      'The verification result is recorded in the manifest',
+    );
+
+    verifier.clearResults();
+    await writeRegistry('f'.repeat(64));
+    let mismatchError = null;
+    try {
+      await fetchModule();
+    } catch (error) {
+      mismatchError = error;
+    }
+    assert(mismatchError?.message.includes('--allow-unverified'), 'A module that does not match its registry hash is refused');
+
+    verifier.allowUnverifiedModules(true);
+    await fetchModule();
+    assert(verifier.getResult('sec')?.status === 'failed', 'With --allow-unverified the mismatch is installed and recorded as failed');
+
+    verifier.allowUnverifiedModules(false);
+    verifier.clearResults();
+    await writeRegistry(await verifier.hashModule(path.join(originDir, 'src')));
+    let definitionOnlyError = null;
+    try {
+      await fetchModule();
+    } catch (error) {
+      definitionOnlyError = error;
+    }
+    assert(definitionOnlyError !== null, 'The hash covers the whole clone, not only the folder of module.yaml');
+
+    // module.yaml at the root of the repository, with npm dependencies installed into the clone
+    const rootOriginDir = path.join(verifyDir, 'root-origin');
+    await fs.outputFile(path.join(rootOriginDir, 'module.yaml'), 'code: rooted\nname: Rooted\n');
+    await fs.writeJson(path.join(rootOriginDir, 'package.json'), { name: 'rooted', version: '1.0.0' });
+    git('init -q', rootOriginDir);
+    git('add -A', rootOriginDir);
+    git('commit -q -m release', rootOriginDir);
+    const rootHash = await verifier.hashModule(rootOriginDir);
+    await fs.outputFile(
+      path.join(verifyDir, 'project', 'modules.yaml'),
+      `modules:\n  rooted:\n    url: ${pathToFileURL(rootOriginDir).href}\n    module-definition: module.yaml\n    code: rooted\n    name: Rooted\n    integrity: ${rootHash}\n`,
+    );
+    const fetchRooted = () => {
+      const modules = new ModuleManager();
+      modules.getExternalCacheDir = () => path.join(verifyDir, 'cache');
+      return modules.findExternalModuleSource('rooted', { silent: true });
+    };
+    const rootedDir = await fetchRooted();
+    await fs.outputFile(path.join(rootedDir, 'node_modules', 'dep', 'index.js'), 'module.exports = 1;\n');
+    verifier.clearResults();
+    await fetchRooted();
+    assert(
+      verifier.getResult('rooted')?.status === 'verified',
+      'A module defined at the repository root still verifies once node_modules is installed in the clone',
+    );
+
+    const expected = await new ExternalModuleManager().getExpectedIntegrity('mine');
+    assert(expected.hash === '0123abcd' && expected.commit === null, 'Custom modules take their expected hash from the integrity map');
+  } catch (error) {
+    assert(false, 'Module integrity verification test setup', error.message);
+  } finally {
+    verifier.allowUnverifiedModules(false);
+    verifier.clearResults();
+    new ExternalModuleManager().useProjectRegistries(null);
+    await fs.remove(verifyDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 21: npm Install Scripts Policy
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 21: npm Install Scripts Policy${colors.reset}\n`);
+
+  const scriptsDir = path.join(__dirname, 'temp-npm-scripts');
+  const scriptsManager = new ExternalModuleManager();
+
+  try {
+    const { execSync } = require('node:child_process');
+    const { pathToFileURL } = require('node:url');
+    const git = (args, cwd) =>
+      execSync(`git -c user.name=test -c user.email=test@example.com ${args}`, { cwd, stdio: 'pipe' }).toString().trim();
+
+    const originDir = path.join(scriptsDir, 'origin');
+    await fs.outputFile(path.join(originDir, 'src', 'module.yaml'), 'code: hooks\nname: Hooks\n');
+    await fs.writeJson(path.join(originDir, 'package.json'), {
+      name: 'hooks',
+      version: '1.0.0',
+      dependencies: { helper: 'file:helper' },
+      scripts: { postinstall: "node -e \"require('node:fs').writeFileSync('postinstall-ran', '')\"" },
+    });
+    await fs.outputJson(path.join(originDir, 'helper', 'package.json'), { name: 'helper', version: '1.0.0' });
+    git('init -q', originDir);
+    git('add -A', originDir);
+    git('commit -q -m hooks', originDir);
+
+    await fs.outputFile(
+      path.join(scriptsDir, 'project', 'modules.yaml'),
+      `modules:\n  hooks:\n    url: ${pathToFileURL(originDir).href}\n    module-definition: src/module.yaml\n    code: hooks\n    name: Hooks\n`,
+    );
+    await fs.outputFile(
+      path.join(scriptsDir, 'project', 'bmad-registries.yaml'),
+      'registries:\n  - name: local\n    path: ./modules.yaml\n    trust: internal\n',
+    );
+    scriptsManager.useProjectRegistries(path.join(scriptsDir, 'project'));
+
+    const cacheDir = path.join(scriptsDir, 'cache');
+    const fetchWith = async (policy) => {
+      await fs.remove(cacheDir);
+      scriptsManager.setInstallScriptsPolicy(policy);
+      const modules = new ModuleManager();
+      modules.getExternalCacheDir = () => cacheDir;
+      return modules.cloneExternalModule('hooks', { silent: true });
+    };
+
+    assert(scriptsManager.getInstallScriptsPolicy() === 'ignore-scripts', 'npm install scripts are skipped by default');
+
+    let cloneDir = await fetchWith('ignore-scripts');
+    assert(
+      (await fs.pathExists(path.join(cloneDir, 'node_modules', 'helper'))) &&
+        !(await fs.pathExists(path.join(cloneDir, 'postinstall-ran'))) &&
+        !scriptsManager.getScriptRuns().includes('hooks'),
+      'With ignore-scripts, dependencies are installed without running install scripts',
+    );
+
+    cloneDir = await fetchWith('never');
+    assert(!(await fs.pathExists(path.join(cloneDir, 'node_modules'))), 'With never, npm install does not run');
+
+    cloneDir = await fetchWith('always');
+    assert(
+      (await fs.pathExists(path.join(cloneDir, 'postinstall-ran'))) && scriptsManager.getScriptRuns().includes('hooks'),
+      'With always, install scripts run and the module is listed for the summary',
+    );
+
+    const brokenDir = path.join(scriptsDir, 'broken');
+    await fs.outputJson(path.join(brokenDir, 'package.json'), {
+      name: 'broken',
+      version: '1.0.0',
+      scripts: { preinstall: 'node -e "process.exit(1)"' },
+    });
+    scriptsManager.clearScriptRuns();
+    const quietSpinner = { start() {}, stop() {}, error() {} };
+    await new ModuleManager().installExternalDependencies('broken', { name: 'Broken' }, brokenDir, quietSpinner, true);
+    assert(!scriptsManager.getScriptRuns().includes('broken'), 'A module whose npm install failed is not listed as having run scripts');
+
+    let policyError = null;
+    try {
+      scriptsManager.setInstallScriptsPolicy('sometimes');
+    } catch (error) {
+      policyError = error;
+    }
+    assert(policyError?.message.includes('ignore-scripts'), 'An unknown npm scripts policy is rejected');
+
+    const answerPath = path.join(scriptsDir, 'bmad.config.yaml');
+    await fs.writeFile(answerPath, 'modules: [bmm]\nnpm_scripts: prompt\n');
+    const options = new AnswerFile().applyToOptions(await new AnswerFile().load(answerPath), {});
+    assert(options.npmScripts === 'prompt', 'The answer file sets the npm scripts policy');
+  } catch (error) {
+    assert(false, 'npm install scripts policy test setup', error.message);
+  } finally {
+    scriptsManager.setInstallScriptsPolicy('ignore-scripts');
+    scriptsManager.useProjectRegistries(null);
+    await fs.remove(scriptsDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test 22: Node API
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 22: Node API${colors.reset}\n`);
+
+  const apiDir = path.join(__dirname, 'temp-node-api');
+
+  try {
+    const bmad = require('..');
+    const prompts = require('../tools/cli/lib/prompts');
+    await fs.ensureDir(apiDir);
+
+    const events = [];
+    prompts.setHeadless((event) => events.push(event));
+    let promptError = null;
+    try {
+      await prompts.log.info('routed');
+      await prompts.confirm({ message: 'Continue?' });
+    } catch (error) {
+      promptError = error;
+    } finally {
+      prompts.setHeadless(null);
+    }
+    assert(
+      events[0]?.type === 'log' && events[0].message === 'routed' && promptError?.message.includes('Continue?'),
+      'Headless output becomes events and questions are refused',
+    );
+
+    const notInstalled = await bmad.status({ directory: apiDir });
+    assert(notInstalled.installed === false, 'status() reports a project without an installation');
+
+    const installEvents = [];
+    const result = await bmad.install({ directory: apiDir, modules: [], tools: [], onEvent: (event) => installEvents.push(event) });
+    assert(
+      result.success && result.action === 'install' && result.steps.length > 0 && (await fs.pathExists(path.join(apiDir, '_bmad', 'core'))),
+      'install() installs without prompting and returns the summary steps',
+    );
+    assert(
+      installEvents.some((e) => e.type === 'note' && e.title === 'BMAD is ready to use!'),
+      'The install summary is emitted as an event',
+    );
+
+    const installed = await bmad.status({ directory: apiDir });
+    assert(installed.installed && installed.modules.some((m) => m.name === 'core'), 'status() lists the installed modules');
+
+    const removed = await bmad.uninstall({ directory: apiDir });
+    assert(removed.success && !(await fs.pathExists(path.join(apiDir, '_bmad'))), 'uninstall() removes the installation');
+  } catch (error) {
+    assert(false, 'Node API test setup', error.message);
+  } finally {
+    await fs.remove(apiDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 23: Lockfile
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 23: Lockfile${colors.reset}\n`);
+
+  const lockDir = path.join(__dirname, 'temp-lockfile');
+
+  try {
+    const bmad = require('..');
+    const lockfile = new Lockfile();
+    const bmadDir = path.join(lockDir, '_bmad');
+    await fs.ensureDir(lockDir);
+
+    await bmad.install({ directory: lockDir, modules: [], tools: [] });
+    const lock = await lockfile.read(bmadDir);
+    assert(
+      lock?.modules?.core?.source === 'built-in' &&
+        lock.bmadVersion === lock.modules.core.version &&
+        Object.keys(lock.files).some((f) => f.startsWith('_bmad/core/')) &&
+        !('_bmad/_config/manifest.yaml' in lock.files),
+      'An install writes bmad.lock with module sources and file hashes',
+    );
+
+    const rebuilt = await lockfile.build(lockDir, bmadDir);
+    assert(lockfile.compare(lock, rebuilt).length === 0, 'The lock holds nothing that changes between identical installs');
+
+    const frozen = await bmad.update({ directory: lockDir, frozenLockfile: true });
+    assert(frozen.success, '--frozen-lockfile accepts an install that matches the lock');
+
+    await new ConfigEditor().set(lockDir, 'user_name', 'Lock Tester');
+    const afterSet = await lockfile.read(bmadDir);
+    assert(
+      afterSet.files['_bmad/core/config.yaml'] !== lock.files['_bmad/core/config.yaml'] &&
+        lockfile.compare(afterSet, await lockfile.build(lockDir, bmadDir)).length === 0,
+      'config set rewrites bmad.lock along with the config files',
+    );
+    let afterSetError = null;
+    await lockfile.assertUnchanged(bmadDir, bmadDir).catch((error) => (afterSetError = error));
+    const frozenAfterSet = await bmad.update({ directory: lockDir, frozenLockfile: true }).catch((error) => ({ error }));
+    assert(
+      !afterSetError && frozenAfterSet.success,
+      '--frozen-lockfile accepts an install after config set',
+      afterSetError?.message || frozenAfterSet.error?.message,
+    );
+
+    const tampered = structuredClone(lock);
+    tampered.modules.core.version = '0.0.1';
+    tampered.files['_bmad/core/extra.md'] = 'abc';
+    const differences = lockfile.compare(tampered, lock);
+    assert(
+      differences.includes('module core: version 0.0.1 -> ' + lock.modules.core.version) &&
+        differences.includes('_bmad/core/extra.md: removed'),
+      'Lock differences name the module field or file that changed',
+    );
+
+    await lockfile.write(bmadDir, tampered);
+    const before = await fs.readFile(lockfile.getPath(bmadDir), 'utf8');
+    let frozenError = null;
+    try {
+      await bmad.update({ directory: lockDir, frozenLockfile: true });
+    } catch (error) {
+      frozenError = error;
+    }
+    assert(
+      frozenError?.message.includes('does not match bmad.lock') && (await fs.readFile(lockfile.getPath(bmadDir), 'utf8')) === before,
+      '--frozen-lockfile refuses an install that differs from the lock and leaves the project unchanged',
+    );
+
+    await fs.outputFile(path.join(bmadDir, '_config', 'custom', 'mymod', 'module.yaml'), 'code: mymod\nversion: 1.2.0\n');
+    await new Manifest().create(bmadDir, { modules: ['core', 'mymod'], ides: [] });
+    const created = await new Manifest().getModuleVersion(bmadDir, 'mymod');
+    assert(created?.source === 'custom' && created.version === '1.2.0', 'Manifest.create records the source and version of custom modules');
+  } catch (error) {
+    assert(false, 'Lockfile test setup', error.message);
+  } finally {
+    await fs.remove(lockDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 24: Selective Uninstall
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 24: Selective Uninstall${colors.reset}\n`);
+
+  const selectiveDir = path.join(__dirname, 'temp-selective-uninstall');
+
+  try {
+    const bmad = require('..');
+    const bmadDir = path.join(selectiveDir, '_bmad');
+    await fs.ensureDir(selectiveDir);
+    await bmad.install({ directory: selectiveDir, modules: ['bmm'], tools: ['claude-code', 'cursor'] });
+
+    const commands = async (dir) =>
+      (await fs.pathExists(path.join(selectiveDir, dir))) ? await fs.readdir(path.join(selectiveDir, dir)) : [];
+
+    await bmad.uninstall({ directory: selectiveDir, ide: 'cursor' });
+    const afterIde = await new Manifest().read(bmadDir);
+    assert(!(await fs.pathExists(path.join(selectiveDir, '.cursor'))), 'Removing an IDE removes its folder once it holds nothing else');
+    assert(
+      (await commands('.cursor/commands')).length === 0 &&
+        (await commands('.claude/commands')).length > 0 &&
+        !(await fs.pathExists(path.join(bmadDir, '_config', 'ides', 'cursor.yaml'))) &&
+        afterIde.ides.join(',') === 'claude-code',
+      'Removing an IDE cleans only its commands and drops its saved configuration',
+    );
+
+    await bmad.uninstall({ directory: selectiveDir, module: 'bmm' });
+    const afterModule = await new Manifest().read(bmadDir);
+    const helpCatalog = await fs.readFile(path.join(bmadDir, '_config', 'bmad-help.csv'), 'utf8');
+    assert(
+      !(await fs.pathExists(path.join(bmadDir, 'bmm'))) &&
+        afterModule.modules.join(',') === 'core' &&
+        !helpCatalog.includes('bmm') &&
+        !(await commands('.claude/commands')).some((f) => f.includes('bmm')),
+      'Removing a module drops its files, manifest and help catalog rows, and commands',
+    );
+
+    const lock = await new Lockfile().read(bmadDir);
+    assert(
+      lock.ides.join(',') === 'claude-code' && !lock.modules.bmm && !Object.keys(lock.files).some((f) => f.includes('bmm')),
+      'bmad.lock follows selective removals',
+    );
+
+    let notConfigured = null;
+    try {
+      await bmad.uninstall({ directory: selectiveDir, ide: 'cursor' });
+    } catch (error) {
+      notConfigured = error;
+    }
+    assert(notConfigured?.message.includes('is not configured'), 'Removing an IDE that is not configured fails');
+  } catch (error) {
+    assert(false, 'Selective uninstall test setup', error.message);
+  } finally {
+    await fs.remove(selectiveDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 25: Merging Edited Files on Update
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 25: Merging Edited Files on Update${colors.reset}\n`);
+
+  const mergeDir = path.join(__dirname, 'temp-file-merge');
+
+  try {
+    const merger = new FileMerger();
+    const bmadDir = path.join(mergeDir, '_bmad');
+    const backupDir = path.join(mergeDir, 'ours');
+    const baseDir = path.join(mergeDir, 'base');
+    const lines = (...values) => values.join('\n') + '\n';
+
+    // Each file: [previous version, user's edit, new version]
+    const files = {
+      'bmm/kept.md': [lines('a', 'b'), lines('a', 'b', 'mine'), lines('a', 'b')],
+      'bmm/merged.md': [lines('a', 'b', 'c', 'd'), lines('mine', 'b', 'c', 'd'), lines('a', 'b', 'c', 'new')],
+      'bmm/conflict.md': [lines('a', 'b'), lines('mine', 'b'), lines('new', 'b')],
+    };
+    for (const [file, [base, ours, theirs]] of Object.entries(files)) {
+      await fs.outputFile(path.join(baseDir, file), base);
+      await fs.outputFile(path.join(backupDir, file), ours);
+      await fs.outputFile(path.join(bmadDir, file), theirs);
+    }
+    await fs.outputFile(path.join(backupDir, 'bmm/no-base.md'), 'mine\n');
+    await fs.outputFile(path.join(bmadDir, 'bmm/no-base.md'), 'new\n');
+
+    const modified = [...Object.keys(files), 'bmm/no-base.md'].map((f) => ({ path: path.join(bmadDir, f) }));
+    const outcome = await merger.restoreEdits(bmadDir, modified, backupDir, baseDir);
+    const read = (file) => fs.readFile(path.join(bmadDir, file), 'utf8');
+
+    assert(
+      outcome.kept[0] === 'bmm/kept.md' && (await read('bmm/kept.md')) === files['bmm/kept.md'][1],
+      'An edit to a file that did not change upstream is kept as it is',
+    );
+    assert(
+      outcome.merged[0] === 'bmm/merged.md' && (await read('bmm/merged.md')) === lines('mine', 'b', 'c', 'new'),
+      'Edits and upstream changes to different lines are merged',
+    );
+    const conflicted = await read('bmm/conflict.md');
+    assert(
+      outcome.conflicted[0] === 'bmm/conflict.md' && conflicted.includes('<<<<<<< your edit') && conflicted.includes('>>>>>>> new version'),
+      'Overlapping changes get conflict markers',
+    );
+    assert(
+      outcome.backedUp[0] === 'bmm/no-base.md' &&
+        (await read('bmm/no-base.md')) === 'new\n' &&
+        (await read('bmm/no-base.md.bak')) === 'mine\n',
+      'Without a previous version the edit is saved as .bak',
+    );
+
+    await fs.outputFile(path.join(bmadDir, 'core', 'config.yaml'), 'user_name: x\n');
+    await merger.savePristine(bmadDir, [{ path: 'bmm/merged.md' }, { path: 'core/config.yaml' }]);
+    assert(
+      (await fs.pathExists(merger.getPristinePath(bmadDir, 'bmm/merged.md'))) &&
+        !(await fs.pathExists(merger.getPristinePath(bmadDir, 'core/config.yaml'))),
+      'Installed versions of tracked files are kept, except regenerated config files',
+    );
+  } catch (error) {
+    assert(false, 'File merge test setup', error.message);
+  } finally {
+    await fs.remove(mergeDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 26: Incremental IDE Regeneration
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 26: Incremental IDE Regeneration${colors.reset}\n`);
+
+  const ideSyncDir = path.join(__dirname, 'temp-ide-sync');
+
+  try {
+    const commandsDir = path.join(ideSyncDir, '.claude', 'commands');
+    await fs.outputFile(path.join(commandsDir, 'bmad-same.md'), 'Same\n');
+    await fs.outputFile(path.join(commandsDir, 'bmad-changed.md'), 'Old\n');
+    await fs.outputFile(path.join(commandsDir, 'bmad-stale.md'), 'Stale\n');
+    await fs.outputFile(path.join(commandsDir, 'my-notes.md'), 'Mine\n');
+    const past = new Date('2020-01-01');
+    await fs.utimes(path.join(commandsDir, 'bmad-same.md'), past, past);
+
+    const ideSetup = new ConfigDrivenIdeSetup('claude-code', { name: 'Claude Code', installer: { target_dir: '.claude/commands' } });
+    const rendered = new Map([
+      [path.join(commandsDir, 'bmad-same.md'), 'Same\n'],
+      [path.join(commandsDir, 'bmad-changed.md'), 'New\n'],
+      [path.join(commandsDir, 'bmad-new.md'), 'Load {project-root}/_bmad/core/tasks/help.md\n'],
+    ]);
+    const changes = await ideSetup.syncTarget(ideSyncDir, '.claude/commands', rendered);
+
+    assert(
+      changes.added === 1 && changes.updated === 1 && changes.removed === 1 && changes.unchanged === 1,
+      'Added, updated, removed and unchanged command files are counted',
+      JSON.stringify(changes),
+    );
+    const remaining = (await fs.readdir(commandsDir)).sort();
+    assert(
+      remaining.join(',') === 'bmad-changed.md,bmad-new.md,bmad-same.md,my-notes.md',
+      'Command files no longer generated are removed and other files are left alone',
+      remaining.join(','),
+    );
+    assert(
+      (await fs.stat(path.join(commandsDir, 'bmad-same.md'))).mtime.getTime() === past.getTime(),
+      'Command files whose content is unchanged are not rewritten',
+    );
+    assert(
+      (await fs.readFile(path.join(commandsDir, 'bmad-changed.md'), 'utf8')) === 'New\n' &&
+        (await fs.readFile(path.join(commandsDir, 'bmad-new.md'), 'utf8')).includes('/_bmad/core/'),
+      'Changed and new command files are written',
+    );
+  } catch (error) {
+    assert(false, 'Incremental IDE regeneration test setup', error.message);
+  } finally {
+    await fs.remove(ideSyncDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 27: Parallel Installation and Profiling
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 27: Parallel Installation and Profiling${colors.reset}\n`);
+
+  const parallelDir = path.join(__dirname, 'temp-parallel-install');
+
+  try {
+    let running = 0;
+    let mostRunning = 0;
+    const delays = [30, 5, 20, 10, 1];
+    const results = await mapLimit(delays, 2, async (delay, index) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+    assert(
+      mostRunning === 2 && results.join(',') === '0,1,2,3,4',
+      'Parallel work stays within its limit and keeps the order of results',
+      `most running: ${mostRunning}, results: ${results.join(',')}`,
+    );
+
+    let rejected = null;
+    await mapLimit([1, 2, 3], 3, async (n) => {
+      if (n === 2) throw new Error('step 2 failed');
+    }).catch((error) => (rejected = error));
+    assert(rejected?.message === 'step 2 failed', 'A failing step rejects the parallel run');
+
+    const bmadDir = path.join(parallelDir, '_bmad');
+    await new Manifest().create(bmadDir, { modules: ['core'], ides: [] });
+    const manifest = new Manifest();
+    await Promise.all(['m1', 'm2', 'm3', 'm4'].map((name) => manifest.addModule(bmadDir, name, { version: '1.0.0' })));
+    const names = (await manifest.read(bmadDir)).modules.sort();
+    assert(names.join(',') === 'core,m1,m2,m3,m4', 'Modules recorded in the manifest at the same time are all kept', names.join(','));
+
+    const profiler = new InstallProfiler();
+    profiler.enable(true);
+    await profiler.measure('copy', 'bmm', () => new Promise((resolve) => setTimeout(resolve, 5)));
+    await profiler.measure('copy', 'bmm', async () => {});
+    await profiler.measure('ide', 'claude-code', async () => {});
+    const timings = profiler.getTimings();
+    profiler.enable(false);
+    assert(
+      timings.phases.length === 2 &&
+        timings.phases[0].phase === 'copy' &&
+        timings.phases[0].item === 'bmm' &&
+        timings.phases[0].ms >= 4 &&
+        timings.totalMs >= timings.phases[0].ms,
+      'Profiling adds up the time of each phase and item',
+      JSON.stringify(timings),
+    );
+    assert(
+      (await profiler.measure('copy', 'core', async () => 'done')) === 'done' && profiler.getTimings().phases.length === 0,
+      'Nothing is recorded unless profiling is enabled',
+    );
+  } catch (error) {
+    assert(false, 'Parallel installation test setup', error.message);
+  } finally {
+    await fs.remove(parallelDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 28: Install Log
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 28: Install Log${colors.reset}\n`);
+
+  const logDir = path.join(__dirname, 'temp-install-log');
+
+  try {
+    const bmadDir = path.join(logDir, '_bmad');
+    const installLog = new InstallLog();
+
+    installLog.record('Installer', 'ignored');
+    assert((await installLog.finish(bmadDir, { success: true })) === null, 'Nothing is logged before a run starts');
+
+    installLog.start({ command: 'install' });
+    installLog.record('ModuleManager', 'module.source', { module: 'bmm', version: '6.0.0' });
+    const copied = await installLog.time('ModuleManager', 'module.install', { module: 'bmm' }, async () => 'copied');
+    let thrown = null;
+    await installLog
+      .time('IdeManager', 'ide.setup', { ide: 'cursor' }, async () => {
+        throw new Error('disk full');
+      })
+      .catch((error) => (thrown = error));
+    const logPath = await installLog.finish(bmadDir, { success: false });
+
+    assert(copied === 'copied' && thrown?.message === 'disk full', 'Timed steps return their result and rethrow their error');
+    assert(
+      path.dirname(logPath) === installLog.getLogsDir(bmadDir) && !installLog.isActive(),
+      'Finishing writes the log under _config/logs and ends the run',
+      logPath,
+    );
+
+    await fs.appendFile(logPath, '{"cut off');
+    const events = await installLog.read(logPath);
+    assert(
+      events.map((e) => e.event).join(',') === 'run.start,module.source,module.install,ide.setup,run.end',
+      'The log keeps every event in order and skips a partial last line',
+      events.map((e) => e.event).join(','),
+    );
+    const install = events.find((e) => e.event === 'module.install');
+    const failedSetup = events.find((e) => e.event === 'ide.setup');
+    assert(
+      install.source === 'ModuleManager' && install.module === 'bmm' && typeof install.durationMs === 'number' && install.level === 'info',
+      'Timed steps are recorded with their source, details and duration',
+      JSON.stringify(install),
+    );
+    assert(
+      failedSetup.level === 'error' && failedSetup.error.message === 'disk full' && failedSetup.error.stack.includes('disk full'),
+      'Failed steps are recorded as errors with their stack',
+      JSON.stringify(failedSetup.error),
+    );
+    assert(events.at(-1).success === false && events.at(-1).level === 'error', 'The end of a failed run is recorded as an error');
+    assert(await installLog.hasOnlyLogs(bmadDir), 'A bmad folder holding only logs is not taken for an installation');
+
+    for (let i = 0; i < MAX_LOGS + 2; i++) {
+      await fs.writeFile(
+        path.join(installLog.getLogsDir(bmadDir), `install-2020-01-01T00-00-${String(i).padStart(2, '0')}-000Z.jsonl`),
+        '',
+      );
+    }
+    await installLog.prune(bmadDir);
+    const kept = await installLog.list(bmadDir);
+    assert(
+      kept.length === MAX_LOGS && kept[0] === path.basename(logPath),
+      `Only the newest ${MAX_LOGS} logs are kept, newest first`,
+      kept.join(', '),
+    );
+
+    await fs.ensureDir(path.join(bmadDir, 'core'));
+    assert(!(await installLog.hasOnlyLogs(bmadDir)), 'A bmad folder with modules is an installation');
+
+    installLog.start();
+    installLog.discard();
+    assert(!installLog.isActive() && (await installLog.list(bmadDir)).length === MAX_LOGS, 'A discarded run writes no log');
+
+    // A run that is stopped midway leaves the events recorded so far
+    const { execFileSync, spawnSync } = require('node:child_process');
+    const stoppedDir = path.join(logDir, 'stopped');
+    const stoppedBmadDir = path.join(stoppedDir, '_bmad');
+    const installLogModule = path.join(__dirname, '..', 'tools', 'cli', 'installers', 'lib', 'core', 'install-log');
+    spawnSync(
+      process.execPath,
+      [
+        '-e',
+        `const { InstallLog } = require(${JSON.stringify(installLogModule)});
+        const log = new InstallLog();
+        log.start({ command: 'install' });
+        log.open(${JSON.stringify(stoppedBmadDir)});
+        log.record('ModuleManager', 'module.install', { module: 'bmm' });
+        process.exit(1);`,
+      ],
+      { stdio: 'ignore', timeout: 60_000 },
+    );
+    const [stoppedLog] = await installLog.list(stoppedBmadDir);
+    const stoppedEvents = stoppedLog ? await installLog.read(path.join(installLog.getLogsDir(stoppedBmadDir), stoppedLog)) : [];
+    assert(
+      stoppedEvents.map((e) => e.event).join(',') === 'run.start,module.install',
+      'A run stopped midway leaves its log, without a run.end event',
+      stoppedEvents.map((e) => e.event).join(','),
+    );
+
+    const shown = execFileSync(
+      process.execPath,
+      [path.join(__dirname, '..', 'tools', 'cli', 'bmad-cli.js'), 'logs', '--directory', stoppedDir],
+      {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: 60_000,
+      },
+    );
+    assert(shown.includes('did not finish'), 'bmad logs shows a stopped run as unfinished');
+
+    // Logs written while an install is staged survive the swap
+    const liveDir = path.join(logDir, 'live');
+    const liveLogsDir = installLog.getLogsDir(path.join(liveDir, '_bmad'));
+    await fs.outputFile(path.join(liveDir, '_bmad', 'core', 'config.yaml'), 'old\n');
+    await fs.outputFile(path.join(liveLogsDir, 'install-old.jsonl'), '{}\n');
+    const liveTransaction = new InstallTransaction(liveDir);
+    const liveStagingDir = await liveTransaction.begin();
+    assert(!(await fs.pathExists(installLog.getLogsDir(path.join(liveStagingDir, '_bmad')))), 'Install logs are not copied into staging');
+    await fs.appendFile(path.join(liveLogsDir, 'install-old.jsonl'), '{"event":"during"}\n');
+    await fs.outputFile(path.join(liveStagingDir, '_bmad', 'core', 'config.yaml'), 'new\n');
+    await liveTransaction.commit();
+    assert(
+      (await fs.readFile(path.join(liveDir, '_bmad', 'core', 'config.yaml'), 'utf8')) === 'new\n' &&
+        (await fs.readFile(path.join(liveLogsDir, 'install-old.jsonl'), 'utf8')).includes('during'),
+      'Committing an install keeps the logs appended while it ran',
+    );
+  } catch (error) {
+    assert(false, 'Install log test setup', error.message);
+  } finally {
+    await fs.remove(logDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 29: Workspaces
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 29: Workspaces${colors.reset}\n`);
+
+  const workspaceDir = path.join(__dirname, 'temp-workspace');
+
+  try {
+    const workspace = new Workspace();
+    const bmadDir = path.join(workspaceDir, '_bmad');
+    await fs.ensureDir(path.join(workspaceDir, 'apps', 'Web App', 'src'));
+    await fs.ensureDir(path.join(workspaceDir, 'services', 'api'));
+    await fs.outputFile(
+      path.join(workspaceDir, WORKSPACE_FILE),
+      [
+        'packages:',
+        '  - path: apps/Web App',
+        '    config:',
+        '      bmm:',
+        '        project_name: Web',
+        '        planning_artifacts: "{package-root}/plans"',
+        '      bmb:',
+        '        bmb_creations_output_folder: "{package-root}/agents"',
+        '  - path: services/api',
+        '    name: api',
+        '    config:',
+        '      core:',
+        '        user_name: Api Team',
+        '      cis:',
+        '        visual_tools: none',
+        '',
+      ].join('\n'),
+    );
+    await fs.outputFile(path.join(bmadDir, 'core', 'config.yaml'), 'user_name: Sam\n');
+    await fs.outputFile(
+      path.join(bmadDir, 'bmm', 'config.yaml'),
+      'project_name: Shop\nplanning_artifacts: "{project-root}/plans"\nuser_name: Sam\n',
+    );
+    await fs.outputFile(path.join(bmadDir, 'bmb', 'config.yaml'), 'bmb_creations_output_folder: "{project-root}/agents"\n');
+
+    const loaded = await workspace.read(workspaceDir);
+    assert(
+      loaded.commands === 'ask' && loaded.packages.map((p) => `${p.name}:${p.path}`).join(',') === 'web-app:apps/Web App,api:services/api',
+      'Packages are read with names from their folders unless given one',
+      JSON.stringify(loaded.packages.map((p) => p.name)),
+    );
+
+    const badManifests = [
+      ['packages: []', 'at least one package'],
+      ['packages:\n  - path: ../elsewhere', 'inside the workspace'],
+      ['packages:\n  - apps/a\n  - libs/a', "two packages are named 'a'"],
+      ['commands: per-package\npackages:\n  - apps/a', 'commands must be ask or namespaced'],
+    ];
+    for (const [content, expected] of badManifests) {
+      let message = '';
+      try {
+        workspace.parse(content, workspaceDir);
+      } catch (error) {
+        message = error.message;
+      }
+      assert(message.includes(expected), `Invalid workspace manifests are refused (${expected})`, message);
+    }
+
+    const member = workspace.findRoot(path.join(workspaceDir, 'apps', 'Web App', 'src'));
+    assert(
+      member?.package.name === 'web-app' && member.workspace.rootDir === workspaceDir,
+      'A folder inside a package is found to belong to the workspace',
+    );
+    assert(workspace.findRoot(path.join(workspaceDir, 'apps')) === null, 'A folder outside every package belongs to no workspace');
+
+    const { bmadDir: foundBmadDir } = await new Installer().findBmadDir(path.join(workspaceDir, 'services', 'api'));
+    assert(foundBmadDir === bmadDir, 'A package without its own install uses the workspace install', foundBmadDir);
+
+    const { written, ignored } = await workspace.writePackageConfigs(bmadDir, loaded);
+    const yaml = require('yaml');
+    const readPackageConfig = async (name, moduleName) =>
+      yaml.parse(await fs.readFile(path.join(workspace.getPackageConfigDir(bmadDir, name), moduleName, 'config.yaml'), 'utf8'));
+    const webBmm = await readPackageConfig('web-app', 'bmm');
+    const apiBmm = await readPackageConfig('api', 'bmm');
+    assert(
+      written.length === 6 && ignored.join(',') === 'api.cis',
+      'Every package gets every installed module config, and overlays of modules not installed are reported',
+      `${written.length} written, ignored: ${ignored.join(',')}`,
+    );
+    assert(
+      webBmm.project_name === 'Web' &&
+        webBmm.planning_artifacts === '{project-root}/apps/Web App/plans' &&
+        webBmm.user_name === 'Sam' &&
+        webBmm.package_root === '{project-root}/apps/Web App',
+      'Package overlays replace module settings and {package-root} points at the package',
+      JSON.stringify(webBmm),
+    );
+    assert(
+      apiBmm.project_name === 'Shop' &&
+        apiBmm.user_name === 'Api Team' &&
+        (await readPackageConfig('api', 'core')).user_name === 'Api Team',
+      'Core overlay values reach every module of the package',
+      JSON.stringify(apiBmm),
+    );
+    assert(
+      (await fs.readFile(path.join(bmadDir, 'bmm', 'config.yaml'), 'utf8')).includes('project_name: Shop'),
+      'The shared module configs are left as installed',
+    );
+
+    const agentConfig = findBmadConfig(path.join(workspaceDir, 'apps', 'Web App'));
+    assert(
+      agentConfig?.projectRoot === workspaceDir && agentConfig.bmb_creations_output_folder === '{project-root}/apps/Web App/agents',
+      'The agent installer finds the workspace config with the package overlay',
+      JSON.stringify(agentConfig),
+    );
+
+    const ideSetup = new ConfigDrivenIdeSetup('claude-code', { name: 'Claude Code', installer: { target_dir: '.claude/commands' } });
+    const commandsDir = path.join(workspaceDir, '.claude', 'commands');
+    const command = "---\nname: 'pm'\ndescription: 'pm agent'\n---\n\nLOAD {project-root}/_bmad/bmm/agents/pm.md\n";
+
+    ideSetup.workspace = loaded;
+    const asking = ideSetup.getWorkspaceVariants(path.join(commandsDir, 'bmad-agent-bmm-pm.md'), command);
+    assert(
+      asking.length === 1 &&
+        asking[0][1].includes('ask the user which package') &&
+        asking[0][1].includes('- web-app (apps/Web App)') &&
+        asking[0][1].startsWith(command.trimEnd()),
+      'In ask mode each command lists the packages and asks which one to work on',
+      asking[0]?.[1],
+    );
+
+    ideSetup.workspace = { ...loaded, commands: 'namespaced' };
+    const namespaced = new Map(ideSetup.getWorkspaceVariants(path.join(commandsDir, 'bmad-agent-bmm-pm.md'), command));
+    const apiCommand = namespaced.get(path.join(commandsDir, 'bmad-api-agent-bmm-pm.md')) || '';
+    assert(
+      namespaced.get(path.join(commandsDir, 'bmad-agent-bmm-pm.md')) === command &&
+        apiCommand.includes("name: 'api-pm'") &&
+        apiCommand.includes('_config/workspace/api/<module>/config.yaml') &&
+        namespaced.has(path.join(commandsDir, 'bmad-web-app-agent-bmm-pm.md')),
+      'In namespaced mode each package gets its own copy of every command',
+      [...namespaced.keys()].map((f) => path.basename(f)).join(', '),
+    );
+
+    const toml = 'description = "pm"\nprompt = """\nLOAD the agent\n"""\n';
+    const tomlCommand = ideSetup.getWorkspaceVariants(path.join(commandsDir, 'bmad-agent-bmm-pm.toml'), toml)[1][1];
+    assert(
+      tomlCommand.indexOf('WORKSPACE PACKAGE') < tomlCommand.lastIndexOf('"""') && tomlCommand.endsWith('"""\n'),
+      'Package instructions go inside the prompt of a TOML command',
+      tomlCommand,
+    );
+
+    await fs.outputFile(path.join(commandsDir, 'bmad-api-bmm-create-prd.md'), 'old');
+    await fs.outputFile(path.join(commandsDir, 'bmad-api-agent-bmm-pm.md'), 'old');
+    await fs.outputFile(path.join(commandsDir, 'bmad-api-help.md'), 'old');
+    await ideSetup.cleanupModuleFiles(workspaceDir, '.claude/commands', ['bmm'], ['core', 'bmm'], ['web-app', 'api']);
+    assert(
+      (await fs.readdir(commandsDir)).join(',') === 'bmad-api-help.md',
+      "Removing a module removes the packages' commands for it",
+      (await fs.readdir(commandsDir)).join(','),
+    );
+  } catch (error) {
+    assert(false, 'Workspace test setup', error.message);
+  } finally {
+    await fs.remove(workspaceDir);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 30: Status Output
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 30: Status Output${colors.reset}\n`);
+
+  const statusDir = path.join(__dirname, 'temp-status');
+
+  try {
+    const { execFileSync, spawnSync } = require('node:child_process');
+    const yaml = require('yaml');
+    const runStatus = (format) =>
+      execFileSync(
+        process.execPath,
+        [path.join(__dirname, '..', 'tools', 'cli', 'bmad-cli.js'), 'status', '--directory', statusDir, format],
+        {
+          encoding: 'utf8',
+          stdio: ['ignore', 'pipe', 'pipe'],
+          timeout: 60_000,
+        },
+      );
+
+    await fs.ensureDir(statusDir);
+    const missing = JSON.parse(runStatus('--json'));
+    assert(
+      missing.installed === false && missing.projectDir === statusDir && missing.bmadDir === path.join(statusDir, '_bmad'),
+      'status --json reports a project without an installation',
+    );
+
+    const bmadDir = path.join(statusDir, '_bmad');
+    await new Manifest().create(bmadDir, { version: '6.0.2', modules: ['core'], ides: ['claude-code'] });
+    await new IdeConfigManager().saveIdeConfig(bmadDir, 'claude-code', { scope: 'project' });
+    await fs.outputFile(path.join(bmadDir, 'core', 'tasks', 'help.md'), '# help\n');
+    const helpHash = await new Manifest().calculateFileHash(path.join(bmadDir, 'core', 'tasks', 'help.md'));
+    await fs.outputFile(
+      path.join(bmadDir, '_config', 'files-manifest.csv'),
+      `type,name,module,path,hash\n"md","help","core","core/tasks/help.md","${helpHash}"\n`,
+    );
+
+    const json = JSON.parse(runStatus('--json'));
+    assert(
+      Object.keys(json).join(',') === 'installed,projectDir,bmadDir,version,installDate,lastUpdated,modules,ides,availableUpdates,drift',
+      'status --json has the expected top-level fields',
+      Object.keys(json).join(','),
+    );
+    assert(
+      json.installed === true &&
+        Object.keys(json.modules[0]).join(',') === 'name,version,source,installDate,lastUpdated,npmPackage,repoUrl' &&
+        json.modules[0].name === 'core',
+      'Each module has its name, version, source, dates and package',
+    );
+    assert(
+      json.ides.length === 1 && json.ides[0].name === 'claude-code' && json.ides[0].configuration?.scope === 'project',
+      'Each tool is listed with its saved configuration',
+    );
+    assert(
+      Array.isArray(json.availableUpdates) && json.drift?.checked === 1 && json.drift.modified === 0 && json.drift.healthy === true,
+      'Available updates and drift are included',
+    );
+
+    const yamlStatus = yaml.parse(runStatus('--yaml'));
+    assert(JSON.stringify(yamlStatus) === JSON.stringify(json), 'status --yaml holds the same data as --json');
+
+    await fs.outputFile(path.join(bmadDir, '_config', 'manifest.yaml'), 'installation:\n  version: 6.0.0\nmodules: 5\n');
+    const failed = spawnSync(
+      process.execPath,
+      [path.join(__dirname, '..', 'tools', 'cli', 'bmad-cli.js'), 'status', '--directory', statusDir, '--json'],
+      {
+        encoding: 'utf8',
+        timeout: 60_000,
+      },
+    );
+    let failure = null;
+    try {
+      failure = JSON.parse(failed.stdout);
+    } catch {
+      // Not JSON
+    }
+    assert(
+      failed.status === 1 && failure?.installed === null && typeof failure.error === 'string',
+      'A failed status check prints {installed: null, error} and exits 1',
+      failed.stdout,
+    );
+  } catch (error) {
+    assert(false, 'Status output test setup', error.message);
+  } finally {
+    await fs.remove(statusDir);
+  }
+
+  console.log('');
+
   // ============================================================
   // Summary
   // ============================================================
@@ -0,0 +1,239 @@
+/**
+ * BMAD Node API
+ *
+ * Runs the installer from another program instead of the terminal:
+ *
+ *   const { install, update, status, uninstall } = require('bmad-method');
+ *   const result = await install({
+ *     directory: '/path/to/project',
+ *     modules: ['bmm'],
+ *     tools: ['claude-code'],
+ *     onEvent: (event) => console.log(event.message),
+ *   });
+ *
+ * Options mirror the install command's flags in camelCase, with lists given
+ * as arrays. Nothing is ever prompted: every question takes its default or
+ * the value given in `answers`, and a question that has no answer rejects
+ * the call. Nothing calls process.exit; failures reject with an Error.
+ *
+ * Output is passed to the optional `onEvent` callback instead of being printed:
+ *   {type: 'progress', message}           - a step started or finished
+ *   {type: 'log', level, message}         - level: info, success, warn, error, message or step
+ *   {type: 'note', title, message}        - a block of text, such as the install summary
+ *
+ * Runs share the installer's per-process state, so calls are queued and
+ * run one at a time.
+ *
+ * @module bmad-method
+ */
+
+const path = require('node:path');
+const prompts = require('./lib/prompts');
+const { UI } = require('./lib/ui');
+const { Installer } = require('./installers/lib/core/installer');
+const { AnswerFile } = require('./installers/lib/core/answer-file');
+const { ModuleEditor } = require('./installers/lib/core/module-editor');
+const { StatusReporter } = require('./installers/lib/core/status-reporter');
+const { ExternalModuleManager } = require('./installers/lib/modules/external-manager');
+const { ModuleMirror } = require('./installers/lib/modules/module-mirror');
+const { ModuleVerifier } = require('./installers/lib/modules/module-verifier');
+const { InstallProfiler } = require('./installers/lib/core/install-profiler');
+const { InstallLog } = require('./installers/lib/core/install-log');
+
+/**
+ * Tail of the queue of runs; each run starts when the previous one settles
+ */
+let queue = Promise.resolve();
+
+/**
+ * Join an array option the way the command line takes it
+ * @param {Array<string>|string|undefined} value - List or comma-separated string
+ * @returns {string|undefined}
+ */
+function toFlag(value) {
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+/**
+ * Run an operation headless, after any run already in progress
+ * @param {Function} operation - Async function doing the work
+ * @param {Function} [onEvent] - Receives the run's output events
+ * @returns {Promise<any>} The operation's result
+ */
+async function run(operation, onEvent) {
+  const previous = queue;
+  let release;
+  queue = new Promise((resolve) => (release = resolve));
+  await previous;
+
+  prompts.setHeadless((event) => onEvent?.(event));
+  try {
+    return await operation();
+  } finally {
+    prompts.setHeadless(null);
+    release();
+  }
+}
+
+/**
+ * Build the installer configuration from API options and run it
+ * @param {Object} options - Install options
+ * @returns {Promise<Object>} Install result
+ */
+async function runInstall(options) {
+  const commandOptions = {
+    ...options,
+    directory: path.resolve(options.directory || process.cwd()),
+    modules: toFlag(options.modules),
+    tools: Array.isArray(options.tools) && options.tools.length === 0 ? 'none' : toFlag(options.tools),
+    customContent: toFlag(options.customContent),
+    yes: true,
+  };
+  if (options.config) {
+    const answerFile = new AnswerFile();
+    const loaded = await answerFile.load(options.config);
+    answerFile.applyToOptions(loaded, commandOptions);
+    commandOptions.pins = { ...loaded.pins, ...options.pins };
+    commandOptions.answers = options.answers || loaded.answers;
+  }
+
+  // Settings of an earlier run in this process must not carry over
+  const externalModuleManager = new ExternalModuleManager();
+  const moduleVerifier = new ModuleVerifier();
+  const profiler = new InstallProfiler();
+  profiler.enable(commandOptions.profile);
+  new InstallLog().start({ api: 'install' });
+  externalModuleManager.clearOfflineSource();
+  externalModuleManager.clearScriptRuns();
+  moduleVerifier.clearResults();
+  moduleVerifier.allowUnverifiedModules(commandOptions.allowUnverified);
+  externalModuleManager.setInstallScriptsPolicy(commandOptions.npmScripts || 'ignore-scripts');
+  await new ModuleMirror().useForInstall(commandOptions);
+
+  const config = await new UI().promptInstall(commandOptions);
+  config.dryRun = Boolean(commandOptions.dryRun);
+  config.frozenLockfile = Boolean(commandOptions.frozenLockfile);
+  config.jobs = commandOptions.jobs;
+  config.answers = commandOptions.answers;
+  config.pins = commandOptions.pins || {};
+  if (commandOptions.upgradeModules) {
+    config.upgradeModules = commandOptions.upgradeModules;
+  }
+
+  const installer = new Installer();
+  let result;
+  switch (config.actionType) {
+    case 'quick-update': {
+      result = await installer.quickUpdate(config);
+      break;
+    }
+    case 'compile-agents': {
+      return { success: true, action: 'compile-agents', ...(await installer.compileAgents(config)) };
+    }
+    default: {
+      result = await installer.install(config);
+    }
+  }
+
+  if (!result || result.cancelled) {
+    return { success: false, cancelled: true, action: config.actionType };
+  }
+
+  const projectDir = path.resolve(config.directory);
+  return {
+    success: result.success,
+    action: config.actionType,
+    dryRun: config.dryRun,
+    projectDir,
+    bmadDir: result.path || (await installer.findBmadDir(projectDir)).bmadDir,
+    modules: result.modules,
+    ides: result.ides,
+    steps: result.results || [],
+    customFiles: result.summary?.customFiles || [],
+    modifiedFiles: result.summary?.modifiedFiles || [],
+    merge: result.summary?.merge || null,
+    scriptRuns: externalModuleManager.getScriptRuns(),
+    ...(result.plan && { plan: result.plan }),
+    ...(result.logPath && { logPath: result.logPath }),
+    ...(profiler.isEnabled() && { profile: profiler.getTimings() }),
+  };
+}
+
+/**
+ * Install BMAD into a project, or change an existing installation
+ * @param {Object} [options] - Install options
+ * @param {string} [options.directory] - Project directory (default: current directory)
+ * @param {Array<string>} [options.modules] - Modules to install (core is always installed)
+ * @param {Array<string>} [options.tools] - Tools/IDEs to configure; an empty array configures none
+ * @param {Array<string>} [options.customContent] - Paths to custom modules
+ * @param {string} [options.action] - For an existing installation: update, quick-update or compile-agents
+ * @param {string} [options.config] - Answer file (bmad.config.yaml) to take settings from
+ * @param {Object} [options.answers] - Answers keyed by module code, then question key
+ * @param {Object} [options.pins] - External module code to tag, branch or commit
+ * @param {boolean|Array<string>} [options.upgradeModules] - External modules (or true for all) to move to the latest commit of their ref
+ * @param {boolean} [options.offline] - Use no network
+ * @param {string} [options.moduleSource] - Module mirror to install external modules from
+ * @param {string} [options.npmScripts] - never, ignore-scripts (default), prompt or always
+ * @param {boolean} [options.allowUnverified] - Install modules that fail integrity verification
+ * @param {boolean} [options.dryRun] - Report what would change without changing the project
+ * @param {boolean} [options.frozenLockfile] - Fail if the install would differ from _bmad/bmad.lock
+ * @param {number} [options.jobs] - Most modules and tools installed at the same time (default 4)
+ * @param {boolean} [options.profile] - Time each phase; the timings are returned as `profile` and sent as a note
+ * @param {Function} [options.onEvent] - Receives output events
+ * @returns {Promise<Object>} {success, action, dryRun, projectDir, bmadDir, modules, ides, steps, customFiles, modifiedFiles, merge, scriptRuns, plan, profile, logPath}
+ */
+async function install(options = {}) {
+  return run(() => runInstall(options), options.onEvent);
+}
+
+/**
+ * Update an existing installation. Without modules or tools this is a quick
+ * update that keeps every saved setting.
+ * @param {Object} [options] - Same options as install()
+ * @returns {Promise<Object>} Same result as install()
+ */
+async function update(options = {}) {
+  const action = options.action || (options.modules || options.tools ? 'update' : 'quick-update');
+  return install({ ...options, action });
+}
+
+/**
+ * Report on a project's installation, as `bmad status --json` does
+ * @param {Object} [options] - {directory, onEvent}
+ * @returns {Promise<Object>} Status data
+ */
+async function status(options = {}) {
+  return run(() => new StatusReporter().report(options.directory || process.cwd()), options.onEvent);
+}
+
+/**
+ * Remove BMAD from a project. User artifacts are kept unless removeOutputFolder is set.
+ * Given `module` or `ide`, only that module or IDE integration is removed.
+ * @param {Object} [options] - {directory, module, ide, removeModules = true, removeIdeConfigs = true, removeOutputFolder = false, onEvent}
+ * @returns {Promise<Object>} {success, projectDir, removed, version}, or {success: false, reason: 'not-installed'}
+ */
+async function uninstall(options = {}) {
+  const projectDir = path.resolve(options.directory || process.cwd());
+  return run(async () => {
+    if (options.module || options.ide) {
+      const removed = {};
+      if (options.ide) {
+        removed.ide = (await new Installer().uninstallIde(projectDir, options.ide)).ide;
+      }
+      if (options.module) {
+        removed.module = (await new ModuleEditor().remove(projectDir, options.module)).module;
+      }
+      return { success: true, projectDir, removed };
+    }
+
+    const result = await new Installer().uninstall(projectDir, {
+      removeModules: options.removeModules,
+      removeIdeConfigs: options.removeIdeConfigs,
+      removeOutputFolder: options.removeOutputFolder,
+      silent: true,
+    });
+    return { ...result, projectDir };
+  }, options.onEvent);
+}
+
+module.exports = { install, update, status, uninstall };
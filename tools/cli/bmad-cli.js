@@ -12,12 +12,18 @@ if (process.stdin?.setMaxListeners) {
   process.stdin.setMaxListeners(Math.max(currentLimit, 50));
 }
 
-// Check for updates - do this asynchronously so it doesn't block startup
+// Check for updates - do this asynchronously so it doesn't block startup.
+// Skipped for machine-readable output so the notice can't corrupt stdout
+// (including `config get`, which prints a bare value), and for offline installs.
 const packageJson = require('../../package.json');
 const packageName = 'bmad-method';
-checkForUpdate().catch(() => {
-  // Silently ignore errors - version check is best-effort
-});
+const skipUpdateCheckFlags = new Set(['--json', '--yaml', '--offline', '--module-source']);
+const printsBareValue = process.argv[2] === 'config' && process.argv.slice(3).includes('get');
+if (!printsBareValue && !process.argv.some((arg) => skipUpdateCheckFlags.has(arg.split('=')[0]))) {
+  checkForUpdate().catch(() => {
+    // Silently ignore errors - version check is best-effort
+  });
+}
 
 async function checkForUpdate() {
   try {
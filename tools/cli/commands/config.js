@@ -0,0 +1,162 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { Manifest } = require('../installers/lib/core/manifest');
+const { IdeConfigManager } = require('../installers/lib/core/ide-config-manager');
+const { ConfigCollector } = require('../installers/lib/core/config-collector');
+const { ConfigEditor } = require('../installers/lib/core/config-editor');
+const { AnswerFile } = require('../installers/lib/core/answer-file');
+
+const installer = new Installer();
+const manifest = new Manifest();
+const ideConfigManager = new IdeConfigManager();
+const configEditor = new ConfigEditor();
+const answerFile = new AnswerFile();
+
+/**
+ * Format a stored config value for display
+ * @param {*} value - Value from config.yaml
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Write the installation's settings to an answer file for `bmad install --config`
+ * @param {string} projectDir - Project directory
+ * @param {Object} options - Command options
+ */
+async function exportConfig(projectDir, options) {
+  const { bmadDir } = await installer.findBmadDir(projectDir);
+  const installation = await manifest.read(bmadDir);
+  if (!installation) {
+    throw new Error(`No BMAD installation found in ${projectDir}`);
+  }
+
+  const outputPath = path.resolve(projectDir, options.output || 'bmad.config.yaml');
+  if (!options.force && (await fs.pathExists(outputPath))) {
+    throw new Error(`${outputPath} already exists (use --force to overwrite)`);
+  }
+
+  // Custom modules are installed through custom_content, not the module list
+  const customPaths = await configEditor.getCustomModulePaths(bmadDir, installation);
+  for (const customModule of installation.customModules) {
+    if (!customPaths.has(customModule.id)) {
+      await prompts.log.warn(`Custom module '${customModule.id}' has no source on disk and was left out`);
+    }
+  }
+
+  const ideConfigs = await ideConfigManager.loadAllIdeConfigs(bmadDir);
+  const customIds = new Set(installation.customModules.map((m) => m.id));
+  const modules = installation.modules.filter((m) => m !== 'core' && !customIds.has(m));
+  const ides = [...new Set([...installation.ides, ...Object.keys(ideConfigs)])];
+
+  const configCollector = new ConfigCollector();
+  configCollector.customModulePaths = customPaths;
+  const answers = await configCollector.exportAnswers(projectDir, ['core', ...installation.modules]);
+
+  const header = [
+    ` Exported from ${projectDir} (BMAD ${installation.version || 'unknown'})`,
+    ' Reproduce this setup with: bmad install --config <this file> --directory <project> --yes',
+  ].join('\n');
+  const customContent = [...customPaths.values()];
+  // Pin external modules to the exact commit installed here
+  const pins = Object.fromEntries((installation.modulesDetailed || []).filter((m) => m.sha).map((m) => [m.name, m.sha]));
+
+  await answerFile.save(outputPath, { modules, ides, customContent, pins, answers }, header);
+
+  return { outputPath, modules, ides, customContent, pins, answers };
+}
+
+/**
+ * Change one setting and report what was updated
+ * @param {string} projectDir - Project directory
+ * @param {string} key - `<module>.<key>` or `<key>`
+ * @param {string} value - New value
+ */
+async function setConfig(projectDir, key, value) {
+  if (key === undefined || value === undefined) {
+    throw new Error('Usage: bmad config set <key> <value>');
+  }
+
+  const result = await configEditor.set(projectDir, key, value);
+  const name = `${result.module}.${result.key}`;
+  if (!result.changed) {
+    await prompts.log.info(`${name} is already ${formatValue(result.value)}`);
+    return;
+  }
+
+  await prompts.log.success(`${name}: ${formatValue(result.previous)} → ${formatValue(result.value)}`);
+  const updates = [
+    ...result.rewritten.map((file) => `Regenerated ${file}`),
+    ...result.movedDirs.map((dir) => `Moved ${dir}`),
+    ...result.createdDirs.map((dir) => `Created ${dir}`),
+  ];
+  if (updates.length > 0) {
+    await prompts.log.message(updates.join('\n'));
+  }
+  await prompts.log.message('Run "bmad rollback" to undo this change.');
+}
+
+module.exports = {
+  command: 'config <action> [key] [value]',
+  description: 'View or change installation settings (list, get <key>, set <key> <value>), or export them to an answer file',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['-o, --output <path>', 'File to write for export (default: bmad.config.yaml in the project)'],
+    ['--force', 'Overwrite the output file if it exists'],
+  ],
+  action: async (action, key, value, options) => {
+    try {
+      const projectDir = path.resolve(options.directory || process.cwd());
+
+      switch (action) {
+        case 'list': {
+          const settings = await configEditor.list(projectDir);
+          const color = await prompts.getColor();
+          const lines = settings.map((s) => `${color.cyan(`${s.module}.${s.key}`)}  ${formatValue(s.value)}`);
+          await prompts.note(lines.join('\n') || 'No settings found', 'Settings');
+          break;
+        }
+        case 'get': {
+          if (key === undefined) {
+            throw new Error('Usage: bmad config get <key>');
+          }
+          const setting = await configEditor.get(projectDir, key);
+          console.log(formatValue(setting.value));
+          break;
+        }
+        case 'set': {
+          await setConfig(projectDir, key, value);
+          break;
+        }
+        case 'export': {
+          const result = await exportConfig(projectDir, options);
+          await prompts.log.success(`Wrote ${result.outputPath}`);
+          await prompts.log.message(
+            `Modules: ${result.modules.join(', ') || 'none'}\nTools: ${result.ides.join(', ') || 'none'}` +
+              (result.customContent.length > 0 ? `\nCustom content: ${result.customContent.length} module(s)` : ''),
+          );
+          await prompts.log.message(`Reproduce it elsewhere with: bmad install --config ${result.outputPath} --directory <project> --yes`);
+          break;
+        }
+        default: {
+          await prompts.log.error(`Unknown config action '${action}'. Available: list, get, set, export`);
+          process.exit(1);
+          return;
+        }
+      }
+
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Config ${action} failed: ${error.message}`);
+      if (process.env.BMAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
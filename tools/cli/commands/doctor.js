@@ -0,0 +1,107 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { InstallationAuditor } = require('../installers/lib/core/installation-auditor');
+
+const installer = new Installer();
+const auditor = new InstallationAuditor();
+
+/**
+ * Print a human-readable audit report
+ * @param {Object} report - Report from InstallationAuditor.audit()
+ */
+async function displayReport(report) {
+  const color = await prompts.getColor();
+  const { summary } = report;
+
+  await prompts.note(
+    [
+      `Version:         ${report.version || 'unknown'}`,
+      `Location:        ${report.bmadDir}`,
+      `Files checked:   ${summary.checked}`,
+      `Missing:         ${summary.missing}`,
+      `Modified:        ${summary.modified}`,
+      `Orphan:          ${summary.orphan}`,
+      `Stale commands:  ${summary.staleCommands}`,
+    ].join('\n'),
+    'BMAD Doctor',
+  );
+
+  if (!report.hasHashes) {
+    await prompts.log.warn('files-manifest.csv has no hashes - modified files cannot be detected. Re-run "bmad install" to regenerate it.');
+  }
+
+  for (const [moduleName, moduleReport] of Object.entries(report.modules)) {
+    const lines = [
+      ...moduleReport.missing.map((f) => `  ${color.red('missing')}   ${f}`),
+      ...moduleReport.modified.map((f) => `  ${color.yellow('modified')}  ${f}`),
+      ...moduleReport.orphan.map((f) => `  ${color.dim('orphan')}    ${f}`),
+    ];
+    if (lines.length > 0) {
+      await prompts.log.message(`${color.cyan(moduleName)}\n${lines.join('\n')}`);
+    }
+  }
+
+  for (const ide of report.ideCommands) {
+    if (!ide.checked) {
+      await prompts.log.message(color.dim(`${ide.ide}: command files not checked (custom installer)`));
+      continue;
+    }
+    if (ide.stale.length === 0) continue;
+
+    const lines = ide.stale.map((s) => `  ${s.file}\n${s.missing.map((m) => `    ${color.red('→')} ${m}`).join('\n')}`);
+    await prompts.log.message(`${color.cyan(ide.ide)} stale commands\n${lines.join('\n')}`);
+  }
+
+  if (report.healthy) {
+    await prompts.log.success('Installation matches files-manifest.csv');
+  } else {
+    await prompts.log.warn('Installation has drifted from files-manifest.csv');
+    await prompts.log.message('Run "bmad install" and choose "Quick Update" to restore installed files and regenerate IDE commands.');
+  }
+}
+
+module.exports = {
+  command: 'doctor',
+  description: 'Audit the installation for missing, modified and orphan files (read-only)',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--json', 'Print the report as JSON'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = path.resolve(options.directory || process.cwd());
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+      const manifestPath = path.join(bmadDir, '_config', 'files-manifest.csv');
+
+      if (!(await fs.pathExists(manifestPath))) {
+        if (options.json) {
+          process.stdout.write(JSON.stringify({ projectDir, bmadDir, installed: false, healthy: false }, null, 2) + '\n');
+        } else {
+          await prompts.log.warn('No BMAD installation found.');
+          await prompts.log.message(`Expected manifest: ${manifestPath}`);
+        }
+        process.exit(1);
+        return;
+      }
+
+      const manifestFiles = await installer.readFilesManifest(bmadDir);
+      const report = await auditor.audit(projectDir, bmadDir, manifestFiles);
+
+      if (options.json) {
+        process.stdout.write(JSON.stringify({ installed: true, ...report }, null, 2) + '\n');
+      } else {
+        await displayReport(report);
+      }
+
+      process.exit(report.healthy ? 0 : 1);
+    } catch (error) {
+      await prompts.log.error(`Doctor failed: ${error.message}`);
+      if (process.env.BMAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
@@ -1,10 +1,54 @@
 const path = require('node:path');
 const prompts = require('../lib/prompts');
 const { Installer } = require('../installers/lib/core/installer');
+const { AnswerFile } = require('../installers/lib/core/answer-file');
+const { ExternalModuleManager } = require('../installers/lib/modules/external-manager');
+const { ModuleMirror } = require('../installers/lib/modules/module-mirror');
+const { ModuleVerifier } = require('../installers/lib/modules/module-verifier');
+const { InstallProfiler } = require('../installers/lib/core/install-profiler');
+const { InstallLog } = require('../installers/lib/core/install-log');
 const { UI } = require('../lib/ui');
 
 const installer = new Installer();
 const ui = new UI();
+const externalModuleManager = new ExternalModuleManager();
+const moduleMirror = new ModuleMirror();
+const moduleVerifier = new ModuleVerifier();
+const profiler = new InstallProfiler();
+const installLog = new InstallLog();
+
+/**
+ * Parse --pin values ("bmb@v1.2.0,cis@main") into a map of module code to ref
+ * @param {string} value - Comma-separated module@ref pairs
+ * @returns {Object} Module code to ref
+ */
+function parsePins(value) {
+  const pins = {};
+  for (const pair of value
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean)) {
+    const at = pair.indexOf('@');
+    if (at <= 0 || at === pair.length - 1) {
+      throw new Error(`Invalid --pin '${pair}' (expected <module>@<tag|branch|commit>)`);
+    }
+    pins[pair.slice(0, at)] = pair.slice(at + 1);
+  }
+  return pins;
+}
+
+/**
+ * Parse the --jobs value
+ * @param {string} value - Number of modules and IDEs to set up at once
+ * @returns {number}
+ */
+function parseJobs(value) {
+  const jobs = Number(value);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error(`Invalid --jobs '${value}' (expected a whole number of at least 1)`);
+  }
+  return jobs;
+}
 
 module.exports = {
   command: 'install',
@@ -23,7 +67,27 @@ module.exports = {
     ['--communication-language <lang>', 'Language for agent communication (default: English)'],
     ['--document-output-language <lang>', 'Language for document output (default: English)'],
     ['--output-folder <path>', 'Output folder path relative to project root (default: _bmad-output)'],
+    ['--config <path>', 'Answer file (e.g. bmad.config.yaml) with modules, tools, custom content and per-module answers'],
+    ['--pin <pins>', 'Pin external modules to a tag, branch or commit (e.g. "bmb@v1.2.0,cis@main")'],
+    [
+      '--upgrade-modules [modules]',
+      'Move external modules (all, or a comma-separated list) to the latest commit of their ref instead of the recorded one',
+    ],
+    ['--offline', 'Do not use the network: external modules come from --module-source or the module cache'],
+    [
+      '--module-source <path>',
+      'Module mirror (directory or .tgz made with "bmad mirror") to install external modules from; implies --offline',
+    ],
+    [
+      '--npm-scripts <policy>',
+      "What npm may run when installing external modules' dependencies: never, ignore-scripts (default), prompt or always",
+    ],
+    ['--allow-unverified', 'Install modules whose content hash or commit does not match what their registry expects'],
     ['-y, --yes', 'Accept all defaults and skip prompts where possible'],
+    ['--dry-run', 'Show every file the install or update would create, overwrite, back up or delete, without changing the project'],
+    ['--frozen-lockfile', 'Fail if the install would produce anything different from _bmad/bmad.lock'],
+    ['--jobs <n>', 'How many modules and tools to install at the same time (default: 4; 1 installs them one after another)'],
+    ['--profile', 'Print how long cloning, copying, compiling, manifest generation and each tool took'],
   ],
   action: async (options) => {
     try {
@@ -33,7 +97,32 @@ module.exports = {
         await prompts.log.info('Debug mode enabled');
       }
 
+      // Answer file fills in whatever was not given as a flag
+      if (options.config) {
+        const answerFile = new AnswerFile();
+        answerFile.applyToOptions(await answerFile.load(options.config), options);
+      }
+
+      // External modules are fetched while prompting, so start timing, go offline and set the verification and npm policies first
+      profiler.enable(options.profile);
+      installLog.start({ command: 'install', argv: process.argv.slice(2) });
+      moduleVerifier.allowUnverifiedModules(options.allowUnverified);
+      externalModuleManager.setInstallScriptsPolicy(options.npmScripts || 'ignore-scripts');
+      // Checked before prompting, like the npm scripts policy, so a bad value fails before any questions
+      const jobs = options.jobs === undefined ? undefined : parseJobs(options.jobs);
+      await moduleMirror.useForInstall(options);
+
       const config = await ui.promptInstall(options);
+      config.dryRun = Boolean(options.dryRun);
+      config.frozenLockfile = Boolean(options.frozenLockfile);
+      if (jobs !== undefined) {
+        config.jobs = jobs;
+      }
+      config.answers = options.answers;
+      config.pins = { ...options.pins, ...(options.pin ? parsePins(options.pin) : {}) };
+      if (options.upgradeModules) {
+        config.upgradeModules = options.upgradeModules === true ? true : options.upgradeModules.split(',').map((m) => m.trim());
+      }
 
       // Handle cancel
       if (config.actionType === 'cancel') {
@@ -44,6 +133,10 @@ module.exports = {
       // Handle quick update separately
       if (config.actionType === 'quick-update') {
         const result = await installer.quickUpdate(config);
+        if (config.dryRun) {
+          await prompts.log.success('Dry run complete - no files were changed');
+          process.exit(0);
+        }
         await prompts.log.success('Quick update complete!');
         await prompts.log.info(`Updated ${result.moduleCount} modules with preserved settings (${result.modules.join(', ')})`);
         process.exit(0);
@@ -51,6 +144,10 @@ module.exports = {
 
       // Handle compile agents separately
       if (config.actionType === 'compile-agents') {
+        if (config.dryRun) {
+          await prompts.log.warn('--dry-run is not supported for compile-agents');
+          process.exit(1);
+        }
         const result = await installer.compileAgents(config);
         await prompts.log.info(`Recompiled ${result.agentCount} agents with customizations applied`);
         process.exit(0);
@@ -64,6 +161,11 @@ module.exports = {
         process.exit(0);
       }
 
+      if (result && result.dryRun) {
+        await prompts.log.success('Dry run complete - no files were changed');
+        process.exit(0);
+      }
+
       // Check if installation succeeded
       if (result && result.success) {
         process.exit(0);
@@ -0,0 +1,102 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { InstallLog } = require('../installers/lib/core/install-log');
+
+const installer = new Installer();
+const installLog = new InstallLog();
+
+/**
+ * Fields every event has; the rest are shown as key=value details
+ */
+const EVENT_FIELDS = new Set(['time', 'elapsedMs', 'level', 'source', 'event', 'error']);
+
+/**
+ * Format one event as a line, followed by its error and stack if it failed
+ * @param {Object} event - Log event
+ * @param {Object} color - Color helpers from prompts.getColor()
+ * @returns {string}
+ */
+function formatEvent(event, color) {
+  const details = Object.entries(event)
+    .filter(([key]) => !EVENT_FIELDS.has(key))
+    .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+    .join(' ');
+  const paint = { error: color.red, warn: color.yellow }[event.level] || ((text) => text);
+
+  const seconds = `+${((event.elapsedMs || 0) / 1000).toFixed(1)}s`.padStart(8);
+  let line = `${color.dim(seconds)}  ${paint((event.level || 'info').padEnd(5))}  ${color.cyan(event.source)} ${event.event}`;
+  if (details) line += ` ${color.dim(details)}`;
+  if (event.error) {
+    line += `\n${paint(event.error.stack || event.error.message)}`;
+  }
+  return line;
+}
+
+module.exports = {
+  command: 'logs',
+  description: 'Show the log of the last install, or of an earlier one',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--list', 'List the install logs kept'],
+    ['--run <file>', 'Log file to show (see --list)'],
+    ['--errors', 'Show only warnings and errors'],
+    ['--json', 'Print the events as JSON lines'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = path.resolve(options.directory || process.cwd());
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+      const logs = await installLog.list(bmadDir);
+
+      if (logs.length === 0) {
+        await prompts.log.warn('No install logs found.');
+        await prompts.log.message(`Every install writes one to ${installLog.getLogsDir(bmadDir)}`);
+        process.exit(1);
+        return;
+      }
+
+      if (options.list) {
+        await prompts.note(logs.join('\n'), 'Install logs (newest first)');
+        process.exit(0);
+        return;
+      }
+
+      const name = options.run || logs[0];
+      if (!logs.includes(name)) {
+        await prompts.log.error(`Install log '${name}' not found`);
+        await prompts.note(logs.join('\n'), 'Install logs (newest first)');
+        process.exit(1);
+        return;
+      }
+
+      const logPath = path.join(installLog.getLogsDir(bmadDir), name);
+      const allEvents = await installLog.read(logPath);
+      const events = options.errors ? allEvents.filter((e) => e.level === 'warn' || e.level === 'error') : allEvents;
+
+      if (options.json) {
+        process.stdout.write(events.map((e) => JSON.stringify(e) + '\n').join(''));
+        process.exit(0);
+        return;
+      }
+
+      const color = await prompts.getColor();
+      const start = allEvents.find((e) => e.event === 'run.start');
+      await prompts.log.info(`${logPath}${start ? color.dim(`  started ${start.time}`) : ''}`);
+      await prompts.log.message(events.length > 0 ? events.map((e) => formatEvent(e, color)).join('\n') : 'No warnings or errors');
+
+      const end = allEvents.find((e) => e.event === 'run.end');
+      if (!end) {
+        await prompts.log.warn('The run did not finish - the log ends where the installer stopped');
+      } else if (end.success) {
+        await prompts.log.success(`Install succeeded in ${(end.durationMs / 1000).toFixed(1)}s`);
+      } else {
+        await prompts.log.error(`Install failed after ${(end.durationMs / 1000).toFixed(1)}s`);
+      }
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Reading install log failed: ${error.message}`);
+      process.exit(1);
+    }
+  },
+};
@@ -0,0 +1,101 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { LegacyMigrator } = require('../installers/lib/core/legacy-migrator');
+const { UI } = require('../lib/ui');
+
+const installer = new Installer();
+const migrator = new LegacyMigrator();
+const ui = new UI();
+
+/**
+ * Run the v6 install for a migration, updating an existing v6 installation
+ * instead of replacing it
+ * @param {string} projectDir - Project directory
+ * @param {Object} plan - Migration plan
+ * @param {Object} options - Command options
+ */
+async function installV6(projectDir, plan, options) {
+  const { existingInstall } = await ui.getExistingInstallation(projectDir);
+  const installedModules = existingInstall.installed ? existingInstall.modules.map((m) => m.id) : [];
+  const modules = [...new Set([...installedModules.filter((m) => m !== 'core'), ...plan.modules])];
+  const ides = options.tools ? options.tools.split(',').map((t) => t.trim()) : plan.ides;
+
+  const config = await ui.promptInstall({
+    directory: projectDir,
+    action: existingInstall.installed ? 'update' : undefined,
+    modules: modules.join(','),
+    tools: ides.length > 0 ? ides.join(',') : 'none',
+    yes: options.yes,
+    answers: plan.answers,
+  });
+  config.answers = plan.answers;
+
+  if (config.actionType === 'cancel') {
+    throw new Error('Installation cancelled');
+  }
+  const result = await installer.install(config);
+  if (result?.cancelled) {
+    throw new Error('Installation cancelled');
+  }
+}
+
+module.exports = {
+  command: 'migrate',
+  description: 'Migrate a BMAD v4 installation (.bmad-core and expansion packs) to v6',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--tools <tools>', 'Comma-separated tool/IDE IDs to set up instead of the ones v4 was set up for'],
+    ['--dry-run', 'Print the migration report without changing the project'],
+    ['-y, --yes', 'Migrate without confirmation and accept install defaults'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = path.resolve(options.directory || process.cwd());
+      const plan = await migrator.analyze(projectDir);
+
+      if (options.dryRun) {
+        await prompts.note(migrator.buildReport(plan), 'Migration plan');
+        process.exit(0);
+        return;
+      }
+
+      const customized = plan.agents.filter((a) => a.customized);
+      await prompts.note(
+        [
+          `v4 folders: ${plan.folders.map((f) => f.name).join(', ')}`,
+          `Install: ${plan.modules.join(', ')} for ${plan.ides.join(', ') || 'no tools'}`,
+          `Customized agents: ${customized.map((a) => a.id).join(', ') || 'none'}`,
+          `IDE files to remove: ${plan.ideFiles.length}`,
+        ].join('\n'),
+        'BMAD v4 migration',
+      );
+
+      if (!options.yes) {
+        const confirmed = await prompts.confirm({
+          message: 'Migrate now? v4 folders and IDE files are moved to a backup folder, not deleted.',
+          default: true,
+        });
+        if (!confirmed) {
+          await prompts.log.warn('Migration cancelled');
+          process.exit(0);
+          return;
+        }
+      }
+
+      const result = await migrator.migrate(projectDir, plan, () => installV6(projectDir, plan, options));
+      await prompts.log.success(`Migrated to v6. v4 files were moved to ${result.backupDir}`);
+      if (result.skipped.length > 0) {
+        await prompts.log.warn(`Kept existing customization files: ${result.skipped.join(', ')}`);
+      }
+      await prompts.log.message(`Migration report: ${result.reportPath}`);
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Migration failed: ${error.message}`);
+      if (process.env.BMAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
@@ -0,0 +1,89 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { Manifest } = require('../installers/lib/core/manifest');
+const { ModuleManager } = require('../installers/lib/modules/manager');
+const { ExternalModuleManager } = require('../installers/lib/modules/external-manager');
+const { ModuleMirror } = require('../installers/lib/modules/module-mirror');
+
+const installer = new Installer();
+const manifest = new Manifest();
+const externalModuleManager = new ExternalModuleManager();
+const moduleMirror = new ModuleMirror();
+
+/**
+ * Decide which external modules to mirror
+ * @param {Object} options - Command options
+ * @returns {Promise<Array<string>>} Module codes
+ */
+async function selectModules(options) {
+  if (options.modules) {
+    return options.modules
+      .split(',')
+      .map((m) => m.trim())
+      .filter(Boolean);
+  }
+
+  // A project's external modules, at the commits its installation recorded
+  if (options.directory) {
+    const projectDir = path.resolve(options.directory);
+    const { bmadDir } = await installer.findBmadDir(projectDir);
+    const installation = await manifest.read(bmadDir);
+    if (!installation) {
+      throw new Error(`No BMAD installation found in ${projectDir}`);
+    }
+    await installer.pinExternalModules(projectDir, {});
+    const external = [];
+    for (const code of installation.modules) {
+      if (await externalModuleManager.hasModule(code)) external.push(code);
+    }
+    return external;
+  }
+
+  return (await externalModuleManager.listAvailable()).map((m) => m.code);
+}
+
+module.exports = {
+  command: 'mirror <output>',
+  description: 'Bundle external modules into a directory or .tgz for "bmad install --offline --module-source"',
+  options: [
+    ['--modules <modules>', 'Comma-separated external modules to mirror (default: all)'],
+    ['--directory <path>', "Mirror the external modules of this project's installation, at the commits it recorded"],
+    ['--force', 'Overwrite the output if it exists'],
+  ],
+  action: async (output, options) => {
+    try {
+      const modules = await selectModules(options);
+      if (modules.length === 0) {
+        throw new Error('No external modules to mirror');
+      }
+
+      const spinner = await prompts.spinner();
+      spinner.start('Fetching modules...');
+      let result;
+      try {
+        result = await moduleMirror.create(output, modules, new ModuleManager(), {
+          force: options.force,
+          onModule: (code) => spinner.message(`Fetching ${code}...`),
+        });
+      } catch (error) {
+        spinner.error('Mirror failed');
+        throw error;
+      }
+      spinner.stop(`Mirrored ${modules.length} module(s)`);
+
+      const lines = Object.entries(result.modules).map(
+        ([code, m]) => `${code}  ${m.version || 'unknown'}  ${m.sha ? m.sha.slice(0, 7) : ''}${m.ref ? ` (${m.ref})` : ''}`,
+      );
+      await prompts.note(lines.join('\n'), result.output);
+      await prompts.log.message(`Install from it with: bmad install --offline --module-source ${result.output}`);
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Mirror failed: ${error.message}`);
+      if (process.env.BMAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
@@ -0,0 +1,108 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { ModuleEditor } = require('../installers/lib/core/module-editor');
+
+const moduleEditor = new ModuleEditor();
+
+/**
+ * Install a module into an existing installation
+ * @param {string} projectDir - Project directory
+ * @param {string} name - Module code
+ * @param {Object} options - Command options
+ */
+async function addModule(projectDir, name, options) {
+  const result = await moduleEditor.add(projectDir, name, {
+    yes: options.yes,
+    allowUnverified: options.allowUnverified,
+    npmScripts: options.npmScripts,
+    pins: options.ref ? { [name]: options.ref } : {},
+  });
+
+  await prompts.log.success(`Added ${name}${result.version ? ` ${result.version}` : ''}`);
+  const updates = [
+    ...result.added.map((a) => `Added ${a.module} (required by ${a.requiredBy})`),
+    `Updated tools: ${result.ides.join(', ') || 'none'}`,
+    ...result.createdDirs.map((dir) => `Created ${dir}`),
+    ...(result.scriptRuns.length > 0 ? [`npm install scripts ran for: ${result.scriptRuns.join(', ')}`] : []),
+  ];
+  await prompts.log.message(updates.join('\n'));
+}
+
+/**
+ * Remove a module, warning first when other modules still point into it
+ * @param {string} projectDir - Project directory
+ * @param {string} name - Module code
+ * @param {Object} options - Command options
+ * @returns {Promise<boolean>} False when the user cancelled
+ */
+async function removeModule(projectDir, name, options) {
+  const dependents = await moduleEditor.findDependents(projectDir, name);
+  if (dependents.length > 0) {
+    const lines = dependents.map((d) => `${d.file}  → ${d.references.join(', ')}`);
+    await prompts.log.warn(`These files reference ${name} and will break once it is removed:\n${lines.join('\n')}`);
+  }
+
+  if (!options.yes) {
+    const confirmed = await prompts.confirm({
+      message: `Remove ${name}${dependents.length > 0 ? ' anyway' : ''}?`,
+      default: dependents.length === 0,
+    });
+    if (!confirmed) {
+      await prompts.log.warn('Nothing was removed');
+      return false;
+    }
+  }
+
+  const result = await moduleEditor.remove(projectDir, name);
+  await prompts.log.success(`Removed ${name}`);
+  await prompts.log.message(`Updated tools: ${result.ides.join(', ') || 'none'}`);
+  if (result.keptSidecars.length > 0) {
+    await prompts.log.warn(`Kept agent memory you edited: ${result.keptSidecars.join(', ')}`);
+  }
+  return true;
+}
+
+module.exports = {
+  command: 'module <action> <name>',
+  description: 'Add or remove a single module of an existing installation (add <module>, remove <module>)',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--ref <ref>', 'Tag, branch or commit to install an external module from (add only)'],
+    ['--npm-scripts <policy>', 'What npm may run for an external module: never, ignore-scripts (default), prompt or always (add only)'],
+    ['--allow-unverified', 'Add the module even if it does not match the content hash or commit its registry expects (add only)'],
+    ['-y, --yes', 'Accept default answers and skip confirmation'],
+  ],
+  action: async (action, name, options) => {
+    try {
+      const projectDir = path.resolve(options.directory || process.cwd());
+
+      switch (action) {
+        case 'add': {
+          await addModule(projectDir, name, options);
+          break;
+        }
+        case 'remove': {
+          if (!(await removeModule(projectDir, name, options))) {
+            process.exit(0);
+            return;
+          }
+          break;
+        }
+        default: {
+          await prompts.log.error(`Unknown module action '${action}'. Available: add, remove`);
+          process.exit(1);
+          return;
+        }
+      }
+
+      await prompts.log.message('Run "bmad rollback" to undo this change.');
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Module ${action} failed: ${error.message}`);
+      if (process.env.BMAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
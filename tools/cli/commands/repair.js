@@ -0,0 +1,139 @@
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { InstallationAuditor } = require('../installers/lib/core/installation-auditor');
+
+const installer = new Installer();
+const auditor = new InstallationAuditor();
+
+/**
+ * Show a diff between the installed file and the version that would be restored.
+ * Uses git's no-index diff so no extra dependency is needed.
+ * @param {string} currentPath - Installed (modified) file
+ * @param {string} restoredPath - Rendered source version
+ */
+async function showDiff(currentPath, restoredPath) {
+  const { spawnSync } = require('node:child_process');
+  const result = spawnSync('git', ['diff', '--no-index', '--color=always', '--', restoredPath, currentPath], { encoding: 'utf8' });
+
+  if (result.error) {
+    await prompts.log.warn(`Could not run git diff: ${result.error.message}`);
+    return;
+  }
+  await prompts.log.message(result.stdout.trim() || 'No differences');
+}
+
+module.exports = {
+  command: 'repair',
+  description: 'Restore modified or deleted BMAD files from their module source',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['-y, --yes', 'Restore every modified and deleted file without prompting'],
+  ],
+  action: async (options) => {
+    let tempDir = null;
+    try {
+      const projectDir = path.resolve(options.directory || process.cwd());
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+
+      if (!(await fs.pathExists(path.join(bmadDir, '_config', 'files-manifest.csv')))) {
+        await prompts.log.warn('No BMAD installation found.');
+        await prompts.log.message('Run "bmad install" to set up a new installation.');
+        process.exit(1);
+        return;
+      }
+
+      installer.bmadFolderName = path.basename(bmadDir);
+      installer.moduleManager.setBmadFolderName(installer.bmadFolderName);
+
+      const manifestFiles = await installer.readFilesManifest(bmadDir);
+      const report = await auditor.audit(projectDir, bmadDir, manifestFiles);
+
+      if (report.summary.missing + report.summary.modified === 0) {
+        await prompts.log.success('No modified or deleted files to repair');
+        process.exit(0);
+        return;
+      }
+
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-repair-'));
+      const color = await prompts.getColor();
+      const restored = [];
+      const kept = [];
+      const unavailable = [];
+
+      for (const [moduleName, moduleReport] of Object.entries(report.modules)) {
+        const damaged = [
+          ...moduleReport.missing.map((relativePath) => ({ relativePath, missing: true })),
+          ...moduleReport.modified.map((relativePath) => ({ relativePath, missing: false })),
+        ];
+        if (damaged.length === 0) continue;
+
+        const sourceDir = await installer.resolveLocalModuleSource(moduleName, bmadDir);
+        if (!sourceDir) {
+          await prompts.log.warn(`No local source for module '${moduleName}' - ${damaged.length} file(s) cannot be repaired`);
+          unavailable.push(...damaged.map((d) => d.relativePath));
+          continue;
+        }
+
+        for (const { relativePath, missing } of damaged) {
+          const targetPath = path.join(bmadDir, relativePath);
+          const renderedPath = path.join(tempDir, relativePath);
+
+          if (!(await installer.restoreInstalledFile(relativePath, sourceDir, renderedPath))) {
+            unavailable.push(relativePath);
+            continue;
+          }
+
+          let action = 'overwrite';
+          if (!options.yes) {
+            const label = missing ? color.red('deleted') : color.yellow('modified');
+            const choices = [
+              { name: missing ? 'Restore' : 'Overwrite with source version', value: 'overwrite' },
+              { name: missing ? 'Leave deleted' : 'Keep my changes', value: 'keep' },
+            ];
+            if (!missing) choices.push({ name: 'Show diff', value: 'diff' });
+
+            action = await prompts.select({ message: `${relativePath} (${label})`, choices });
+            while (action === 'diff') {
+              await showDiff(targetPath, renderedPath);
+              action = await prompts.select({ message: `${relativePath} (${label})`, choices: choices.slice(0, 2) });
+            }
+          }
+
+          if (action === 'overwrite') {
+            await fs.ensureDir(path.dirname(targetPath));
+            await fs.copy(renderedPath, targetPath, { overwrite: true });
+            restored.push(relativePath);
+          } else {
+            kept.push(relativePath);
+          }
+        }
+      }
+
+      const lines = [`Restored:     ${restored.length}`, `Kept:         ${kept.length}`];
+      if (unavailable.length > 0) {
+        lines.push(`No source:    ${unavailable.length}`, ...unavailable.map((f) => color.dim(`  ${f}`)));
+      }
+      await prompts.note(lines.join('\n'), 'Repair Summary');
+
+      const after = await auditor.audit(projectDir, bmadDir, manifestFiles);
+      if (after.summary.staleCommands > 0) {
+        await prompts.log.message(
+          'Some IDE commands point at missing files. Run "bmad install" and choose "Quick Update" to regenerate them.',
+        );
+      }
+
+      await fs.remove(tempDir);
+      process.exit(unavailable.length > 0 ? 1 : 0);
+    } catch (error) {
+      if (tempDir) await fs.remove(tempDir);
+      await prompts.log.error(`Repair failed: ${error.message}`);
+      if (process.env.BMAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
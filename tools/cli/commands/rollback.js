@@ -0,0 +1,89 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { SnapshotManager } = require('../installers/lib/core/snapshot-manager');
+
+const installer = new Installer();
+const snapshotManager = new SnapshotManager();
+
+/**
+ * Print the available snapshots, newest first
+ * @param {Array<Object>} snapshots - Snapshots from SnapshotManager.list()
+ */
+async function displaySnapshots(snapshots) {
+  const color = await prompts.getColor();
+  const lines = snapshots.map((s) => {
+    const reasons = {
+      rollback: ' (before rollback)',
+      config: ' (before config set)',
+      module: ' (before module add/remove)',
+      ide: ' (before IDE removal)',
+    };
+    const reason = reasons[s.reason] ? color.dim(reasons[s.reason]) : '';
+    return `${color.cyan(s.id)}  ${s.version || 'unknown'}  ${(s.modules || []).join(', ')}  ${color.dim(`${s.files.length} file(s)`)}${reason}`;
+  });
+  await prompts.note(lines.join('\n'), 'Snapshots');
+}
+
+module.exports = {
+  command: 'rollback',
+  description: 'Restore the installation from before the last install, or from an older snapshot',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--to <snapshot>', 'Snapshot id to restore (see --list)'],
+    ['--list', 'List available snapshots'],
+    ['-y, --yes', 'Roll back without confirmation'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = path.resolve(options.directory || process.cwd());
+      const { bmadDir } = await installer.findBmadDir(projectDir);
+      const snapshots = await snapshotManager.list(bmadDir);
+
+      if (snapshots.length === 0) {
+        await prompts.log.warn('Nothing to roll back - no snapshots found.');
+        await prompts.log.message(`Snapshots are taken on every install and kept in ${snapshotManager.getSnapshotsDir(bmadDir)}`);
+        process.exit(1);
+        return;
+      }
+
+      if (options.list) {
+        await displaySnapshots(snapshots);
+        process.exit(0);
+        return;
+      }
+
+      const target = options.to ? snapshots.find((s) => s.id === options.to) : snapshots[0];
+      if (!target) {
+        await prompts.log.error(`Snapshot '${options.to}' not found`);
+        await displaySnapshots(snapshots);
+        process.exit(1);
+        return;
+      }
+
+      if (!options.yes) {
+        const undone = snapshots.indexOf(target) + 1;
+        const confirmed = await prompts.confirm({
+          message: `Restore snapshot ${target.id} (version ${target.version || 'unknown'})? This undoes ${undone} install(s); later edits to those files will be lost.`,
+          default: false,
+        });
+        if (!confirmed) {
+          await prompts.log.warn('Rollback cancelled');
+          process.exit(0);
+          return;
+        }
+      }
+
+      await snapshotManager.restore(projectDir, target.id);
+      await prompts.log.success(`Restored snapshot ${target.id}`);
+      await prompts.log.message('Run "bmad rollback" again to undo this rollback.');
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Rollback failed: ${error.message}`);
+      if (process.env.BMAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
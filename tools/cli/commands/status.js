@@ -2,25 +2,54 @@ const path = require('node:path');
 const prompts = require('../lib/prompts');
 const { Installer } = require('../installers/lib/core/installer');
 const { Manifest } = require('../installers/lib/core/manifest');
+const { StatusReporter } = require('../installers/lib/core/status-reporter');
 const { UI } = require('../lib/ui');
 
 const installer = new Installer();
 const manifest = new Manifest();
+const statusReporter = new StatusReporter();
 const ui = new UI();
 
+/**
+ * Write status data to stdout as JSON or YAML
+ * @param {Object} data - Status data
+ * @param {string} format - 'json' or 'yaml'
+ */
+function printStatus(data, format) {
+  if (format === 'yaml') {
+    const yaml = require('yaml');
+    process.stdout.write(yaml.stringify(data, { lineWidth: 0 }));
+  } else {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+  }
+}
+
 module.exports = {
   command: 'status',
   description: 'Display BMAD installation status and module versions',
-  options: [],
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--json', 'Print status as JSON'],
+    ['--yaml', 'Print status as YAML'],
+  ],
   action: async (options) => {
+    let format = null;
+    if (options.json) format = 'json';
+    else if (options.yaml) format = 'yaml';
+
     try {
       // Find the bmad directory
-      const projectDir = process.cwd();
+      const projectDir = path.resolve(options.directory || process.cwd());
       const { bmadDir } = await installer.findBmadDir(projectDir);
 
       // Check if bmad directory exists
       const fs = require('fs-extra');
       if (!(await fs.pathExists(bmadDir))) {
+        if (format) {
+          printStatus({ installed: false, projectDir, bmadDir }, format);
+          process.exit(0);
+          return;
+        }
         await prompts.log.warn('No BMAD installation found in the current directory.');
         await prompts.log.message(`Expected location: ${bmadDir}`);
         await prompts.log.message('Run "bmad install" to set up a new installation.');
@@ -32,6 +61,11 @@ module.exports = {
       const manifestData = await manifest._readRaw(bmadDir);
 
       if (!manifestData) {
+        if (format) {
+          printStatus({ installed: false, projectDir, bmadDir }, format);
+          process.exit(0);
+          return;
+        }
         await prompts.log.warn('No BMAD installation manifest found.');
         await prompts.log.message('Run "bmad install" to set up a new installation.');
         process.exit(0);
@@ -45,6 +79,12 @@ module.exports = {
       // Check for available updates (only for external modules)
       const availableUpdates = await manifest.checkForUpdates(bmadDir);
 
+      if (format) {
+        printStatus(await statusReporter.build(projectDir, bmadDir, manifestData, availableUpdates), format);
+        process.exit(0);
+        return;
+      }
+
       // Display status
       await ui.displayStatus({
         installation,
@@ -55,6 +95,12 @@ module.exports = {
 
       process.exit(0);
     } catch (error) {
+      // Scripts parse stdout, so the failure is reported in the format they asked for
+      if (format) {
+        printStatus({ installed: null, error: error.message }, format);
+        process.exit(1);
+        return;
+      }
       await prompts.log.error(`Status check failed: ${error.message}`);
       if (process.env.BMAD_DEBUG) {
         await prompts.log.message(error.stack);
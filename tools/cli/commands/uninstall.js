@@ -2,8 +2,59 @@ const path = require('node:path');
 const fs = require('fs-extra');
 const prompts = require('../lib/prompts');
 const { Installer } = require('../installers/lib/core/installer');
+const { ModuleEditor } = require('../installers/lib/core/module-editor');
 
 const installer = new Installer();
+const moduleEditor = new ModuleEditor();
+
+/**
+ * Remove just the module and/or IDE integration named by --module and --ide
+ * @param {string} projectDir - Project directory
+ * @param {Object} options - Command options
+ * @returns {Promise<boolean>} Whether anything was removed
+ */
+async function removeSelected(projectDir, options) {
+  const targets = [];
+  let dependents = [];
+  if (options.ide) targets.push(`IDE integration ${options.ide}`);
+  if (options.module) {
+    targets.push(`module ${options.module}`);
+    dependents = await moduleEditor.findDependents(projectDir, options.module);
+    if (dependents.length > 0) {
+      const lines = dependents.map((d) => `${d.file}  → ${d.references.join(', ')}`);
+      await prompts.log.warn(`These files reference ${options.module} and will break once it is removed:\n${lines.join('\n')}`);
+    }
+  }
+
+  if (!options.yes) {
+    const confirmed = await prompts.confirm({
+      message: `Remove ${targets.join(' and ')}${dependents.length > 0 ? ' anyway' : ''}?`,
+      default: dependents.length === 0,
+    });
+    if (!confirmed) {
+      await prompts.outro('Uninstall cancelled.');
+      return false;
+    }
+  }
+
+  // The IDE goes first so removing the module only rewrites the IDEs that remain
+  if (options.ide) {
+    const s = await prompts.spinner();
+    s.start(`Removing ${options.ide} integration...`);
+    const result = await installer.uninstallIde(projectDir, options.ide);
+    s.stop(`Removed ${result.ide} integration (remaining: ${result.ides.join(', ') || 'none'})`);
+  }
+
+  if (options.module) {
+    const s = await prompts.spinner();
+    s.start(`Removing module ${options.module}...`);
+    const result = await moduleEditor.remove(projectDir, options.module);
+    s.stop(`Removed module ${result.module} (updated tools: ${result.ides.join(', ') || 'none'})`);
+  }
+
+  await prompts.outro('Run "bmad rollback" to undo this change.');
+  return true;
+}
 
 module.exports = {
   command: 'uninstall',
@@ -11,6 +62,8 @@ module.exports = {
   options: [
     ['-y, --yes', 'Remove all BMAD components without prompting (preserves user artifacts)'],
     ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--module <code>', 'Remove only this module: its files, manifest and help catalog rows, and its IDE commands'],
+    ['--ide <code>', 'Remove only this IDE integration and its saved configuration'],
   ],
   action: async (options) => {
     try {
@@ -71,6 +124,11 @@ module.exports = {
       await prompts.intro('BMAD Uninstall');
       await prompts.note(`Version: ${version}\nModules: ${modules}\nIDE integrations: ${ides}`, 'Current Installation');
 
+      if (options.module || options.ide) {
+        await removeSelected(projectDir, options);
+        process.exit(0);
+      }
+
       let removeModules = true;
       let removeIdeConfigs = true;
       let removeOutputFolder = false;
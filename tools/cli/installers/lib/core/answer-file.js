@@ -0,0 +1,166 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { INSTALL_SCRIPT_POLICIES } = require('../modules/external-manager');
+
+/**
+ * Top-level keys an answer file may contain
+ */
+const ANSWER_FILE_KEYS = new Set(['directory', 'action', 'modules', 'ides', 'custom_content', 'pins', 'npm_scripts', 'answers']);
+
+/**
+ * Answer File - declarative install settings (bmad.config.yaml)
+ *
+ * Holds everything the installer would otherwise ask for, so an install can
+ * be reproduced from a file committed to the repository:
+ *
+ *   modules: [bmm]
+ *   ides: [claude-code, cursor]
+ *   custom_content: [./tools/my-module]
+ *   pins:
+ *     bmb: v1.2.0
+ *   npm_scripts: ignore-scripts
+ *   answers:
+ *     core:
+ *       user_name: Ada
+ *     bmm:
+ *       user_skill_level: expert
+ *
+ * Answers are keyed by module code, then by the question key from that
+ * module's module.yaml, and take the same value the prompt would. Pins map
+ * an external module code to the tag, branch or commit to install, and
+ * npm_scripts sets what npm may run in external modules. Relative
+ * paths (directory, custom_content) are resolved against the file's folder.
+ */
+class AnswerFile {
+  /**
+   * Load and validate an answer file
+   * @param {string} filePath - Path to the answer file
+   * @returns {Promise<Object>} {directory, action, modules, ides, customContent, pins, npmScripts, answers}
+   */
+  async load(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (!(await fs.pathExists(absolutePath))) {
+      throw new Error(`Config file not found: ${absolutePath}`);
+    }
+
+    let data;
+    try {
+      data = yaml.parse(await fs.readFile(absolutePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Config file ${absolutePath} is not valid YAML: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Config file ${absolutePath} must be a YAML mapping`);
+    }
+
+    const unknown = Object.keys(data).filter((key) => !ANSWER_FILE_KEYS.has(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown key(s) in ${absolutePath}: ${unknown.join(', ')}. Allowed: ${[...ANSWER_FILE_KEYS].join(', ')}`);
+    }
+
+    const baseDir = path.dirname(absolutePath);
+    const answers = data.answers || {};
+    if (typeof answers !== 'object' || Array.isArray(answers)) {
+      throw new TypeError(`'answers' in ${absolutePath} must map module codes to their answers`);
+    }
+    for (const [moduleName, moduleAnswers] of Object.entries(answers)) {
+      if (!moduleAnswers || typeof moduleAnswers !== 'object' || Array.isArray(moduleAnswers)) {
+        throw new TypeError(`'answers.${moduleName}' in ${absolutePath} must map question keys to values`);
+      }
+    }
+
+    const pins = data.pins || {};
+    if (typeof pins !== 'object' || Array.isArray(pins)) {
+      throw new TypeError(`'pins' in ${absolutePath} must map module codes to a tag, branch or commit`);
+    }
+
+    if (data.npm_scripts !== undefined && !INSTALL_SCRIPT_POLICIES.includes(data.npm_scripts)) {
+      throw new Error(`'npm_scripts' in ${absolutePath} must be one of: ${INSTALL_SCRIPT_POLICIES.join(', ')}`);
+    }
+
+    return {
+      directory: data.directory ? path.resolve(baseDir, String(data.directory)) : null,
+      action: data.action || null,
+      modules: this.toList(data.modules, 'modules', absolutePath),
+      ides: this.toList(data.ides, 'ides', absolutePath),
+      customContent: this.toList(data.custom_content, 'custom_content', absolutePath)?.map((p) => path.resolve(baseDir, p)) ?? null,
+      pins: Object.fromEntries(Object.entries(pins).map(([code, ref]) => [code, String(ref)])),
+      npmScripts: data.npm_scripts || null,
+      answers,
+    };
+  }
+
+  /**
+   * Fill in install command options from an answer file. Options given on
+   * the command line take precedence.
+   * @param {Object} answerFile - Loaded answer file
+   * @param {Object} options - Install command options (modified in place)
+   * @returns {Object} The options
+   */
+  applyToOptions(answerFile, options) {
+    if (!options.directory && answerFile.directory) options.directory = answerFile.directory;
+    if (!options.action && answerFile.action) options.action = answerFile.action;
+    if (!options.modules && answerFile.modules) options.modules = answerFile.modules.join(',');
+    if (!options.tools && answerFile.ides) options.tools = answerFile.ides.length > 0 ? answerFile.ides.join(',') : 'none';
+    if (!options.customContent && answerFile.customContent?.length > 0) options.customContent = answerFile.customContent.join(',');
+    if (!options.npmScripts && answerFile.npmScripts) options.npmScripts = answerFile.npmScripts;
+    options.pins = answerFile.pins;
+    options.answers = answerFile.answers;
+    return options;
+  }
+
+  /**
+   * Write an answer file. Paths in customContent are written relative to the
+   * file's folder, so the file keeps working when the folder is moved.
+   * @param {string} filePath - Where to write the answer file
+   * @param {Object} answerFile - {modules, ides, customContent, pins, npmScripts, answers}
+   * @param {string} [header] - Comment placed at the top of the file
+   */
+  async save(filePath, answerFile, header) {
+    const absolutePath = path.resolve(filePath);
+    const baseDir = path.dirname(absolutePath);
+
+    const data = {};
+    if (answerFile.modules) data.modules = answerFile.modules;
+    if (answerFile.ides) data.ides = answerFile.ides;
+    if (answerFile.customContent?.length > 0) {
+      data.custom_content = answerFile.customContent.map((p) => {
+        const relativePath = path.relative(baseDir, p).split(path.sep).join('/');
+        return relativePath.startsWith('.') ? relativePath : `./${relativePath}`;
+      });
+    }
+    if (answerFile.pins && Object.keys(answerFile.pins).length > 0) data.pins = answerFile.pins;
+    if (answerFile.npmScripts) data.npm_scripts = answerFile.npmScripts;
+    if (answerFile.answers && Object.keys(answerFile.answers).length > 0) data.answers = answerFile.answers;
+
+    const doc = new yaml.Document(data);
+    if (header) doc.commentBefore = header;
+
+    await fs.ensureDir(baseDir);
+    await fs.writeFile(absolutePath, doc.toString({ lineWidth: 0 }), 'utf8');
+  }
+
+  /**
+   * Normalize a list value (YAML sequence or comma-separated string)
+   * @param {*} value - Raw value
+   * @param {string} key - Key name, for error messages
+   * @param {string} filePath - Answer file path, for error messages
+   * @returns {Array<string>|null} List, or null if the key was not set
+   */
+  toList(value, key, filePath) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'string') {
+      return value
+        .split(',')
+        .map((v) => v.trim())
+        .filter(Boolean);
+    }
+    if (!Array.isArray(value)) {
+      throw new TypeError(`'${key}' in ${filePath} must be a list`);
+    }
+    return value.map(String);
+  }
+}
+
+module.exports = { AnswerFile };
@@ -4,13 +4,16 @@ const yaml = require('yaml');
 const { getProjectRoot, getModulePath } = require('../../../lib/project-root');
 const { CLIUtils } = require('../../../lib/cli-utils');
 const prompts = require('../../../lib/prompts');
+const { InstallLog } = require('./install-log');
 
 class ConfigCollector {
   constructor() {
     this.collectedConfig = {};
     this.existingConfig = null;
     this.currentProjectDir = null;
+    this.presetAnswers = {};
     this._moduleManagerInstance = null;
+    this.installLog = new InstallLog();
   }
 
   /**
@@ -149,28 +152,12 @@ class ConfigCollector {
    * @returns {Promise<Array>} Array of {moduleName, displayName, questionCount, hasFieldsWithoutDefaults}
    */
   async scanModuleSchemas(modules) {
-    const metadataFields = new Set(['code', 'name', 'header', 'subheader', 'default_selected']);
+    const metadataFields = new Set(['code', 'name', 'header', 'subheader', 'default_selected', 'dependencies']);
     const results = [];
 
     for (const moduleName of modules) {
-      // Resolve module.yaml path - custom paths first, then standard location, then ModuleManager search
-      let moduleConfigPath = null;
-      const customPath = this.customModulePaths?.get(moduleName);
-      if (customPath) {
-        moduleConfigPath = path.join(customPath, 'module.yaml');
-      } else {
-        const standardPath = path.join(getModulePath(moduleName), 'module.yaml');
-        if (await fs.pathExists(standardPath)) {
-          moduleConfigPath = standardPath;
-        } else {
-          const moduleSourcePath = await this._getModuleManager().findModuleSource(moduleName, { silent: true });
-          if (moduleSourcePath) {
-            moduleConfigPath = path.join(moduleSourcePath, 'module.yaml');
-          }
-        }
-      }
-
-      if (!moduleConfigPath || !(await fs.pathExists(moduleConfigPath))) {
+      const moduleConfigPath = await this.findModuleSchemaPath(moduleName);
+      if (!moduleConfigPath) {
         continue;
       }
 
@@ -181,8 +168,9 @@ class ConfigCollector {
 
         const displayName = moduleConfig.header || `${moduleName.toUpperCase()} Module`;
         const configKeys = Object.keys(moduleConfig).filter((key) => key !== 'prompt');
+        const presets = this.presetAnswers[moduleName] || {};
         const questionKeys = configKeys.filter((key) => {
-          if (metadataFields.has(key)) return false;
+          if (metadataFields.has(key) || presets[key] !== undefined) return false;
           const item = moduleConfig[key];
           return item && typeof item === 'object' && item.prompt;
         });
@@ -206,6 +194,161 @@ class ConfigCollector {
     return results;
   }
 
+  /**
+   * Resolve a module's module.yaml - custom paths first, then standard location, then ModuleManager search
+   * @param {string} moduleName - Module name
+   * @returns {Promise<string|null>} Path to module.yaml, or null if the module has none
+   */
+  async findModuleSchemaPath(moduleName) {
+    let moduleConfigPath = null;
+    const customPath = this.customModulePaths?.get(moduleName);
+    if (customPath) {
+      moduleConfigPath = path.join(customPath, 'module.yaml');
+    } else {
+      const standardPath = path.join(getModulePath(moduleName), 'module.yaml');
+      if (await fs.pathExists(standardPath)) {
+        moduleConfigPath = standardPath;
+      } else {
+        const moduleSourcePath = await this._getModuleManager().findModuleSource(moduleName, { silent: true });
+        if (moduleSourcePath) {
+          moduleConfigPath = path.join(moduleSourcePath, 'module.yaml');
+        }
+      }
+    }
+
+    if (!moduleConfigPath || !(await fs.pathExists(moduleConfigPath))) {
+      return null;
+    }
+    return moduleConfigPath;
+  }
+
+  /**
+   * Check answers given up front (answer file) against a module's questions,
+   * as `bmad config set` checks typed values
+   * @param {string} moduleName - Module name
+   * @param {Object} answers - Answers by question key
+   * @param {Object} [moduleConfig] - Parsed module.yaml (read from the module when not given)
+   * @returns {Promise<Object>} The answers as the prompts would have produced them
+   * @throws {Error} When a value is not a valid answer to its question
+   */
+  async checkAnswers(moduleName, answers, moduleConfig = null) {
+    if (!moduleConfig) {
+      const schemaPath = await this.findModuleSchemaPath(moduleName);
+      moduleConfig = schemaPath ? yaml.parse(await fs.readFile(schemaPath, 'utf8')) || {} : {};
+    }
+
+    const checked = { ...answers };
+    for (const [key, value] of Object.entries(answers)) {
+      if (!moduleConfig[key]?.prompt) continue;
+      checked[key] = this.parseAnswer(`${moduleName}.${key}`, moduleConfig[key], value);
+    }
+    return checked;
+  }
+
+  /**
+   * Check a value against its module.yaml question: select choices, booleans,
+   * required and regex
+   * @param {string} name - Setting name, for error messages
+   * @param {Object} item - Question from module.yaml
+   * @param {*} input - Value as typed (comma-separated for multi-select), or as read from an answer file
+   * @returns {*} The answer the prompt would have produced
+   */
+  parseAnswer(name, item, input) {
+    const text = (Array.isArray(input) ? input.join(',') : String(input ?? '')).trim();
+    const choiceValues = (choices) => choices.map((choice) => (typeof choice === 'object' ? choice.value : choice));
+
+    if (item['single-select']) {
+      const allowed = choiceValues(item['single-select']);
+      const match = allowed.find((v) => String(v) === text);
+      if (match === undefined) {
+        throw new Error(`Invalid value for ${name}: '${text}'. Choose one of: ${allowed.join(', ')}`);
+      }
+      return match;
+    }
+
+    if (item['multi-select']) {
+      const allowed = choiceValues(item['multi-select']);
+      const picked = text
+        .split(',')
+        .map((v) => v.trim())
+        .filter(Boolean);
+      const invalid = picked.filter((v) => !allowed.some((a) => String(a) === v));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid value(s) for ${name}: ${invalid.join(', ')}. Choose from: ${allowed.join(', ')}`);
+      }
+      if (picked.length === 0 && item.required) {
+        throw new Error(`${name} needs at least one value`);
+      }
+      return allowed.filter((a) => picked.includes(String(a)));
+    }
+
+    if (typeof item.default === 'boolean') {
+      if (['true', 'yes', 'y'].includes(text.toLowerCase())) return true;
+      if (['false', 'no', 'n'].includes(text.toLowerCase())) return false;
+      throw new Error(`Invalid value for ${name}: '${text}'. Use true or false`);
+    }
+
+    // Paths are entered without the {project-root}/ prefix the result template adds
+    const value = text.replace(/^\{project-root\}\//, '');
+    if (!value && item.required) {
+      throw new Error(`${name} cannot be empty`);
+    }
+    if (value && item.regex && !new RegExp(item.regex).test(value)) {
+      throw new Error(`Invalid value for ${name}: '${value}' must match ${item.regex}`);
+    }
+    return value;
+  }
+
+  /**
+   * Turn an installation's module config.yaml files back into the answers the
+   * prompts would take, e.g. for writing an answer file. Keys a module only
+   * inherited from core are left out, as are values that came from a
+   * {directory_name} default (so another project gets its own name), and the
+   * {project-root}/ prefix that path templates add is removed again.
+   * @param {string} projectDir - Project directory
+   * @param {Array<string>} modules - Modules to export (including 'core')
+   * @returns {Promise<Object>} Answers keyed by module code, then question key
+   */
+  async exportAnswers(projectDir, modules) {
+    await this.loadExistingConfig(projectDir);
+    const coreConfig = this.existingConfig.core || {};
+    const answers = {};
+
+    for (const moduleName of modules) {
+      const existing = this.existingConfig[moduleName];
+      if (!existing) continue;
+
+      const schemaPath = await this.findModuleSchemaPath(moduleName);
+      const schema = schemaPath ? yaml.parse(await fs.readFile(schemaPath, 'utf8')) : null;
+
+      const moduleAnswers = {};
+      for (const [key, value] of Object.entries(existing)) {
+        if (schema) {
+          if (!schema[key]?.prompt) continue;
+          const defaultValue = schema[key].default;
+          if (
+            typeof defaultValue === 'string' &&
+            defaultValue.includes('{directory_name}') &&
+            value === defaultValue.replaceAll('{directory_name}', path.basename(projectDir))
+          ) {
+            continue;
+          }
+        } else if (moduleName !== 'core' && coreConfig[key] === value) {
+          // No schema to go by: assume values equal to core's were copied from core
+          continue;
+        }
+        moduleAnswers[key] =
+          typeof value === 'string' && value.startsWith('{project-root}/') ? value.replace('{project-root}/', '') : value;
+      }
+
+      if (Object.keys(moduleAnswers).length > 0) {
+        answers[moduleName] = moduleAnswers;
+      }
+    }
+
+    return answers;
+  }
+
   /**
    * Collect configuration for all modules
    * @param {Array} modules - List of modules to configure (including 'core')
@@ -213,11 +356,15 @@ class ConfigCollector {
    * @param {Object} options - Additional options
    * @param {Map} options.customModulePaths - Map of module ID to source path for custom modules
    * @param {boolean} options.skipPrompts - Skip prompts and use defaults (for --yes flag)
+   * @param {Object} options.answers - Answers from an answer file, keyed by module code then question key
    */
   async collectAllConfigurations(modules, projectDir, options = {}) {
     // Store custom module paths for use in collectModuleConfig
     this.customModulePaths = options.customModulePaths || new Map();
     this.skipPrompts = options.skipPrompts || false;
+    if (options.answers) {
+      this.presetAnswers = options.answers;
+    }
     this.modulesToCustomize = undefined;
     await this.loadExistingConfig(projectDir);
 
@@ -328,6 +475,12 @@ class ConfigCollector {
       }
     }
 
+    this.installLog.record('ConfigCollector', 'config.collected', {
+      modules: allModules,
+      customized: this.modulesToCustomize ? [...this.modulesToCustomize] : null,
+      skipPrompts: this.skipPrompts,
+    });
+
     // Add metadata
     this.collectedConfig._meta = {
       version: require(path.join(getProjectRoot(), 'package.json')).version,
@@ -413,7 +566,7 @@ class ConfigCollector {
 
     // Check if this module has no configuration keys at all (like CIS)
     // Filter out metadata fields and only count actual config objects
-    const metadataFields = new Set(['code', 'name', 'header', 'subheader', 'default_selected']);
+    const metadataFields = new Set(['code', 'name', 'header', 'subheader', 'default_selected', 'dependencies']);
     const actualConfigKeys = configKeys.filter((key) => !metadataFields.has(key));
     const hasNoConfig = actualConfigKeys.length === 0;
 
@@ -475,6 +628,7 @@ class ConfigCollector {
       }
 
       // Show "no config" message for modules with no new questions (that have config keys)
+      this.installLog.record('ConfigCollector', 'config.module', { module: moduleName, schemaPath: configPath, newKeys: [] });
       await prompts.log.message(`  \u2713 ${moduleName.toUpperCase()} module already up to date`);
       return false; // No new fields
     }
@@ -559,6 +713,11 @@ class ConfigCollector {
 
     await this.displayModulePostConfigNotes(moduleName, moduleConfig);
 
+    this.installLog.record('ConfigCollector', 'config.module', {
+      module: moduleName,
+      schemaPath: configPath,
+      newKeys: [...newKeys, ...newStaticKeys],
+    });
     return newKeys.length > 0 || newStaticKeys.length > 0; // Return true if we had any new fields (interactive or static)
   }
 
@@ -686,8 +845,10 @@ class ConfigCollector {
       configPath = moduleConfigPath;
     } else {
       // No config for this module
+      this.installLog.record('ConfigCollector', 'config.module', { module: moduleName, schemaPath: null });
       return;
     }
+    this.installLog.record('ConfigCollector', 'config.module', { module: moduleName, schemaPath: configPath });
 
     const configContent = await fs.readFile(configPath, 'utf8');
     const moduleConfig = yaml.parse(configContent);
@@ -697,7 +858,7 @@ class ConfigCollector {
     }
 
     // Process each config item
-    const questions = [];
+    let questions = [];
     const staticAnswers = {};
     const configKeys = Object.keys(moduleConfig).filter((key) => key !== 'prompt');
 
@@ -725,8 +886,20 @@ class ConfigCollector {
       }
     }
 
-    // Collect all answers (static + prompted)
-    let allAnswers = { ...staticAnswers };
+    // Answers supplied up front (answer file) are used as given; only the rest are asked
+    const presets = await this.checkAnswers(moduleName, this.presetAnswers[moduleName] || {}, moduleConfig);
+    const presetAnswers = {};
+    for (const key of Object.keys(presets)) {
+      if (!moduleConfig[key]?.prompt) {
+        await prompts.log.warn(`Ignoring answer '${moduleName}.${key}' - ${moduleName} has no such question`);
+        continue;
+      }
+      presetAnswers[`${moduleName}_${key}`] = presets[key];
+    }
+    questions = questions.filter((q) => !(q.name in presetAnswers));
+
+    // Collect all answers (static + preset + prompted)
+    let allAnswers = { ...staticAnswers, ...presetAnswers };
 
     // If there are questions to ask, prompt for accepting defaults vs customizing
     if (questions.length > 0) {
@@ -889,7 +1062,7 @@ class ConfigCollector {
 
       // Check if this module has NO configuration keys at all (like CIS)
       // Filter out metadata fields and only count actual config objects
-      const metadataFields = new Set(['code', 'name', 'header', 'subheader', 'default_selected']);
+      const metadataFields = new Set(['code', 'name', 'header', 'subheader', 'default_selected', 'dependencies']);
       const actualConfigKeys = configKeys.filter((key) => !metadataFields.has(key));
       const hasNoConfig = actualConfigKeys.length === 0;
 
@@ -0,0 +1,245 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { Installer } = require('./installer');
+const { Manifest } = require('./manifest');
+const { ConfigCollector } = require('./config-collector');
+const { InstallTransaction } = require('./install-transaction');
+const { SnapshotManager } = require('./snapshot-manager');
+const { Lockfile } = require('./lockfile');
+const { ModuleManager } = require('../modules/manager');
+const { IdeManager } = require('../ide/manager');
+
+/**
+ * Config Editor - change settings of an existing installation
+ *
+ * A setting is a question from a module's module.yaml, addressed as
+ * `<module>.<key>` or just `<key>` when only one installed module asks it.
+ * New values are checked against the question (select choices, regex,
+ * required) and stored the way the installer would store them: through the
+ * question's result template, with core values copied into every module
+ * config, and bmad.lock is rewritten to match. The change runs as a
+ * transaction and leaves a snapshot, so `bmad rollback` undoes it.
+ */
+class ConfigEditor {
+  constructor() {
+    this.installer = new Installer();
+    this.manifest = new Manifest();
+    this.snapshotManager = new SnapshotManager();
+    this.moduleManager = new ModuleManager();
+    this.ideManager = new IdeManager();
+  }
+
+  /**
+   * Read an installation's manifest, module configs and module schemas
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Object>} {bmadDir, installation, collector, schemas}
+   */
+  async load(projectDir) {
+    const { bmadDir } = await this.installer.findBmadDir(projectDir);
+    const installation = await this.manifest.read(bmadDir);
+    if (!installation) {
+      throw new Error(`No BMAD installation found in ${projectDir}`);
+    }
+
+    const collector = new ConfigCollector();
+    collector.customModulePaths = await this.getCustomModulePaths(bmadDir, installation);
+    this.moduleManager.customModulePaths = collector.customModulePaths;
+    // From a workspace package, the installation is the workspace's
+    await collector.loadExistingConfig(path.dirname(bmadDir));
+
+    const schemas = {};
+    for (const moduleName of ['core', ...installation.modules.filter((m) => m !== 'core')]) {
+      const schemaPath = await collector.findModuleSchemaPath(moduleName);
+      if (schemaPath) {
+        schemas[moduleName] = yaml.parse(await fs.readFile(schemaPath, 'utf8')) || {};
+      }
+    }
+
+    return { bmadDir, installation, collector, schemas };
+  }
+
+  /**
+   * Source directories of an installation's custom modules that still exist
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} installation - Manifest data from Manifest.read()
+   * @returns {Promise<Map<string, string>>} Module id to source directory
+   */
+  async getCustomModulePaths(bmadDir, installation) {
+    const customPaths = new Map();
+    for (const customModule of installation.customModules || []) {
+      let sourcePath = customModule.sourcePath;
+      if (sourcePath && !path.isAbsolute(sourcePath)) {
+        // Cache-relative paths (_config/custom/...) live inside the installation
+        sourcePath = path.join(bmadDir, sourcePath);
+      }
+      if (sourcePath && (await fs.pathExists(path.join(sourcePath, 'module.yaml')))) {
+        customPaths.set(customModule.id, sourcePath);
+      }
+    }
+    return customPaths;
+  }
+
+  /**
+   * List the settings of every installed module
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Array<Object>>} [{module, key, value}]
+   */
+  async list(projectDir) {
+    const { collector, schemas } = await this.load(projectDir);
+    const coreConfig = collector.existingConfig.core || {};
+    const settings = [];
+
+    const moduleNames = Object.keys(collector.existingConfig).sort((a, b) => (a === 'core' ? -1 : b === 'core' ? 1 : a.localeCompare(b)));
+    for (const moduleName of moduleNames) {
+      const moduleConfig = collector.existingConfig[moduleName];
+      const schema = schemas[moduleName];
+      for (const [key, value] of Object.entries(moduleConfig)) {
+        if (schema ? !schema[key]?.prompt : moduleName !== 'core' && Object.hasOwn(coreConfig, key)) continue;
+        settings.push({ module: moduleName, key, value });
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Get the stored value of a setting
+   * @param {string} projectDir - Project directory
+   * @param {string} ref - `<module>.<key>` or `<key>`
+   * @returns {Promise<Object>} {module, key, value}
+   */
+  async get(projectDir, ref) {
+    const loaded = await this.load(projectDir);
+    const { moduleName, key } = this.resolveKey(ref, loaded);
+    return { module: moduleName, key, value: loaded.collector.existingConfig[moduleName]?.[key] };
+  }
+
+  /**
+   * Change a setting, then update everything that depends on it: the module
+   * config files, IDE files that show the value, and declared directories.
+   * If any step fails, folders already created or moved are put back.
+   * @param {string} projectDir - Project directory
+   * @param {string} ref - `<module>.<key>` or `<key>`
+   * @param {string} input - New value as typed (comma-separated for multi-select)
+   * @returns {Promise<Object>} {module, key, previous, value, changed, rewritten, createdDirs, movedDirs}
+   */
+  async set(projectDir, ref, input) {
+    const loaded = await this.load(projectDir);
+    const { bmadDir, installation, collector, schemas } = loaded;
+    const { moduleName, key } = this.resolveKey(ref, loaded);
+    const item = schemas[moduleName][key];
+
+    const answer = collector.parseAnswer(`${moduleName}.${key}`, item, input);
+    collector.collectedConfig = structuredClone(collector.existingConfig);
+    const value = Array.isArray(answer) || !item.result ? answer : collector.processResultTemplate(item.result, answer);
+
+    const previous = collector.existingConfig[moduleName]?.[key];
+    const result = { module: moduleName, key, previous, value, changed: false, rewritten: [], createdDirs: [], movedDirs: [] };
+    if (JSON.stringify(previous) === JSON.stringify(value)) {
+      return result;
+    }
+
+    // Module configs hold their own keys; core values are added back when written
+    const coreConfig = { ...collector.existingConfig.core };
+    const moduleConfigs = { core: coreConfig };
+    for (const [name, config] of Object.entries(collector.existingConfig)) {
+      if (name === 'core') continue;
+      moduleConfigs[name] = Object.fromEntries(Object.entries(config).filter(([k]) => !Object.hasOwn(coreConfig, k)));
+    }
+    moduleConfigs[moduleName][key] = value;
+
+    const installDir = path.dirname(bmadDir);
+    const transaction = new InstallTransaction(installDir);
+    const stagingDir = await transaction.begin();
+    const directoryChanges = [];
+    try {
+      const stagingBmadDir = path.join(stagingDir, path.basename(bmadDir));
+      // A core value is copied into every module's config.yaml
+      await this.installer.generateModuleConfigs(stagingBmadDir, moduleConfigs, {
+        modules: moduleName === 'core' ? undefined : [moduleName],
+      });
+      const workspace = await this.installer.workspace.read(installDir);
+      if (workspace) {
+        await this.installer.workspace.writePackageConfigs(stagingBmadDir, workspace);
+      }
+
+      this.ideManager.setBmadFolderName(path.basename(bmadDir));
+      result.rewritten = await this.ideManager.refreshConfigArtifacts(installation.ides, stagingDir, stagingBmadDir, [key], {
+        silent: true,
+      });
+
+      // The rewritten config files are locked files
+      const lockfile = new Lockfile();
+      await lockfile.write(stagingBmadDir, await lockfile.build(stagingDir, stagingBmadDir));
+
+      // Directories declared as {key} follow the new value (an existing folder is moved).
+      // They live outside the staged directories, so the snapshot lists what was done to them.
+      for (const name of moduleName === 'core' ? Object.keys(moduleConfigs) : [moduleName]) {
+        if (!(schemas[name]?.directories || []).includes(`{${key}}`)) continue;
+
+        const dirs = await this.moduleManager.createModuleDirectories(name, bmadDir, {
+          moduleConfig: name === 'core' ? coreConfig : { ...moduleConfigs[name], ...coreConfig },
+          existingModuleConfig: collector.existingConfig[name] || {},
+          silent: true,
+        });
+        result.createdDirs.push(...dirs.createdDirs);
+        result.movedDirs.push(...dirs.movedDirs);
+        directoryChanges.push(...dirs.changes);
+      }
+
+      await this.snapshotManager.capture(installDir, stagingDir, 'config', directoryChanges);
+    } catch (error) {
+      await this.snapshotManager.undoDirectories(installDir, directoryChanges);
+      await transaction.abort();
+      throw error;
+    }
+    try {
+      await transaction.commit();
+    } catch (error) {
+      await this.snapshotManager.undoDirectories(installDir, directoryChanges);
+      throw error;
+    }
+    result.changed = true;
+
+    return result;
+  }
+
+  /**
+   * Find the module and question a setting reference points to
+   * @param {string} ref - `<module>.<key>` or `<key>`
+   * @param {Object} loaded - Result of load()
+   * @returns {{moduleName: string, key: string}}
+   */
+  resolveKey(ref, loaded) {
+    const { schemas, collector } = loaded;
+    const isSetting = (moduleName, key) => Boolean(schemas[moduleName]?.[key]?.prompt);
+
+    const dot = ref.indexOf('.');
+    if (dot !== -1) {
+      const moduleName = ref.slice(0, dot);
+      const key = ref.slice(dot + 1);
+      if (!collector.existingConfig[moduleName]) {
+        throw new Error(`Module '${moduleName}' is not installed or has no config.yaml`);
+      }
+      if (!schemas[moduleName]) {
+        throw new Error(`Cannot find module.yaml for '${moduleName}', so its settings cannot be checked`);
+      }
+      if (!isSetting(moduleName, key)) {
+        throw new Error(`${moduleName} has no setting '${key}'. Run "bmad config list" to see the settings`);
+      }
+      return { moduleName, key };
+    }
+
+    const owners = Object.keys(schemas).filter((moduleName) => collector.existingConfig[moduleName] && isSetting(moduleName, ref));
+    if (owners.length === 0) {
+      throw new Error(`No installed module has a setting '${ref}'. Run "bmad config list" to see the settings`);
+    }
+    if (owners.length > 1) {
+      throw new Error(`'${ref}' is a setting of ${owners.join(', ')}; use ${owners.map((m) => `${m}.${ref}`).join(' or ')}`);
+    }
+    return { moduleName: owners[0], key: ref };
+  }
+}
+
+module.exports = { ConfigEditor };
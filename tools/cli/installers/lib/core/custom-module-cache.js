@@ -10,10 +10,13 @@ const crypto = require('node:crypto');
 const prompts = require('../../../lib/prompts');
 
 class CustomModuleCache {
-  constructor(bmadDir) {
+  /**
+   * @param {string} [bmadDir] - Installation whose cache to manage; may be omitted when only hashing
+   */
+  constructor(bmadDir = null) {
     this.bmadDir = bmadDir;
-    this.customCacheDir = path.join(bmadDir, '_config', 'custom');
-    this.manifestPath = path.join(this.customCacheDir, 'cache-manifest.yaml');
+    this.customCacheDir = bmadDir ? path.join(bmadDir, '_config', 'custom') : null;
+    this.manifestPath = bmadDir ? path.join(this.customCacheDir, 'cache-manifest.yaml') : null;
   }
 
   /**
@@ -67,8 +70,10 @@ class CustomModuleCache {
 
   /**
    * Calculate hash of a file or directory using streaming to minimize memory usage
+   * @param {string} sourcePath - File or directory to hash
+   * @param {string[]} [exclude] - Folder names to leave out, at any depth (dot-folders always are)
    */
-  async calculateHash(sourcePath) {
+  async calculateHash(sourcePath, exclude = []) {
     const hash = crypto.createHash('sha256');
 
     const isDir = (await fs.stat(sourcePath)).isDirectory();
@@ -81,7 +86,7 @@ class CustomModuleCache {
         for (const entry of entries) {
           if (entry.isFile()) {
             files.push(path.join(dir, entry.name));
-          } else if (entry.isDirectory() && !entry.name.startsWith('.')) {
+          } else if (entry.isDirectory() && !entry.name.startsWith('.') && !exclude.includes(entry.name)) {
             await collectFiles(path.join(dir, entry.name));
           }
         }
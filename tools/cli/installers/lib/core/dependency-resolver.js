@@ -2,7 +2,9 @@ const fs = require('fs-extra');
 const path = require('node:path');
 const glob = require('glob');
 const yaml = require('yaml');
+const semver = require('semver');
 const prompts = require('../../../lib/prompts');
+const { getProjectRoot, getModulePath } = require('../../../lib/project-root');
 
 /**
  * Dependency Resolver for BMAD modules
@@ -577,6 +579,158 @@ class DependencyResolver {
     return transitive;
   }
 
+  /**
+   * Read a module's version and the `dependencies:` block of its module.yaml
+   *
+   * dependencies:
+   *   bmm: ">=6.0.0"
+   *   cis: "^1.2"
+   *
+   * @param {string} moduleCode - Module code
+   * @param {Object} moduleManager - ModuleManager used to find the module source
+   * @returns {Promise<Object>} {found, version, dependencies} with dependencies as module code → semver range
+   */
+  async readModuleDeclaration(moduleCode, moduleManager) {
+    const sourcePath = moduleCode === 'core' ? getModulePath('core') : await moduleManager.findModuleSource(moduleCode, { silent: true });
+    if (!sourcePath) {
+      return { found: false, version: null, dependencies: {} };
+    }
+
+    const moduleYamlPath = path.join(sourcePath, 'module.yaml');
+    const definition = (await fs.pathExists(moduleYamlPath)) ? yaml.parse(await fs.readFile(moduleYamlPath, 'utf8')) || {} : {};
+
+    const declared = definition.dependencies || {};
+    if (typeof declared !== 'object' || Array.isArray(declared)) {
+      throw new TypeError(`${moduleCode}/module.yaml: dependencies must map module codes to version ranges`);
+    }
+    const dependencies = {};
+    for (const [code, range] of Object.entries(declared)) {
+      const normalized = range === null || range === undefined || range === '' ? '*' : String(range);
+      if (!semver.validRange(normalized)) {
+        throw new Error(`${moduleCode}/module.yaml: invalid version range '${normalized}' for ${code}`);
+      }
+      dependencies[code] = normalized;
+    }
+
+    // Built-in modules ship with the installer; others carry their own version
+    let version = ['core', 'bmm'].includes(moduleCode) ? require(path.join(getProjectRoot(), 'package.json')).version : null;
+    version = version || definition.module_version || definition.version || null;
+    // External modules keep module.yaml under src/, with package.json at the repository root
+    for (const dir of [sourcePath, path.dirname(sourcePath)]) {
+      if (version) break;
+      const packageJsonPath = path.join(dir, 'package.json');
+      if (await fs.pathExists(packageJsonPath)) {
+        version = (await fs.readJson(packageJsonPath)).version || null;
+      }
+    }
+
+    return { found: true, version: version ? String(version) : null, dependencies };
+  }
+
+  /**
+   * Resolve the module dependency graph declared in module.yaml files.
+   * Dependencies that are not selected are added, and dependencies whose
+   * version falls outside the declared range are reported as conflicts.
+   * @param {Array<string>} selectedModules - Modules to install
+   * @param {Object} moduleManager - ModuleManager used to find module sources
+   * @param {Object} [options] - Resolution options
+   * @param {Map<string, string>} [options.installed] - Modules already installed (code → version) that satisfy dependencies as-is
+   * @returns {Promise<Object>} {modules, added, missing, conflicts, graph}
+   */
+  async resolveModuleGraph(selectedModules, moduleManager, options = {}) {
+    const installed = options.installed || new Map();
+    const modules = selectedModules.filter((m) => m !== 'core');
+    const added = [];
+    const missing = [];
+    const declarations = new Map();
+    const queue = ['core', ...modules];
+
+    while (queue.length > 0) {
+      const moduleCode = queue.shift();
+      if (declarations.has(moduleCode)) continue;
+
+      const declaration = await this.readModuleDeclaration(moduleCode, moduleManager);
+      declarations.set(moduleCode, declaration);
+
+      for (const dependency of Object.keys(declaration.dependencies)) {
+        if (dependency === 'core' || modules.includes(dependency)) continue;
+        if (installed.has(dependency)) continue;
+
+        if (!(await moduleManager.findModuleSource(dependency, { silent: true }))) {
+          missing.push({ module: moduleCode, dependency });
+          continue;
+        }
+        modules.push(dependency);
+        added.push({ module: dependency, requiredBy: moduleCode });
+        queue.push(dependency);
+      }
+    }
+
+    // Check every edge once all versions are known
+    // An installed module is not reinstalled, so its installed version is the one that counts
+    const versionOf = (code) => installed.get(code) || declarations.get(code)?.version || null;
+    const conflicts = [];
+    const graph = {};
+    for (const [moduleCode, declaration] of declarations) {
+      graph[moduleCode] = Object.entries(declaration.dependencies).map(([dependency, range]) => {
+        const version = versionOf(dependency);
+        const comparable = version && (semver.valid(version) || semver.valid(semver.coerce(version)));
+        if (comparable && !semver.satisfies(comparable, range, { includePrerelease: true })) {
+          conflicts.push({ module: moduleCode, dependency, range, version });
+        }
+        return { name: dependency, range, version };
+      });
+    }
+
+    return { modules, added, missing, conflicts, graph };
+  }
+
+  /**
+   * Describe why a module dependency graph cannot be installed
+   * @param {Object} resolution - Result of resolveModuleGraph()
+   * @returns {string|null} Error message, or null when the graph is installable
+   */
+  describeModuleGraphProblems(resolution) {
+    const problems = [
+      ...resolution.missing.map((m) => `${m.module} requires ${m.dependency}, which was not found`),
+      ...resolution.conflicts.map((c) => `${c.module} requires ${c.dependency} ${c.range}, but ${c.version} would be installed`),
+    ];
+    return problems.length > 0 ? `Module dependencies cannot be satisfied:\n  ${problems.join('\n  ')}` : null;
+  }
+
+  /**
+   * Find files of installed modules that reference another module's files,
+   * e.g. a bmm workflow that runs {project-root}/_bmad/cis/workflows/...
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {string} moduleName - Module being checked
+   * @param {Array<string>} modules - Installed modules to search
+   * @returns {Promise<Array<Object>>} [{module, file, references}] with paths relative to bmadDir
+   */
+  async findModuleReferences(bmadDir, moduleName, modules) {
+    const bmadFolderName = path.basename(bmadDir);
+    const escaped = `${bmadFolderName}/${moduleName}/`.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+    const referencePattern = new RegExp(`${escaped}[\\w./-]*`, 'g');
+    const found = [];
+
+    for (const module of modules) {
+      if (module === moduleName || module === '_config') continue;
+
+      const moduleDir = path.join(bmadDir, module);
+      if (!(await fs.pathExists(moduleDir))) continue;
+
+      const files = await glob.glob('**/*.{md,yaml,yml,xml,csv}', { cwd: moduleDir, nodir: true });
+      for (const file of files.sort()) {
+        const content = await fs.readFile(path.join(moduleDir, file), 'utf8');
+        const references = [...new Set(content.match(referencePattern) || [])];
+        if (references.length > 0) {
+          found.push({ module, file: `${module}/${file}`, references });
+        }
+      }
+    }
+
+    return found;
+  }
+
   /**
    * Get module name from file path
    */
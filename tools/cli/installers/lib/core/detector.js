@@ -203,17 +203,31 @@ class Detector {
   }
 
   /**
-   * Detect legacy BMAD v4 .bmad-method folder
+   * Detect legacy BMAD v4 folders: the core install (.bmad-core, or
+   * .bmad-method in early v4 releases) and expansion packs (.bmad-<pack>)
    * @param {string} projectDir - Project directory to check
    * @returns {{ hasLegacyV4: boolean, offenders: string[] }}
    */
   async detectLegacyV4(projectDir) {
     const offenders = [];
+    if (!(await fs.pathExists(projectDir))) {
+      return { hasLegacyV4: false, offenders };
+    }
 
-    // Check for .bmad-method folder
-    const bmadMethodPath = path.join(projectDir, '.bmad-method');
-    if (await fs.pathExists(bmadMethodPath)) {
-      offenders.push(bmadMethodPath);
+    for (const entry of await fs.readdir(projectDir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || !entry.name.startsWith('.bmad-')) continue;
+      // Staging and hold directories of an install in progress
+      if (entry.name.startsWith('.bmad-staging-') || entry.name.startsWith('.bmad-replaced-')) continue;
+
+      const folderPath = path.join(projectDir, entry.name);
+      const isV4Folder =
+        entry.name === '.bmad-method' ||
+        (await fs.pathExists(path.join(folderPath, 'install-manifest.yaml'))) ||
+        (await fs.pathExists(path.join(folderPath, 'core-config.yaml'))) ||
+        (await fs.pathExists(path.join(folderPath, 'agents')));
+      if (isV4Folder) {
+        offenders.push(folderPath);
+      }
     }
 
     return { hasLegacyV4: offenders.length > 0, offenders };
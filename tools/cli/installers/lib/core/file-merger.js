@@ -0,0 +1,139 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const { spawnSync } = require('node:child_process');
+
+/**
+ * Where the installed version of each tracked file is kept, relative to the bmad directory
+ */
+const PRISTINE_DIR = path.join('_config', 'pristine');
+
+/**
+ * Conflict marker labels, in git merge-file's order: current, base, other
+ */
+const MERGE_LABELS = ['your edit', 'previous version', 'new version'];
+
+/**
+ * File Merger - carries edits to installed files across updates
+ *
+ * Every install keeps a copy of each tracked file as it was installed under
+ * _config/pristine/. When an update finds a file the user edited, that copy is
+ * the common base of a three-way merge between the edit and the new version:
+ *
+ * - kept: the new version is identical to the base, so the edit stays as it is
+ * - merged: both changed and git merged them cleanly
+ * - conflicted: both changed the same lines; the file gets conflict markers
+ * - backedUp: no base, or git could not merge; the new version is installed
+ *   and the edit is saved next to it as .bak, as before
+ *
+ * The merge runs `git merge-file`, the same way `bmad repair` shows diffs, so
+ * no extra dependency is needed.
+ */
+class FileMerger {
+  /**
+   * Get where a file's installed version is kept
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {string} relativePath - Path relative to the bmad directory
+   * @returns {string}
+   */
+  getPristinePath(bmadDir, relativePath) {
+    return path.join(bmadDir, PRISTINE_DIR, relativePath);
+  }
+
+  /**
+   * Whether a tracked file can be merged; the update regenerates config files
+   * and leaves agent memories alone, so neither is kept
+   * @param {string} relativePath - Path relative to the bmad directory, with forward slashes
+   * @returns {boolean}
+   */
+  isMergeable(relativePath) {
+    if (relativePath.startsWith('_config/') || path.posix.basename(relativePath) === 'config.yaml') return false;
+    return !(relativePath.startsWith('_memory/') && path.posix.dirname(relativePath).includes('-sidecar'));
+  }
+
+  /**
+   * Replace the kept installed versions with the files as they are now
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<Object>} manifestFiles - Entries of files-manifest.csv ({path})
+   * @returns {Promise<number>} Number of files kept
+   */
+  async savePristine(bmadDir, manifestFiles) {
+    const pristineDir = path.join(bmadDir, PRISTINE_DIR);
+    await fs.remove(pristineDir);
+
+    let count = 0;
+    for (const entry of manifestFiles) {
+      if (!entry.path || !this.isMergeable(entry.path)) continue;
+
+      const source = path.join(bmadDir, entry.path);
+      if (await fs.pathExists(source)) {
+        await fs.copy(source, path.join(pristineDir, entry.path));
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Merge an edited file with its new version
+   * @param {string} oursPath - The user's edited version
+   * @param {string} basePath - The version the edit started from
+   * @param {string} theirsPath - The newly installed version
+   * @returns {{status: string, content: string|Buffer|null}} status is kept, merged, conflicted or failed
+   */
+  merge(oursPath, basePath, theirsPath) {
+    if (fs.readFileSync(basePath).equals(fs.readFileSync(theirsPath))) {
+      return { status: 'kept', content: fs.readFileSync(oursPath) };
+    }
+
+    const labels = MERGE_LABELS.flatMap((label) => ['-L', label]);
+    const result = spawnSync('git', ['merge-file', '-p', ...labels, oursPath, basePath, theirsPath], {
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+    });
+
+    // Exit status is the number of conflicts; 255 (or no status) means git could not merge
+    if (result.error || result.status === null || result.status > 127) {
+      return { status: 'failed', content: null };
+    }
+    return { status: result.status === 0 ? 'merged' : 'conflicted', content: result.stdout };
+  }
+
+  /**
+   * Put the user's edits back into files an update replaced
+   * @param {string} bmadDir - BMAD installation directory, holding the new versions
+   * @param {Array<Object>} modifiedFiles - {path} of each edited file, from detectCustomFiles()
+   * @param {string} backupDir - Where the edits were saved, by path relative to bmadDir
+   * @param {string} baseDir - Where the previous installed versions were saved, likewise
+   * @returns {Promise<Object>} {kept, merged, conflicted, backedUp}, each a list of paths relative to bmadDir
+   */
+  async restoreEdits(bmadDir, modifiedFiles, backupDir, baseDir) {
+    const outcome = { kept: [], merged: [], conflicted: [], backedUp: [] };
+
+    for (const modifiedFile of modifiedFiles) {
+      const relativePath = path.relative(bmadDir, modifiedFile.path);
+      const oursPath = path.join(backupDir, relativePath);
+      const basePath = path.join(baseDir, relativePath);
+      if (!(await fs.pathExists(oursPath))) continue;
+
+      let result = { status: 'failed', content: null };
+      if ((await fs.pathExists(basePath)) && (await fs.pathExists(modifiedFile.path))) {
+        result = this.merge(oursPath, basePath, modifiedFile.path);
+      }
+
+      if (result.status === 'failed') {
+        const bakPath = modifiedFile.path + '.bak';
+        await fs.ensureDir(path.dirname(bakPath));
+        await fs.copy(oursPath, bakPath, { overwrite: true });
+        outcome.backedUp.push(relativePath.replaceAll('\\', '/'));
+        continue;
+      }
+
+      await fs.writeFile(modifiedFile.path, result.content);
+      outcome[result.status].push(relativePath.replaceAll('\\', '/'));
+    }
+
+    return outcome;
+  }
+}
+
+module.exports = { FileMerger };
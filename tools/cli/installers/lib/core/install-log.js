@@ -0,0 +1,239 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const { performance } = require('node:perf_hooks');
+
+/**
+ * Where install logs are written, relative to the bmad directory
+ */
+const LOGS_DIR = path.join('_config', 'logs');
+
+/**
+ * Number of logs kept; older ones are pruned when a new one is written
+ */
+const MAX_LOGS = 10;
+
+/**
+ * Events recorded before the log file is opened, or null when no run is
+ * being logged. Module level so the installer, module manager, config
+ * collector, IDE manager and manifest generator all record into the same log.
+ */
+let pending = null;
+let logPath = null;
+let startedAt = 0;
+
+/**
+ * Install Log - structured record of one install, for diagnosing failures
+ *
+ * Each run is written to _config/logs/install-<timestamp>.jsonl, one JSON
+ * event per line:
+ *
+ *   {"time":"...","elapsedMs":412,"level":"info","source":"ModuleManager","event":"module.install",
+ *    "module":"bmm","targetPath":"/p/_bmad/bmm","durationMs":380}
+ *
+ * Timed steps carry durationMs; failed steps have level "error" and an
+ * error {message, stack}. Once the log is opened every event is appended as
+ * it is recorded, so a run that is cancelled, killed or crashes still leaves
+ * its log, just without the closing run.end event. Dry runs change nothing,
+ * so they write no log. `bmad logs` prints the last run.
+ */
+class InstallLog {
+  /**
+   * Get the logs directory of an installation
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string}
+   */
+  getLogsDir(bmadDir) {
+    return path.join(bmadDir, LOGS_DIR);
+  }
+
+  /**
+   * Start logging a run, forgetting the events of any earlier one
+   * @param {Object} [details] - Recorded with the run.start event
+   */
+  start(details = {}) {
+    pending = [];
+    logPath = null;
+    startedAt = performance.now();
+    this.record('Installer', 'run.start', { node: process.version, platform: process.platform, ...details });
+  }
+
+  /**
+   * Whether a run is being logged
+   * @returns {boolean}
+   */
+  isActive() {
+    return pending !== null;
+  }
+
+  /**
+   * Create the log file of the run in an installation, writing the events
+   * recorded so far; later events are appended as they are recorded
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string|null} Path of the log, or null when no run is being logged
+   */
+  open(bmadDir) {
+    if (!pending) return null;
+    if (logPath) return logPath;
+
+    const logsDir = this.getLogsDir(bmadDir);
+    fs.ensureDirSync(logsDir);
+    logPath = path.join(logsDir, `install-${new Date().toISOString().replaceAll(/[:.]/g, '-')}.jsonl`);
+    fs.appendFileSync(logPath, pending.map((e) => JSON.stringify(e) + '\n').join(''), 'utf8');
+    pending = [];
+    return logPath;
+  }
+
+  /**
+   * Record an event; does nothing when no run is being logged
+   * @param {string} source - Component recording the event (ModuleManager, IdeManager, ...)
+   * @param {string} event - Event name, such as module.install
+   * @param {Object} [data] - Details: paths, counts, durationMs
+   * @param {string} [level] - info, warn or error
+   */
+  record(source, event, data = {}, level = 'info') {
+    if (!pending) return;
+    const entry = {
+      time: new Date().toISOString(),
+      elapsedMs: Math.round(performance.now() - startedAt),
+      level,
+      source,
+      event,
+      ...data,
+    };
+    if (!logPath) {
+      pending.push(entry);
+      return;
+    }
+
+    try {
+      fs.appendFileSync(logPath, JSON.stringify(entry) + '\n', 'utf8');
+    } catch {
+      // A log that can't be written must not fail the install
+    }
+  }
+
+  /**
+   * Record a failure with its stack
+   * @param {string} source - Component recording the event
+   * @param {string} event - Event name
+   * @param {Error} error - What went wrong
+   * @param {Object} [data] - Details
+   * @param {string} [level] - error, or warn for a failure the install carries on after
+   */
+  recordError(source, event, error, data = {}, level = 'error') {
+    this.record(source, event, { ...data, error: { message: error?.message || String(error), stack: error?.stack || null } }, level);
+  }
+
+  /**
+   * Run a step and record it with its duration, or with its error if it fails
+   * @param {string} source - Component recording the event
+   * @param {string} event - Event name
+   * @param {Object} data - Details recorded with the event
+   * @param {Function} step - Async function doing the work
+   * @returns {Promise<any>} The step's result
+   */
+  async time(source, event, data, step) {
+    if (!pending) return step();
+
+    const start = performance.now();
+    try {
+      const result = await step();
+      this.record(source, event, { ...data, durationMs: Math.round(performance.now() - start) });
+      return result;
+    } catch (error) {
+      this.recordError(source, event, error, { ...data, durationMs: Math.round(performance.now() - start) });
+      throw error;
+    }
+  }
+
+  /**
+   * End the run: append its run.end event and prune old logs
+   * @param {string} bmadDir - BMAD installation directory, used when the log was not opened yet
+   * @param {Object} outcome - Recorded with the run.end event ({success})
+   * @returns {Promise<string|null>} Path of the log, or null when no run was being logged
+   */
+  async finish(bmadDir, outcome) {
+    if (!pending) return null;
+
+    const written = this.open(bmadDir);
+    this.record(
+      'Installer',
+      'run.end',
+      { ...outcome, durationMs: Math.round(performance.now() - startedAt) },
+      outcome.success ? 'info' : 'error',
+    );
+    this.discard();
+
+    await this.prune(bmadDir);
+    return written;
+  }
+
+  /**
+   * Stop logging the run, writing nothing more
+   */
+  discard() {
+    pending = null;
+    logPath = null;
+  }
+
+  /**
+   * List the logs of an installation, newest first
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Promise<Array<string>>} Log file names
+   */
+  async list(bmadDir) {
+    const logsDir = this.getLogsDir(bmadDir);
+    if (!(await fs.pathExists(logsDir))) return [];
+
+    const names = await fs.readdir(logsDir);
+    return names
+      .filter((name) => name.startsWith('install-') && name.endsWith('.jsonl'))
+      .sort()
+      .toReversed();
+  }
+
+  /**
+   * Read the events of a log, skipping lines that are not valid JSON (such as a line cut off by a crash)
+   * @param {string} logPath - Log file
+   * @returns {Promise<Array<Object>>} Events
+   */
+  async read(logPath) {
+    const parsed = [];
+    for (const line of (await fs.readFile(logPath, 'utf8')).split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        parsed.push(JSON.parse(line));
+      } catch {
+        // Partial line
+      }
+    }
+    return parsed;
+  }
+
+  /**
+   * Whether a bmad directory holds nothing but install logs, as a failed
+   * first install leaves it - such a directory is not an installation
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Promise<boolean>}
+   */
+  async hasOnlyLogs(bmadDir) {
+    if (!(await fs.pathExists(this.getLogsDir(bmadDir)))) return false;
+
+    const entries = await fs.readdir(bmadDir);
+    const configEntries = await fs.readdir(path.join(bmadDir, '_config'));
+    return entries.length === 1 && configEntries.length === 1;
+  }
+
+  /**
+   * Remove the oldest logs beyond MAX_LOGS
+   * @param {string} bmadDir - BMAD installation directory
+   */
+  async prune(bmadDir) {
+    const names = await this.list(bmadDir);
+    for (const name of names.slice(MAX_LOGS)) {
+      await fs.remove(path.join(this.getLogsDir(bmadDir), name));
+    }
+  }
+}
+
+module.exports = { InstallLog, LOGS_DIR, MAX_LOGS };
@@ -0,0 +1,279 @@
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+const prompts = require('../../../lib/prompts');
+const { loadPlatformCodes } = require('../ide/platform-codes');
+const { BMAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+const { LOGS_DIR } = require('./install-log');
+
+/**
+ * Output locations of the IDE handlers that are not config-driven
+ * (codex.js, github-copilot.js, kilo.js, rovodev.js)
+ */
+const CUSTOM_IDE_PATHS = [
+  '.agents/skills',
+  '.codex/prompts',
+  '.github/agents',
+  '.github/prompts',
+  '.github',
+  '.kilocode/workflows',
+  '.kilocodemodes',
+  '.rovodev/workflows',
+  '.rovodev',
+];
+
+/**
+ * Install Planner - computes what an install would change without touching the project
+ *
+ * The installer writes inline from many places (module copies, agent compilation,
+ * IDE handlers, .bak restoration), so rather than intercepting each write the
+ * planner copies everything an install can touch into a staging directory, lets
+ * the real install run there, and diffs the staged result against the project.
+ */
+class InstallPlanner {
+  constructor() {
+    this.bmadFolderName = BMAD_FOLDER_NAME;
+    // Install logs are appended while the install runs, so they stay in the
+    // project instead of being staged, diffed and swapped
+    this.logsDir = [BMAD_FOLDER_NAME, ...LOGS_DIR.split(path.sep)].join('/');
+  }
+
+  /**
+   * Whether a path is under the install logs directory
+   * @param {string} relativePath - Path relative to the project root
+   * @returns {boolean}
+   */
+  isLogPath(relativePath) {
+    return relativePath === this.logsDir || relativePath.startsWith(`${this.logsDir}/`);
+  }
+
+  /**
+   * Get the directories IDE handlers write to, relative to the project root
+   * @returns {Promise<Array<string>>} Target directories, longest first
+   */
+  async getIdeTargetDirs() {
+    const config = await loadPlatformCodes();
+    const dirs = new Set(CUSTOM_IDE_PATHS);
+
+    for (const platform of Object.values(config.platforms || {})) {
+      const installer = platform.installer;
+      if (!installer) continue;
+      if (installer.target_dir) dirs.add(installer.target_dir);
+      for (const target of installer.targets || []) {
+        if (target.target_dir) dirs.add(target.target_dir);
+      }
+    }
+
+    return [...dirs].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Get the top-level project entries an install may read, rewrite or delete
+   * @returns {Promise<Array<string>>} Entry names relative to the project root
+   */
+  async getManagedRoots() {
+    const roots = new Set([this.bmadFolderName]);
+    for (const dir of await this.getIdeTargetDirs()) {
+      roots.add(dir.split('/')[0]);
+    }
+    return [...roots];
+  }
+
+  /**
+   * Copy the installation and IDE directories of a project into a staging
+   * directory, leaving out the install logs
+   * @param {string} projectDir - Project root directory
+   * @param {string} [parentDir] - Where to create the staging directory (default: OS temp dir)
+   * @returns {Promise<string>} Staging project directory
+   */
+  async stage(projectDir, parentDir = os.tmpdir()) {
+    await fs.ensureDir(parentDir);
+    const stagingDir = await fs.mkdtemp(path.join(parentDir, '.bmad-staging-'));
+
+    for (const root of await this.getManagedRoots()) {
+      const source = path.join(projectDir, root);
+      if (!(await fs.pathExists(source))) continue;
+
+      const target = path.join(stagingDir, root);
+      await fs.copy(source, target, {
+        filter: (src) => !this.isLogPath(path.relative(projectDir, src).replaceAll('\\', '/')),
+      });
+      // A bmad folder holding nothing but logs is not an installation
+      if (root === this.bmadFolderName && (await this.listEntries(target)).files.length === 0) {
+        await fs.remove(target);
+      }
+    }
+
+    return stagingDir;
+  }
+
+  /**
+   * Compare a staged install against the project it was staged from
+   * @param {string} projectDir - Project root directory
+   * @param {string} stagingDir - Staging directory the install ran in
+   * @returns {Promise<Object>} Plan with {groups: {name: {create, overwrite, backup, delete}}, totals}
+   */
+  async plan(projectDir, stagingDir) {
+    const targetDirs = await this.getIdeTargetDirs();
+    const groups = {};
+    const totals = { create: 0, overwrite: 0, backup: 0, delete: 0, unchanged: 0 };
+
+    const record = (action, relativePath) => {
+      const group = this.getGroup(relativePath, targetDirs);
+      if (!groups[group]) {
+        groups[group] = { create: [], overwrite: [], backup: [], delete: [] };
+      }
+      groups[group][action].push(relativePath);
+      totals[action]++;
+    };
+
+    const staged = await this.listEntries(stagingDir);
+    const stagedFiles = new Set(staged.files);
+
+    for (const relativePath of staged.files) {
+      const projectPath = path.join(projectDir, relativePath);
+      if (!(await fs.pathExists(projectPath))) {
+        record(relativePath.endsWith('.bak') ? 'backup' : 'create', relativePath);
+      } else if (await this.filesDiffer(projectPath, path.join(stagingDir, relativePath))) {
+        record('overwrite', relativePath);
+      } else {
+        totals.unchanged++;
+      }
+    }
+
+    // Empty directories the install creates (output folders and the like)
+    for (const relativeDir of staged.emptyDirs) {
+      if (!(await fs.pathExists(path.join(projectDir, relativeDir)))) {
+        record('create', `${relativeDir}/`);
+      }
+    }
+
+    // Anything under a staged root that the install removed
+    for (const root of await this.getManagedRoots()) {
+      const projectRoot = path.join(projectDir, root);
+      if (!(await fs.pathExists(projectRoot))) continue;
+
+      const existing = (await fs.stat(projectRoot)).isDirectory()
+        ? (await this.listEntries(projectRoot)).files.map((f) => `${root}/${f}`)
+        : [root];
+      for (const relativePath of existing) {
+        if (!stagedFiles.has(relativePath) && !this.isLogPath(relativePath)) {
+          record('delete', relativePath);
+        }
+      }
+    }
+
+    for (const group of Object.values(groups)) {
+      for (const list of Object.values(group)) list.sort();
+    }
+
+    return { groups, totals };
+  }
+
+  /**
+   * Name the plan group a path belongs to: the module under the bmad folder,
+   * the IDE target directory, or otherwise its top-level directory
+   * @param {string} relativePath - Path relative to the project root
+   * @param {Array<string>} targetDirs - IDE target directories, longest first
+   * @returns {string} Group name
+   */
+  getGroup(relativePath, targetDirs) {
+    const parts = relativePath.split('/');
+    if (parts[0] === this.bmadFolderName) {
+      return parts.length > 2 ? `${parts[0]}/${parts[1]}` : parts[0];
+    }
+
+    const targetDir = targetDirs.find((dir) => relativePath === dir || relativePath.startsWith(`${dir}/`));
+    if (targetDir) return targetDir;
+
+    return parts.length > 1 ? parts[0] : '.';
+  }
+
+  /**
+   * List files and empty directories under a directory
+   * @param {string} dir - Directory to scan
+   * @returns {Promise<{files: Array<string>, emptyDirs: Array<string>}>} Paths relative to dir
+   */
+  async listEntries(dir) {
+    const files = [];
+    const emptyDirs = [];
+
+    const walk = async (current) => {
+      const entries = await fs.readdir(current, { withFileTypes: true });
+      if (entries.length === 0 && current !== dir) {
+        emptyDirs.push(path.relative(dir, current).replaceAll('\\', '/'));
+      }
+      for (const entry of entries) {
+        const fullPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else {
+          files.push(path.relative(dir, fullPath).replaceAll('\\', '/'));
+        }
+      }
+    };
+
+    await walk(dir);
+    return { files, emptyDirs };
+  }
+
+  /**
+   * Check whether two files have different content
+   * @param {string} a - First file
+   * @param {string} b - Second file
+   * @returns {Promise<boolean>} True if they differ
+   */
+  async filesDiffer(a, b) {
+    const [statA, statB] = await Promise.all([fs.stat(a), fs.stat(b)]);
+    if (!statA.isFile() || statA.size !== statB.size) return true;
+
+    const [contentA, contentB] = await Promise.all([fs.readFile(a), fs.readFile(b)]);
+    return !contentA.equals(contentB);
+  }
+
+  /**
+   * Print a plan, one block per module / IDE target directory
+   * @param {Object} plan - Plan from plan()
+   */
+  async render(plan) {
+    const color = await prompts.getColor();
+    const markers = {
+      create: color.green('+ create   '),
+      overwrite: color.yellow('~ overwrite'),
+      backup: color.cyan('b backup   '),
+      delete: color.red('- delete   '),
+    };
+
+    for (const name of Object.keys(plan.groups).sort()) {
+      const lines = [];
+      for (const [action, files] of Object.entries(plan.groups[name])) {
+        for (const file of files) {
+          lines.push(`  ${markers[action]}  ${file}`);
+        }
+      }
+      await prompts.log.message(`${color.cyan(name)}\n${lines.join('\n')}`);
+    }
+
+    const { totals } = plan;
+    await prompts.note(
+      [
+        `Create:     ${totals.create}`,
+        `Overwrite:  ${totals.overwrite}`,
+        `Backup:     ${totals.backup} (.bak)`,
+        `Delete:     ${totals.delete}`,
+        color.dim(`Unchanged:  ${totals.unchanged}`),
+      ].join('\n'),
+      'Install Plan (Dry Run)',
+    );
+  }
+
+  /**
+   * Remove a staging directory
+   * @param {string} stagingDir - Staging directory from stage()
+   */
+  async cleanup(stagingDir) {
+    await fs.remove(stagingDir);
+  }
+}
+
+module.exports = { InstallPlanner };
@@ -0,0 +1,103 @@
+const { performance } = require('node:perf_hooks');
+const prompts = require('../../../lib/prompts');
+
+/**
+ * Time spent in each phase of this run, keyed by phase and item, in the order
+ * first measured. Module level so the module manager, the IDE setup and the
+ * installer all record into the table printed at the end of the install.
+ */
+const timings = new Map();
+
+/**
+ * Whether timings are recorded (--profile), and when recording started
+ */
+let enabled = false;
+let startedAt = 0;
+
+/**
+ * Install Profiler - per-phase timings for `bmad install --profile`
+ *
+ * Phases are clone, copy, compile, manifest and ide; the item is the module
+ * or IDE measured. Modules and IDEs run concurrently, so the phase times add
+ * up to more than the wall time shown as the total.
+ */
+class InstallProfiler {
+  /**
+   * Start or stop recording timings; starting forgets earlier ones
+   * @param {boolean} enable - Whether to record
+   */
+  enable(enable) {
+    enabled = Boolean(enable);
+    timings.clear();
+    startedAt = performance.now();
+  }
+
+  /**
+   * Whether timings are being recorded
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return enabled;
+  }
+
+  /**
+   * Run a step, adding its duration to a phase when recording
+   * @param {string} phase - clone, copy, compile, manifest or ide
+   * @param {string} item - Module or IDE the step is for
+   * @param {Function} step - Async function doing the work
+   * @returns {Promise<any>} The step's result
+   */
+  async measure(phase, item, step) {
+    if (!enabled) return step();
+
+    const start = performance.now();
+    try {
+      return await step();
+    } finally {
+      const key = `${phase}\u0000${item}`;
+      const entry = timings.get(key) || { phase, item, ms: 0 };
+      entry.ms += performance.now() - start;
+      timings.set(key, entry);
+    }
+  }
+
+  /**
+   * Get the recorded timings
+   * @returns {Object} {phases: [{phase, item, ms}], totalMs}
+   */
+  getTimings() {
+    return {
+      phases: [...timings.values()].map((t) => ({ ...t, ms: Math.round(t.ms) })),
+      totalMs: Math.round(performance.now() - startedAt),
+    };
+  }
+
+  /**
+   * Print the timing table, grouped by phase; nothing when not recording
+   */
+  async render() {
+    if (!enabled) return;
+
+    const { phases, totalMs } = this.getTimings();
+    const format = (ms) => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+    const rows = [];
+    for (const phase of new Set(phases.map((t) => t.phase))) {
+      const entries = phases.filter((t) => t.phase === phase);
+      for (const t of entries) {
+        rows.push([phase, t.item, format(t.ms)]);
+      }
+      if (entries.length > 1) {
+        rows.push([phase, '(sum)', format(entries.reduce((sum, t) => sum + t.ms, 0))]);
+      }
+    }
+    rows.push(['total', '(wall time)', format(totalMs)]);
+
+    const widths = [0, 1].map((i) => Math.max(...rows.map((row) => row[i].length), i === 0 ? 5 : 4));
+    const lines = [['Phase', 'Item', 'Time'], ...rows].map(
+      ([phase, item, time]) => `${phase.padEnd(widths[0])}  ${item.padEnd(widths[1])}  ${time.padStart(7)}`,
+    );
+    await prompts.note(lines.join('\n'), 'Install profile');
+  }
+}
+
+module.exports = { InstallProfiler };
@@ -0,0 +1,160 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const { InstallPlanner } = require('./install-planner');
+
+/**
+ * Install Transaction - all-or-nothing installs
+ *
+ * The install runs against a staged copy of the installation and IDE
+ * directories (see InstallPlanner.stage). Only once it has finished without
+ * errors are the staged directories swapped into the project, one rename per
+ * top-level directory.
+ *
+ * Staging lives inside the project so every swap is a same-filesystem rename.
+ */
+class InstallTransaction {
+  /**
+   * @param {string} projectDir - Project root directory
+   */
+  constructor(projectDir) {
+    this.projectDir = path.resolve(projectDir);
+    this.planner = new InstallPlanner();
+    this.stagingDir = null;
+    this.exitHandler = null;
+  }
+
+  /**
+   * Stage the project for an install
+   * @returns {Promise<string>} Staging directory to run the install in
+   */
+  async begin() {
+    await fs.ensureDir(this.projectDir);
+    this.stagingDir = await this.planner.stage(this.projectDir, this.projectDir);
+
+    // Cancelled prompts end the process directly; don't leave staging behind
+    const stagingDir = this.stagingDir;
+    this.exitHandler = () => fs.removeSync(stagingDir);
+    process.on('exit', this.exitHandler);
+
+    return this.stagingDir;
+  }
+
+  /**
+   * Swap the staged install into the project. If any swap fails, every
+   * directory already swapped is put back.
+   * @returns {Promise<{replaced: Array<string>, created: Array<string>}>} Top-level entries swapped in
+   */
+  async commit() {
+    const roots = [];
+    for (const root of await this.planner.getManagedRoots()) {
+      if (await this.rootChanged(root)) roots.push(root);
+    }
+
+    const holdDir = await fs.mkdtemp(path.join(this.projectDir, '.bmad-replaced-'));
+    try {
+      const moves = await this.swapRoots(this.stagingDir, roots, holdDir);
+      await this.keepLogs(holdDir);
+      return {
+        replaced: moves.filter((m) => m.displaced).map((m) => m.root),
+        created: moves.filter((m) => m.placed && !m.displaced).map((m) => m.root),
+      };
+    } finally {
+      await fs.remove(holdDir);
+      await this.abort();
+    }
+  }
+
+  /**
+   * Discard the staged install, leaving the project untouched
+   */
+  async abort() {
+    if (this.stagingDir) {
+      await this.planner.cleanup(this.stagingDir);
+    }
+    if (this.exitHandler) {
+      process.removeListener('exit', this.exitHandler);
+      this.exitHandler = null;
+    }
+  }
+
+  /**
+   * Move top-level entries from sourceDir into the project, moving whatever
+   * they replace into holdDir. On failure every move is undone before rethrowing.
+   * @param {string} sourceDir - Directory holding the incoming entries
+   * @param {Array<string>} roots - Entry names relative to the project root
+   * @param {string} holdDir - Directory to receive the replaced entries
+   * @returns {Promise<Array<{root: string, displaced: boolean, placed: boolean}>>} Moves performed
+   */
+  async swapRoots(sourceDir, roots, holdDir) {
+    const moves = [];
+    try {
+      for (const root of roots) {
+        const current = path.join(this.projectDir, root);
+        const incoming = path.join(sourceDir, root);
+        const move = { root, displaced: false, placed: false };
+        moves.push(move);
+
+        if (await fs.pathExists(current)) {
+          await fs.rename(current, path.join(holdDir, root));
+          move.displaced = true;
+        }
+        if (await fs.pathExists(incoming)) {
+          await fs.rename(incoming, current);
+          move.placed = true;
+        }
+      }
+    } catch (error) {
+      for (const move of moves.toReversed()) {
+        const current = path.join(this.projectDir, move.root);
+        if (move.placed) await fs.rename(current, path.join(sourceDir, move.root));
+        if (move.displaced) await fs.rename(path.join(holdDir, move.root), current);
+      }
+      throw error;
+    }
+    return moves;
+  }
+
+  /**
+   * Move the install logs of a replaced bmad folder into the one swapped in.
+   * Logs are not staged (the running install appends to them), so they
+   * would otherwise go with the replaced folder.
+   * @param {string} holdDir - Directory holding the replaced entries
+   */
+  async keepLogs(holdDir) {
+    const heldLogs = path.join(holdDir, this.planner.logsDir);
+    const bmadDir = path.join(this.projectDir, this.planner.bmadFolderName);
+    if ((await fs.pathExists(heldLogs)) && (await fs.pathExists(bmadDir))) {
+      await fs.move(heldLogs, path.join(this.projectDir, this.planner.logsDir), { overwrite: true });
+    }
+  }
+
+  /**
+   * Whether the staged copy of a top-level entry differs from the project's
+   * @param {string} root - Entry name relative to the project root
+   * @returns {Promise<boolean>}
+   */
+  async rootChanged(root) {
+    const current = path.join(this.projectDir, root);
+    const staged = path.join(this.stagingDir, root);
+    const [hasCurrent, hasStaged] = await Promise.all([fs.pathExists(current), fs.pathExists(staged)]);
+    if (!hasCurrent || !hasStaged) return hasCurrent !== hasStaged;
+
+    const [currentStat, stagedStat] = await Promise.all([fs.stat(current), fs.stat(staged)]);
+    if (!currentStat.isDirectory() || !stagedStat.isDirectory()) {
+      return currentStat.isDirectory() !== stagedStat.isDirectory() || (await this.planner.filesDiffer(current, staged));
+    }
+
+    const [currentEntries, stagedEntries] = await Promise.all([this.planner.listEntries(current), this.planner.listEntries(staged)]);
+    const currentFiles = currentEntries.files.filter((file) => !this.planner.isLogPath(`${root}/${file}`)).sort();
+    const stagedFiles = stagedEntries.files.sort();
+    if (currentFiles.join('\n') !== stagedFiles.join('\n')) return true;
+    if (currentEntries.emptyDirs.sort().join('\n') !== stagedEntries.emptyDirs.sort().join('\n')) return true;
+
+    for (const file of currentFiles) {
+      if (await this.planner.filesDiffer(path.join(current, file), path.join(staged, file))) return true;
+    }
+    return false;
+  }
+}
+
+module.exports = { InstallTransaction };
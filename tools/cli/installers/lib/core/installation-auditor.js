@@ -0,0 +1,235 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const { Manifest } = require('./manifest');
+const { IdeManager } = require('../ide/manager');
+
+/**
+ * Installation Auditor - read-only drift detection for an existing installation
+ *
+ * Compares the files on disk against _config/files-manifest.csv and reports,
+ * per module, which installed files are missing, which were modified since
+ * install, and which files exist that the installer never wrote. It also
+ * scans the command directories of configured IDEs for command files that
+ * point at BMAD files which no longer exist.
+ *
+ * Nothing is written or removed - callers decide what to do with the report.
+ */
+class InstallationAuditor {
+  constructor() {
+    this.manifest = new Manifest();
+    this.ideManager = new IdeManager();
+  }
+
+  /**
+   * Audit an installation
+   * @param {string} projectDir - Project root directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array} manifestFiles - Entries from files-manifest.csv ({type, name, module, path, hash})
+   * @returns {Promise<Object>} Audit report
+   */
+  async audit(projectDir, bmadDir, manifestFiles) {
+    const bmadFolderName = path.basename(bmadDir);
+    const installation = await this.manifest.read(bmadDir);
+
+    const modules = {};
+    const getModule = (name) => {
+      if (!modules[name]) {
+        modules[name] = { checked: 0, missing: [], modified: [], orphan: [] };
+      }
+      return modules[name];
+    };
+
+    // Files the installer tracked: missing or modified
+    const trackedPaths = new Set();
+    for (const entry of manifestFiles) {
+      if (!entry.path || this.isConfigPath(entry.path)) continue;
+
+      trackedPaths.add(entry.path);
+      const moduleReport = getModule(entry.module || entry.path.split('/')[0]);
+      moduleReport.checked++;
+
+      const absolutePath = path.join(bmadDir, entry.path);
+      if (!(await fs.pathExists(absolutePath))) {
+        moduleReport.missing.push(entry.path);
+        continue;
+      }
+
+      if (entry.hash && !this.isUserOwned(entry.path)) {
+        const currentHash = await this.manifest.calculateFileHash(absolutePath);
+        if (currentHash && currentHash !== entry.hash) {
+          moduleReport.modified.push(entry.path);
+        }
+      }
+    }
+
+    // Files on disk the installer never tracked: orphans
+    for (const relativePath of await this.listFiles(bmadDir)) {
+      if (trackedPaths.has(relativePath) || this.isConfigPath(relativePath) || this.isUserOwned(relativePath)) {
+        continue;
+      }
+      if (this.isGeneratedAgent(relativePath)) continue;
+
+      getModule(relativePath.split('/')[0]).orphan.push(relativePath);
+    }
+
+    const ideCommands = await this.auditIdeCommands(projectDir, bmadDir, bmadFolderName, installation?.ides || []);
+
+    const summary = { checked: 0, missing: 0, modified: 0, orphan: 0, staleCommands: 0 };
+    for (const moduleReport of Object.values(modules)) {
+      summary.checked += moduleReport.checked;
+      summary.missing += moduleReport.missing.length;
+      summary.modified += moduleReport.modified.length;
+      summary.orphan += moduleReport.orphan.length;
+    }
+    for (const ide of ideCommands) {
+      summary.staleCommands += ide.stale.length;
+    }
+
+    return {
+      projectDir,
+      bmadDir,
+      version: installation?.version || null,
+      hasHashes: manifestFiles.some((f) => f.hash),
+      modules,
+      ideCommands,
+      summary,
+      healthy: summary.missing + summary.modified + summary.orphan + summary.staleCommands === 0,
+    };
+  }
+
+  /**
+   * Check the command files of each configured IDE for references to BMAD
+   * files that no longer exist
+   * @param {string} projectDir - Project root directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {string} bmadFolderName - Name of the BMAD folder (e.g. _bmad)
+   * @param {Array<string>} ides - IDE codes recorded in the manifest
+   * @returns {Promise<Array>} One entry per IDE: {ide, checked, dirs, stale: [{file, missing: []}]}
+   */
+  async auditIdeCommands(projectDir, bmadDir, bmadFolderName, ides) {
+    await this.ideManager.ensureInitialized();
+
+    const escapedFolder = bmadFolderName.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+    const referencePattern = new RegExp(String.raw`\{project-root\}/${escapedFolder}/([^\s'"\`)<>,]+)`, 'g');
+
+    const results = [];
+    for (const ide of ides) {
+      if (!ide) continue;
+
+      const dirs = this.getIdeCommandDirs(ide);
+      if (dirs.length === 0) {
+        // Custom installers (codex, github-copilot, ...) don't expose a command directory
+        results.push({ ide, checked: false, dirs: [], stale: [] });
+        continue;
+      }
+
+      const stale = [];
+      for (const dir of dirs) {
+        const targetPath = path.join(projectDir, dir);
+        if (!(await fs.pathExists(targetPath))) continue;
+
+        const entries = await fs.readdir(targetPath);
+        for (const entry of entries) {
+          if (!entry.startsWith('bmad')) continue;
+
+          const entryPath = path.join(targetPath, entry);
+          const commandFiles = (await fs.stat(entryPath)).isDirectory()
+            ? (await this.listFiles(entryPath)).map((f) => path.join(entryPath, f))
+            : [entryPath];
+
+          for (const commandFile of commandFiles) {
+            const content = await fs.readFile(commandFile, 'utf8');
+            const missing = new Set();
+            for (const match of content.matchAll(referencePattern)) {
+              const reference = match[1].replace(/[.:;]+$/, '');
+              if (!(await fs.pathExists(path.join(bmadDir, reference)))) {
+                missing.add(`${bmadFolderName}/${reference}`);
+              }
+            }
+            if (missing.size > 0) {
+              stale.push({
+                file: path.relative(projectDir, commandFile).replaceAll('\\', '/'),
+                missing: [...missing],
+              });
+            }
+          }
+        }
+      }
+
+      results.push({ ide, checked: true, dirs, stale });
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the command directories an IDE handler writes to
+   * @param {string} ide - IDE code
+   * @returns {Array<string>} Directories relative to the project root
+   */
+  getIdeCommandDirs(ide) {
+    const installerConfig = this.ideManager.handlers.get(ide)?.installerConfig;
+    if (!installerConfig) return [];
+
+    if (installerConfig.targets) {
+      return installerConfig.targets.map((t) => t.target_dir).filter(Boolean);
+    }
+    return installerConfig.target_dir ? [installerConfig.target_dir] : [];
+  }
+
+  /**
+   * List all files under a directory
+   * @param {string} dir - Directory to scan
+   * @returns {Promise<Array<string>>} Paths relative to dir, using forward slashes
+   */
+  async listFiles(dir) {
+    const files = [];
+    const walk = async (current) => {
+      const entries = await fs.readdir(current, { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.name === 'node_modules' || entry.name === '.git') continue;
+
+        const fullPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          files.push(path.relative(dir, fullPath).replaceAll('\\', '/'));
+        }
+      }
+    };
+    await walk(dir);
+    return files.sort();
+  }
+
+  /**
+   * Whether a path is installer bookkeeping: _config/ or bmad.lock (regenerated every install)
+   * @param {string} relativePath - Path relative to the bmad directory
+   * @returns {boolean}
+   */
+  isConfigPath(relativePath) {
+    return relativePath.startsWith('_config/') || relativePath === 'bmad.lock';
+  }
+
+  /**
+   * Whether a file is expected to be edited by the user or by agents at runtime
+   * (module config.yaml files and agent sidecar memories)
+   * @param {string} relativePath - Path relative to the bmad directory
+   * @returns {boolean}
+   */
+  isUserOwned(relativePath) {
+    if (path.posix.basename(relativePath) === 'config.yaml') return true;
+    return relativePath.startsWith('_memory/') && path.posix.dirname(relativePath).includes('-sidecar');
+  }
+
+  /**
+   * Whether a file is a compiled agent - these are built from YAML during install
+   * and are not tracked in files-manifest.csv
+   * @param {string} relativePath - Path relative to the bmad directory
+   * @returns {boolean}
+   */
+  isGeneratedAgent(relativePath) {
+    return relativePath.endsWith('.md') && relativePath.includes('/agents/');
+  }
+}
+
+module.exports = { InstallationAuditor };
@@ -13,10 +13,21 @@ const { getProjectRoot, getSourcePath, getModulePath } = require('../../../lib/p
 const { CLIUtils } = require('../../../lib/cli-utils');
 const { ManifestGenerator } = require('./manifest-generator');
 const { IdeConfigManager } = require('./ide-config-manager');
+const { Lockfile, LOCKFILE_NAME } = require('./lockfile');
+const { FileMerger } = require('./file-merger');
+const { InstallProfiler } = require('./install-profiler');
+const { InstallLog } = require('./install-log');
+const { Workspace } = require('./workspace');
+const { mapLimit } = require('../../../lib/parallel');
 const { CustomHandler } = require('../custom/handler');
 const prompts = require('../../../lib/prompts');
 const { BMAD_FOLDER_NAME } = require('../ide/shared/path-utils');
 
+/**
+ * Most modules installed, and IDEs set up, at the same time unless --jobs says otherwise
+ */
+const DEFAULT_JOBS = 4;
+
 class Installer {
   constructor() {
     this.detector = new Detector();
@@ -29,6 +40,10 @@ class Installer {
     this.dependencyResolver = new DependencyResolver();
     this.configCollector = new ConfigCollector();
     this.ideConfigManager = new IdeConfigManager();
+    this.fileMerger = new FileMerger();
+    this.profiler = new InstallProfiler();
+    this.installLog = new InstallLog();
+    this.workspace = new Workspace();
     this.installedFiles = new Set(); // Track all installed files
     this.bmadFolderName = BMAD_FOLDER_NAME;
   }
@@ -49,6 +64,14 @@ class Installer {
       return { bmadDir, hasLegacyCfg: false };
     }
 
+    // A workspace package without an install of its own uses the workspace's
+    if (!(await fs.pathExists(bmadDir))) {
+      const member = this.workspace.findRoot(projectDir);
+      if (member) {
+        return this.findBmadDir(member.workspace.rootDir);
+      }
+    }
+
     // Check for legacy _cfg folder if bmad directory exists
     let hasLegacyCfg = false;
     if (await fs.pathExists(bmadDir)) {
@@ -225,11 +248,18 @@ class Installer {
    * @param {string[]} config.modules - Modules to install
    * @param {string[]} config.ides - IDEs to configure
    * @param {boolean} config.skipIde - Skip IDE configuration
+   * @param {boolean} config.dryRun - Report what would change instead of installing
+   * @param {boolean} config.frozenLockfile - Fail instead of installing anything bmad.lock does not record
+   * @param {number} [config.jobs] - Most modules and IDEs set up at the same time (default 4)
    */
   async install(originalConfig) {
     // Clone config to avoid mutating the caller's object
     const config = { ...originalConfig };
 
+    if (!config._staged) {
+      return this.runLogged(config);
+    }
+
     // Check if core config was already collected in UI
     const hasCoreConfig = config.coreConfig && Object.keys(config.coreConfig).length > 0;
 
@@ -247,6 +277,8 @@ class Installer {
 
     const projectDir = path.resolve(config.directory);
     const bmadDir = path.join(projectDir, BMAD_FOLDER_NAME);
+    // Installs run in a staging directory; paths the user gave are relative to the real project
+    const userProjectDir = config._projectDir || projectDir;
 
     // If core config was pre-collected (from interactive mode), use it
     if (config.coreConfig && Object.keys(config.coreConfig).length > 0) {
@@ -261,6 +293,7 @@ class Installer {
     // Collect configurations for modules (skip if quick update already collected them)
     let moduleConfigs;
     let customModulePaths = new Map();
+    let moduleGraph = {};
 
     if (config._quickUpdate) {
       // Quick update already collected all configs, use them directly
@@ -272,6 +305,10 @@ class Installer {
           customModulePaths.set(moduleId, customInfo.sourcePath);
         }
       }
+
+      // A quick update keeps the installed module set, so dependencies are only checked
+      const keptModules = new Map((config._preserveModules || []).map((m) => [m, null]));
+      moduleGraph = (await this.resolveModuleDependencies(config, customModulePaths, { installed: keptModules, addMissing: false })).graph;
     } else {
       // For regular updates (modify flow), check manifest for custom module sources
       if (config._isUpdate && config._existingInstall && config._existingInstall.customModules) {
@@ -287,7 +324,7 @@ class Installer {
           // If no sourcePath but we have relativePath, convert it
           else if (!absoluteSourcePath && customModule.relativePath) {
             // relativePath is relative to the project root (parent of bmad dir)
-            absoluteSourcePath = path.resolve(projectDir, customModule.relativePath);
+            absoluteSourcePath = path.resolve(userProjectDir, customModule.relativePath);
           }
           // Ensure sourcePath is absolute for anything else
           else if (absoluteSourcePath && !path.isAbsolute(absoluteSourcePath)) {
@@ -340,6 +377,9 @@ class Installer {
         }
       }
 
+      // Modules pulled in through module.yaml dependencies need their questions asked too
+      moduleGraph = (await this.resolveModuleDependencies(config, customModulePaths)).graph;
+
       // Get list of all modules including custom modules
       // Order: core first, then official modules, then custom modules
       const allModulesForConfig = ['core'];
@@ -359,15 +399,17 @@ class Installer {
       if (config.coreConfig && Object.keys(config.coreConfig).length > 0) {
         // Core already collected, skip it in config collection
         const modulesWithoutCore = allModulesForConfig.filter((m) => m !== 'core');
-        moduleConfigs = await this.configCollector.collectAllConfigurations(modulesWithoutCore, path.resolve(config.directory), {
+        moduleConfigs = await this.configCollector.collectAllConfigurations(modulesWithoutCore, userProjectDir, {
           customModulePaths,
           skipPrompts: config.skipPrompts,
+          answers: config.answers,
         });
       } else {
         // Core not collected yet, include it
-        moduleConfigs = await this.configCollector.collectAllConfigurations(allModulesForConfig, path.resolve(config.directory), {
+        moduleConfigs = await this.configCollector.collectAllConfigurations(allModulesForConfig, userProjectDir, {
           customModulePaths,
           skipPrompts: config.skipPrompts,
+          answers: config.answers,
         });
       }
     }
@@ -575,21 +617,11 @@ class Installer {
             config._tempBackupDir = tempBackupDir;
           }
 
-          // For modified files, back them up to temp directory (will be restored as .bak files after install)
+          // For modified files, back them up to temp directory (merged back into the new versions after install)
           if (modifiedFiles.length > 0) {
-            const tempModifiedBackupDir = path.join(projectDir, '_bmad-modified-backup-temp');
-            await fs.ensureDir(tempModifiedBackupDir);
-
             spinner.start(`Backing up ${modifiedFiles.length} modified files...`);
-            for (const modifiedFile of modifiedFiles) {
-              const relativePath = path.relative(bmadDir, modifiedFile.path);
-              const tempBackupPath = path.join(tempModifiedBackupDir, relativePath);
-              await fs.ensureDir(path.dirname(tempBackupPath));
-              await fs.copy(modifiedFile.path, tempBackupPath, { overwrite: true });
-            }
+            await this.backupModifiedFiles(projectDir, bmadDir, modifiedFiles, config);
             spinner.stop(`Backed up ${modifiedFiles.length} modified files`);
-
-            config._tempModifiedBackupDir = tempModifiedBackupDir;
           }
         }
       } else if (existingInstall.installed && config._quickUpdate) {
@@ -660,18 +692,9 @@ class Installer {
 
         // Back up modified files
         if (modifiedFiles.length > 0) {
-          const tempModifiedBackupDir = path.join(projectDir, '_bmad-modified-backup-temp');
-          await fs.ensureDir(tempModifiedBackupDir);
-
           spinner.start(`Backing up ${modifiedFiles.length} modified files...`);
-          for (const modifiedFile of modifiedFiles) {
-            const relativePath = path.relative(bmadDir, modifiedFile.path);
-            const tempBackupPath = path.join(tempModifiedBackupDir, relativePath);
-            await fs.ensureDir(path.dirname(tempBackupPath));
-            await fs.copy(modifiedFile.path, tempBackupPath, { overwrite: true });
-          }
+          await this.backupModifiedFiles(projectDir, bmadDir, modifiedFiles, config);
           spinner.stop(`Backed up ${modifiedFiles.length} modified files`);
-          config._tempModifiedBackupDir = tempModifiedBackupDir;
         }
       }
 
@@ -785,7 +808,10 @@ class Installer {
 
       // Results collector for consolidated summary
       const results = [];
-      const addResult = (step, status, detail = '') => results.push({ step, status, detail });
+      const addResult = (step, status, detail = '') => {
+        results.push({ step, status, detail });
+        this.installLog.record('Installer', 'step', { step, status, detail }, status === 'ok' ? 'info' : status);
+      };
 
       if (spinner.isSpinning) {
         spinner.message('Preparing installation...');
@@ -807,6 +833,8 @@ class Installer {
           const cachedInfo = await customCache.cacheModule(moduleId, sourcePath, {
             sourcePath: sourcePath, // Store original path for updates
           });
+          const expected = await this.moduleManager.externalModuleManager.getExpectedIntegrity(moduleId);
+          await this.moduleManager.moduleVerifier.verify(moduleId, { hash: cachedInfo.originalHash }, expected);
 
           // Update the customModulePaths to use the cached location
           customModulePaths.set(moduleId, cachedInfo.cachePath);
@@ -849,7 +877,7 @@ class Installer {
         // Add custom modules to the installation list
         const customHandler = new CustomHandler();
         for (const customFile of finalCustomContent.selectedFiles) {
-          const customInfo = await customHandler.getCustomInfo(customFile, projectDir);
+          const customInfo = await customHandler.getCustomInfo(customFile, userProjectDir);
           if (customInfo && customInfo.id) {
             allModules.push(customInfo.id);
           }
@@ -882,6 +910,7 @@ class Installer {
       // FIRST TASKS BLOCK: Core installation through manifests (non-interactive)
       // ─────────────────────────────────────────────────────────────────────────
       const isQuickUpdate = config._quickUpdate || false;
+      const jobs = config.jobs || DEFAULT_JOBS;
 
       // Shared resolution result across task callbacks (closure-scoped, not on `this`)
       let taskResolution;
@@ -928,12 +957,8 @@ class Installer {
           title: isQuickUpdate ? `Updating ${allModules.length} module(s)` : `Installing ${allModules.length} module(s)`,
           task: async (message) => {
             const resolution = taskResolution;
-            const installedModuleNames = new Set();
-
-            for (const moduleName of allModules) {
-              if (installedModuleNames.has(moduleName)) continue;
-              installedModuleNames.add(moduleName);
 
+            const installModule = async (moduleName) => {
               message(`${isQuickUpdate ? 'Updating' : 'Installing'} ${moduleName}...`);
 
               // Check if this is a custom module
@@ -964,7 +989,7 @@ class Installer {
               if (!isCustomModule && finalCustomContent && finalCustomContent.selected && finalCustomContent.selectedFiles) {
                 const customHandler = new CustomHandler();
                 for (const customFile of finalCustomContent.selectedFiles) {
-                  const info = await customHandler.getCustomInfo(customFile, projectDir);
+                  const info = await customHandler.getCustomInfo(customFile, userProjectDir);
                   if (info && info.id === moduleName) {
                     isCustomModule = true;
                     customInfo = info;
@@ -994,13 +1019,14 @@ class Installer {
                     silent: true,
                   },
                 );
-                await this.generateModuleConfigs(bmadDir, {
-                  [moduleName]: { ...config.coreConfig, ...customInfo.config, ...collectedModuleConfig },
-                });
+                await this.generateModuleConfigs(
+                  bmadDir,
+                  { [moduleName]: { ...config.coreConfig, ...customInfo.config, ...collectedModuleConfig } },
+                  { modules: [moduleName] },
+                );
               } else {
                 if (!resolution || !resolution.byModule) {
-                  addResult(`Module: ${moduleName}`, 'warn', 'skipped (no resolution data)');
-                  continue;
+                  return [`Module: ${moduleName}`, 'warn', 'skipped (no resolution data)'];
                 }
                 if (moduleName === 'core') {
                   await this.installCoreWithDependencies(bmadDir, resolution.byModule[moduleName]);
@@ -1009,7 +1035,21 @@ class Installer {
                 }
               }
 
-              addResult(`Module: ${moduleName}`, 'ok', isQuickUpdate ? 'updated' : 'installed');
+              return [`Module: ${moduleName}`, 'ok', isQuickUpdate ? 'updated' : 'installed'];
+            };
+
+            // Core goes first since the other modules build on it; the rest are independent of each other.
+            // Modules whose npm install may ask about scripts are installed one at a time.
+            const uniqueModules = [...new Set(allModules)];
+            const moduleResults = [];
+            if (uniqueModules.includes('core')) {
+              moduleResults.push(await installModule('core'));
+            }
+            const promptsForScripts = this.moduleManager.externalModuleManager.getInstallScriptsPolicy() === 'prompt';
+            const otherModules = uniqueModules.filter((m) => m !== 'core');
+            moduleResults.push(...(await mapLimit(otherModules, promptsForScripts ? 1 : jobs, installModule)));
+            for (const moduleResult of moduleResults) {
+              addResult(...moduleResult);
             }
 
             // Install partial modules (only dependencies)
@@ -1062,6 +1102,7 @@ class Installer {
               coreConfig: moduleConfigs.core || {},
               logger: moduleLogger,
               silent: true,
+              projectRoot: config._outputRoot,
             });
             if (result) {
               dirResults.createdDirs.push(...result.createdDirs);
@@ -1081,6 +1122,7 @@ class Installer {
                 coreConfig: moduleConfigs.core || {},
                 logger: moduleLogger,
                 silent: true,
+                projectRoot: config._outputRoot,
               });
               if (result) {
                 dirResults.createdDirs.push(...result.createdDirs);
@@ -1103,6 +1145,17 @@ class Installer {
           await this.generateModuleConfigs(bmadDir, moduleConfigs);
           addResult('Configurations', 'ok', 'generated');
 
+          // Each workspace package gets its own copy of the module configs
+          if (config.workspace) {
+            const { ignored } = await this.workspace.writePackageConfigs(bmadDir, config.workspace);
+            const packageNames = config.workspace.packages.map((p) => p.name).join(', ');
+            if (ignored.length > 0) {
+              addResult('Workspace packages', 'warn', `${packageNames}; config for modules not installed ignored: ${ignored.join(', ')}`);
+            } else {
+              addResult('Workspace packages', 'ok', packageNames);
+            }
+          }
+
           // Pre-register manifest files
           const cfgDir = path.join(bmadDir, '_config');
           this.installedFiles.add(path.join(cfgDir, 'manifest.yaml'));
@@ -1128,10 +1181,13 @@ class Installer {
             modulesForCsvPreserve = config._preserveModules ? [...allModules, ...config._preserveModules] : allModules;
           }
 
-          const manifestStats = await manifestGen.generateManifests(bmadDir, allModulesForManifest, [...this.installedFiles], {
-            ides: config.ides || [],
-            preservedModules: modulesForCsvPreserve,
-          });
+          const manifestStats = await this.profiler.measure('manifest', 'all modules', () =>
+            manifestGen.generateManifests(bmadDir, allModulesForManifest, [...this.installedFiles], {
+              ides: config.ides || [],
+              preservedModules: modulesForCsvPreserve,
+              moduleGraph,
+            }),
+          );
 
           addResult(
             'Manifests',
@@ -1184,59 +1240,64 @@ class Installer {
         if (validIdes.length === 0) {
           addResult('IDE configuration', 'warn', 'no valid IDEs selected');
         } else {
-          const needsPrompting = validIdes.some((ide) => !ideConfigurations[ide]);
-          const ideSpinner = await prompts.spinner();
-          ideSpinner.start('Configuring tools...');
+          const setupIde = async (ide) => {
+            const setupResult = await this.profiler.measure('ide', ide, () =>
+              this.ideManager.setup(ide, projectDir, bmadDir, {
+                selectedModules: allModules || [],
+                preCollectedConfig: ideConfigurations[ide] || null,
+                verbose: config.verbose,
+                silent: Boolean(ideConfigurations[ide]),
+                dryRun: config.dryRun,
+                workspace: config.workspace || null,
+              }),
+            );
+
+            if (ideConfigurations[ide] && !ideConfigurations[ide]._alreadyConfigured) {
+              await this.ideConfigManager.saveIdeConfig(bmadDir, ide, ideConfigurations[ide]);
+            }
 
-          try {
-            for (const ide of validIdes) {
-              if (!needsPrompting || ideConfigurations[ide]) {
-                ideSpinner.message(`Configuring ${ide}...`);
-              } else {
-                if (ideSpinner.isSpinning) {
-                  ideSpinner.stop('Ready for IDE configuration');
-                }
-              }
+            return setupResult.success ? [ide, 'ok', setupResult.detail || ''] : [ide, 'error', setupResult.error || 'failed'];
+          };
 
-              // Suppress stray console output for pre-configured IDEs (no user interaction)
-              const ideHasConfig = Boolean(ideConfigurations[ide]);
-              const originalLog = console.log;
-              if (!config.verbose && ideHasConfig) {
-                console.log = () => {};
-              }
-              try {
-                const setupResult = await this.ideManager.setup(ide, projectDir, bmadDir, {
-                  selectedModules: allModules || [],
-                  preCollectedConfig: ideConfigurations[ide] || null,
-                  verbose: config.verbose,
-                  silent: ideHasConfig,
-                });
+          // IDEs without a configuration may still ask questions, so they are set up one at a time first;
+          // the configured ones are independent of each other and run together
+          const promptingIdes = validIdes.filter((ide) => !ideConfigurations[ide]);
+          const configuredIdes = validIdes.filter((ide) => ideConfigurations[ide]);
+          const ideResults = new Map();
 
-                if (ideConfigurations[ide] && !ideConfigurations[ide]._alreadyConfigured) {
-                  await this.ideConfigManager.saveIdeConfig(bmadDir, ide, ideConfigurations[ide]);
-                }
+          for (const ide of promptingIdes) {
+            ideResults.set(ide, await setupIde(ide));
+          }
 
-                if (setupResult.success) {
-                  addResult(ide, 'ok', setupResult.detail || '');
-                } else {
-                  addResult(ide, 'error', setupResult.error || 'failed');
-                }
-              } finally {
-                console.log = originalLog;
-              }
+          if (configuredIdes.length > 0) {
+            const ideSpinner = await prompts.spinner();
+            ideSpinner.start(`Configuring ${configuredIdes.join(', ')}...`);
 
-              if (needsPrompting && !ideSpinner.isSpinning) {
-                ideSpinner.start('Configuring tools...');
-              }
+            // Suppress stray console output for pre-configured IDEs (no user interaction)
+            const originalLog = console.log;
+            if (!config.verbose) {
+              console.log = () => {};
             }
-          } finally {
-            if (ideSpinner.isSpinning) {
+            try {
+              const results = await mapLimit(configuredIdes, jobs, setupIde);
+              for (const [index, ide] of configuredIdes.entries()) {
+                ideResults.set(ide, results[index]);
+              }
+            } finally {
+              console.log = originalLog;
               ideSpinner.stop('Tool configuration complete');
             }
           }
+
+          for (const ide of validIdes) {
+            addResult(...ideResults.get(ide));
+          }
         }
       }
 
+      // The new version of every installed file is the base for merging edits on the next update
+      await this.fileMerger.savePristine(bmadDir, await this.readFilesManifest(bmadDir));
+
       // ─────────────────────────────────────────────────────────────────────────
       // SECOND TASKS BLOCK: Post-IDE operations (non-interactive)
       // ─────────────────────────────────────────────────────────────────────────
@@ -1252,6 +1313,7 @@ class Installer {
           task: async (message) => {
             let customFiles = [];
             let modifiedFiles = [];
+            let mergeOutcome = null;
 
             if (config._customFiles && config._customFiles.length > 0) {
               message(`Restoring ${config._customFiles.length} custom files...`);
@@ -1277,26 +1339,23 @@ class Installer {
               modifiedFiles = config._modifiedFiles;
 
               if (config._tempModifiedBackupDir && (await fs.pathExists(config._tempModifiedBackupDir))) {
-                message(`Restoring ${modifiedFiles.length} modified files as .bak...`);
-
-                for (const modifiedFile of modifiedFiles) {
-                  const relativePath = path.relative(bmadDir, modifiedFile.path);
-                  const tempBackupPath = path.join(config._tempModifiedBackupDir, relativePath);
-                  const bakPath = modifiedFile.path + '.bak';
-
-                  if (await fs.pathExists(tempBackupPath)) {
-                    await fs.ensureDir(path.dirname(bakPath));
-                    await fs.copy(tempBackupPath, bakPath, { overwrite: true });
-                  }
-                }
+                message(`Merging ${modifiedFiles.length} modified files...`);
+                mergeOutcome = await this.fileMerger.restoreEdits(
+                  bmadDir,
+                  modifiedFiles,
+                  config._tempModifiedBackupDir,
+                  config._tempModifiedBaseDir,
+                );
 
                 await fs.remove(config._tempModifiedBackupDir);
+                await fs.remove(config._tempModifiedBaseDir);
               }
             }
 
             // Store for summary access
             config._restoredCustomFiles = customFiles;
             config._restoredModifiedFiles = modifiedFiles;
+            config._mergeOutcome = mergeOutcome;
 
             return 'Installation finalized';
           },
@@ -1305,25 +1364,27 @@ class Installer {
 
       await prompts.tasks(postIdeTasks);
 
+      // Record what this install produced, now that every file is in place
+      const lockfile = new Lockfile();
+      await lockfile.write(bmadDir, await lockfile.build(projectDir, bmadDir));
+
       // Retrieve restored file info for summary
       const customFiles = config._restoredCustomFiles || [];
       const modifiedFiles = config._restoredModifiedFiles || [];
 
-      // Render consolidated summary
-      await this.renderInstallSummary(results, {
-        bmadDir,
-        modules: config.modules,
-        ides: config.ides,
-        customFiles: customFiles.length > 0 ? customFiles : undefined,
-        modifiedFiles: modifiedFiles.length > 0 ? modifiedFiles : undefined,
-      });
-
+      // Staged runs return the summary; the caller renders it once the install is committed
       return {
         success: true,
         path: bmadDir,
         modules: config.modules,
         ides: config.ides,
         projectDir: projectDir,
+        results,
+        summary: {
+          customFiles: customFiles.length > 0 ? customFiles : undefined,
+          modifiedFiles: modifiedFiles.length > 0 ? modifiedFiles : undefined,
+          merge: config._mergeOutcome || undefined,
+        },
       };
     } catch (error) {
       try {
@@ -1339,10 +1400,269 @@ class Installer {
     }
   }
 
+  /**
+   * Resolve the `dependencies:` declared in module.yaml. Required modules that
+   * were not selected are added to config.modules; missing modules and
+   * versions outside a declared range fail the install.
+   * @param {Object} config - Installation configuration
+   * @param {Map<string, string>} customModulePaths - Custom module sources
+   * @param {Object} [options] - {installed: Map of modules kept as they are, addMissing: false to fail instead of adding}
+   * @returns {Promise<Object>} Module graph from DependencyResolver.resolveModuleGraph()
+   */
+  async resolveModuleDependencies(config, customModulePaths, options = {}) {
+    const moduleManager = new ModuleManager();
+    moduleManager.setCustomModulePaths(customModulePaths);
+    const selected = [...new Set([...(config.modules || []), ...customModulePaths.keys()])];
+
+    const resolution = await this.dependencyResolver.resolveModuleGraph(selected, moduleManager, { installed: options.installed });
+    const problems = this.dependencyResolver.describeModuleGraphProblems(resolution);
+    if (problems) {
+      throw new Error(problems);
+    }
+    if (options.addMissing === false && resolution.added.length > 0) {
+      const required = resolution.added.map((a) => `${a.module} (required by ${a.requiredBy})`);
+      throw new Error(`Not installed: ${required.join(', ')}. Add with "bmad module add <module>" first`);
+    }
+
+    for (const { module, requiredBy } of resolution.added) {
+      await prompts.log.info(`Adding ${module} (required by ${requiredBy})`);
+    }
+    config.modules = [...(config.modules || []), ...resolution.added.map((a) => a.module)];
+    return resolution;
+  }
+
+  /**
+   * Decide which commit each external module is installed at. Modules keep
+   * the commit recorded in the manifest (sha) unless they are being upgraded
+   * or pinned to a different ref; --pin refs override the manifest's ref.
+   * The project's module registries are loaded first, so pins can name their modules.
+   * @param {string} projectDir - Project directory
+   * @param {Object} config - Installation configuration
+   * @param {Object} [config.pins] - Module code to tag, branch or commit
+   * @param {boolean|Array<string>} [config.upgradeModules] - Modules (or true for all) to move to the latest commit of their ref
+   */
+  async pinExternalModules(projectDir, config) {
+    const { ExternalModuleManager } = require('../modules/external-manager');
+    const externalManager = new ExternalModuleManager();
+    externalManager.useProjectRegistries(projectDir);
+    externalManager.clearPins();
+
+    const { bmadDir } = await this.findBmadDir(projectDir);
+    const recorded = new Map((await this.manifest.getAllModuleVersions(bmadDir)).filter((m) => m.sha).map((m) => [m.name, m]));
+    const upgrading = (code) =>
+      config.upgradeModules === true || (Array.isArray(config.upgradeModules) && config.upgradeModules.includes(code));
+
+    for (const [code, entry] of recorded) {
+      externalManager.pinModule(code, { ref: entry.ref, sha: upgrading(code) ? null : entry.sha });
+    }
+
+    for (const [code, ref] of Object.entries(config.pins || {})) {
+      if (!(await externalManager.hasModule(code))) {
+        throw new Error(`Cannot pin '${code}': it is not an external module`);
+      }
+      const entry = recorded.get(code);
+      const keepCommit = entry && entry.ref === ref && !upgrading(code);
+      externalManager.pinModule(code, { ref, sha: keepCommit ? entry.sha : null });
+    }
+  }
+
+  /**
+   * --frozen-lockfile: refuse a staged install that would produce anything the
+   * project's bmad.lock does not record
+   * @param {string} projectDir - Project directory
+   * @param {string} stagingDir - Staging directory the install ran in
+   * @throws {Error} When the project has no lock or the staged lock differs from it
+   */
+  async assertFrozenLockfile(projectDir, stagingDir) {
+    await new Lockfile().assertUnchanged(path.join(projectDir, BMAD_FOLDER_NAME), path.join(stagingDir, BMAD_FOLDER_NAME));
+  }
+
+  /**
+   * Dry run: run the install against a staged copy of the project and report
+   * every file it would create, overwrite, back up as .bak, or delete
+   * @param {Object} config - Installation configuration (as passed to install())
+   * @returns {Object} Result with the computed plan; the project is left untouched
+   */
+  async planInstall(config) {
+    const { InstallPlanner } = require('./install-planner');
+    const planner = new InstallPlanner();
+    const projectDir = path.resolve(config.directory);
+
+    await prompts.log.info('Dry run: installing into a staged copy, your project will not be modified');
+    const stagingDir = await planner.stage(projectDir);
+
+    try {
+      await this.install({ ...config, directory: stagingDir, _staged: true, _projectDir: projectDir });
+      if (config.frozenLockfile) {
+        await this.assertFrozenLockfile(projectDir, stagingDir);
+      }
+
+      const plan = await planner.plan(projectDir, stagingDir);
+      await planner.render(plan);
+
+      return {
+        success: true,
+        dryRun: true,
+        plan,
+        path: path.join(projectDir, BMAD_FOLDER_NAME),
+        modules: config.modules,
+        ides: config.ides,
+        projectDir,
+      };
+    } finally {
+      await planner.cleanup(stagingDir);
+    }
+  }
+
+  /**
+   * Run the install against a staged copy of the project and swap the result in
+   * only if every step succeeded. On failure the project's _bmad and IDE
+   * directories are left exactly as they were; on success a snapshot of what
+   * was replaced is kept so `bmad rollback` can restore it.
+   * @param {Object} config - Installation configuration (as passed to install())
+   * @returns {Object} Install result
+   */
+  async installTransactionally(config) {
+    const { InstallTransaction } = require('./install-transaction');
+    const { SnapshotManager } = require('./snapshot-manager');
+    const projectDir = path.resolve(config.directory);
+    const transaction = new InstallTransaction(projectDir);
+    const stagingDir = await transaction.begin();
+    this.installLog.record('Installer', 'transaction.begin', { stagingDir });
+
+    let result;
+    try {
+      result = await this.install({ ...config, directory: stagingDir, _staged: true, _projectDir: projectDir, _outputRoot: projectDir });
+
+      const failed = result.results.filter((r) => r.status === 'error');
+      if (failed.length > 0) {
+        throw new Error(`Setup failed for: ${failed.map((r) => r.step).join(', ')}`);
+      }
+      if (config.frozenLockfile) {
+        await this.assertFrozenLockfile(projectDir, stagingDir);
+      }
+
+      await new SnapshotManager().capture(projectDir, stagingDir);
+    } catch (error) {
+      await transaction.abort();
+      this.installLog.record('Installer', 'transaction.abort', { stagingDir }, 'warn');
+      await prompts.log.warn('Installation rolled back - existing BMAD and IDE files were left unchanged');
+      throw error;
+    }
+
+    const swapped = await transaction.commit();
+    this.installLog.record('Installer', 'transaction.commit', swapped);
+
+    const bmadDir = path.join(projectDir, BMAD_FOLDER_NAME);
+    await this.renderInstallSummary(result.results, {
+      bmadDir,
+      modules: result.modules,
+      ides: result.ides,
+      scriptRuns: this.moduleManager.externalModuleManager.getScriptRuns(),
+      ...result.summary,
+    });
+
+    return { ...result, path: bmadDir, projectDir };
+  }
+
+  /**
+   * Get the directory an install goes into: the project itself, or the
+   * workspace root when the project is one of its packages
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<string>}
+   */
+  async resolveProjectDir(projectDir) {
+    const resolved = path.resolve(projectDir);
+    if (await fs.pathExists(path.join(resolved, BMAD_FOLDER_NAME))) return resolved;
+
+    const member = this.workspace.findRoot(resolved);
+    if (!member) return resolved;
+
+    await prompts.log.info(
+      `${resolved} is package '${member.package.name}' of the workspace at ${member.workspace.rootDir} - installing there`,
+    );
+    return member.workspace.rootDir;
+  }
+
+  /**
+   * Run an install from start to finish, logging it into the project as it
+   * goes so the log survives a run that fails or is stopped. Dry runs change
+   * nothing and write no log.
+   * @param {Object} config - Installation configuration (as passed to install())
+   * @returns {Object} Install result, with the logPath written
+   */
+  async runLogged(config) {
+    const projectDir = await this.resolveProjectDir(config.directory);
+    config.directory = projectDir;
+    config.workspace = await this.workspace.read(projectDir);
+    if (config.dryRun) {
+      this.installLog.discard();
+    } else {
+      if (!this.installLog.isActive()) this.installLog.start();
+      this.installLog.open(path.join(projectDir, BMAD_FOLDER_NAME));
+    }
+    this.installLog.record('Installer', 'run.config', {
+      projectDir,
+      action: config.actionType || (config._quickUpdate ? 'quick-update' : 'install'),
+      version: require(path.join(getProjectRoot(), 'package.json')).version,
+      modules: config.modules || [],
+      ides: config.ides || [],
+      jobs: config.jobs || DEFAULT_JOBS,
+      frozenLockfile: Boolean(config.frozenLockfile),
+      workspace: config.workspace ? config.workspace.packages.map((p) => p.name) : null,
+    });
+
+    let result;
+    try {
+      await this.pinExternalModules(projectDir, config);
+      result = config.dryRun ? await this.planInstall(config) : await this.installTransactionally(config);
+    } catch (error) {
+      this.installLog.recordError('Installer', 'run.failed', error);
+      const logPath = await this.installLog.finish(path.join(projectDir, BMAD_FOLDER_NAME), { success: false });
+      if (logPath) {
+        await prompts.log.message(`Install log: ${logPath} (show it with "bmad logs")`);
+      }
+      throw error;
+    }
+
+    const logPath = await this.installLog.finish(path.join(projectDir, BMAD_FOLDER_NAME), { success: Boolean(result?.success) });
+    if (result && logPath) result.logPath = logPath;
+    await this.profiler.render();
+    return result;
+  }
+
+  /**
+   * Save the user's version of each modified file, and the version it was
+   * installed as, for merging into the new versions once the update is in place
+   * @param {string} projectDir - Project directory the temporary copies go in
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<Object>} modifiedFiles - From detectCustomFiles()
+   * @param {Object} config - Installation configuration; receives _tempModifiedBackupDir and _tempModifiedBaseDir
+   */
+  async backupModifiedFiles(projectDir, bmadDir, modifiedFiles, config) {
+    const tempModifiedBackupDir = path.join(projectDir, '_bmad-modified-backup-temp');
+    const tempModifiedBaseDir = path.join(projectDir, '_bmad-modified-base-temp');
+    await fs.ensureDir(tempModifiedBackupDir);
+    await fs.ensureDir(tempModifiedBaseDir);
+
+    for (const modifiedFile of modifiedFiles) {
+      const relativePath = path.relative(bmadDir, modifiedFile.path);
+      await fs.copy(modifiedFile.path, path.join(tempModifiedBackupDir, relativePath), { overwrite: true });
+
+      const basePath = this.fileMerger.getPristinePath(bmadDir, relativePath);
+      if (await fs.pathExists(basePath)) {
+        await fs.copy(basePath, path.join(tempModifiedBaseDir, relativePath), { overwrite: true });
+      }
+    }
+
+    config._tempModifiedBackupDir = tempModifiedBackupDir;
+    config._tempModifiedBaseDir = tempModifiedBaseDir;
+  }
+
   /**
    * Render a consolidated install summary using prompts.note()
    * @param {Array} results - Array of {step, status: 'ok'|'error'|'warn', detail}
-   * @param {Object} context - {bmadDir, modules, ides, customFiles, modifiedFiles}
+   * @param {Object} context - {bmadDir, modules, ides, customFiles, modifiedFiles, merge, scriptRuns}
    */
   async renderInstallSummary(results, context = {}) {
     const color = await prompts.getColor();
@@ -1370,9 +1690,30 @@ class Installer {
     if (context.customFiles && context.customFiles.length > 0) {
       lines.push(`  ${color.cyan(`Custom files preserved: ${context.customFiles.length}`)}`);
     }
-    if (context.modifiedFiles && context.modifiedFiles.length > 0) {
+    if (context.merge) {
+      const listFiles = (files) => {
+        const shown = files.slice(0, 10).map((f) => `      ${color.dim(f)}`);
+        if (files.length > shown.length) shown.push(`      ${color.dim(`...and ${files.length - shown.length} more`)}`);
+        return shown;
+      };
+      const groups = [
+        ['kept', color.cyan, 'Your edits kept (unchanged upstream)'],
+        ['merged', color.green, 'Your edits merged into the new version'],
+        ['conflicted', color.red, 'Merge conflicts to resolve (<<<<<<< markers)'],
+        ['backedUp', color.yellow, 'Modified files backed up (.bak)'],
+      ];
+      for (const [key, paint, label] of groups) {
+        const files = context.merge[key];
+        if (files.length > 0) {
+          lines.push(`  ${paint(`${label}: ${files.length}`)}`, ...listFiles(files));
+        }
+      }
+    } else if (context.modifiedFiles && context.modifiedFiles.length > 0) {
       lines.push(`  ${color.yellow(`Modified files backed up (.bak): ${context.modifiedFiles.length}`)}`);
     }
+    if (context.scriptRuns && context.scriptRuns.length > 0) {
+      lines.push(`  ${color.yellow(`npm install scripts ran for: ${context.scriptRuns.join(', ')}`)}`);
+    }
 
     // Next steps
     lines.push(
@@ -1575,6 +1916,73 @@ class Installer {
     return { success: true, removed, version: existingInstall.version };
   }
 
+  /**
+   * Remove a single IDE integration, keeping the modules and every other IDE.
+   * The handler's cleanup runs against a staged copy, the IDE's saved
+   * configuration and manifest entry are dropped, and the result is committed
+   * with a snapshot so `bmad rollback` can bring the integration back.
+   * @param {string} projectDir - Project directory
+   * @param {string} ideName - IDE code
+   * @returns {Promise<Object>} {ide, ides} with the IDEs that remain configured
+   */
+  async uninstallIde(projectDir, ideName) {
+    const { InstallTransaction } = require('./install-transaction');
+    const { SnapshotManager } = require('./snapshot-manager');
+    const { bmadDir } = await this.findBmadDir(projectDir);
+    const installation = await this.manifest.read(bmadDir);
+    if (!installation) {
+      throw new Error(`No BMAD installation found in ${projectDir}`);
+    }
+
+    const ide = installation.ides.find((configured) => configured.toLowerCase() === ideName.toLowerCase());
+    if (!ide) {
+      throw new Error(`IDE '${ideName}' is not configured. Configured: ${installation.ides.join(', ') || 'none'}`);
+    }
+    const ides = installation.ides.filter((configured) => configured !== ide);
+
+    const transaction = new InstallTransaction(projectDir);
+    const stagingDir = await transaction.begin();
+    try {
+      const stagingBmadDir = path.join(stagingDir, path.basename(bmadDir));
+
+      // Top-level IDE folders that hold files before the cleanup and none after it
+      // (e.g. .cursor/ once .cursor/commands/ is gone) are removed, as cleanupTarget removes an emptied target dir
+      const { InstallPlanner } = require('./install-planner');
+      const planner = new InstallPlanner();
+      const ideRoots = (await planner.getManagedRoots()).filter((root) => root !== path.basename(bmadDir));
+      const hasFiles = async (root) => {
+        const rootPath = path.join(stagingDir, root);
+        return (await fs.pathExists(rootPath)) && (await planner.listEntries(rootPath)).files.length > 0;
+      };
+      const filledRoots = [];
+      for (const root of ideRoots) {
+        if (await hasFiles(root)) filledRoots.push(root);
+      }
+
+      await this.ideManager.ensureInitialized();
+      const [result] = await this.ideManager.cleanupByList(stagingDir, [ide], { isUninstall: true, silent: true });
+      if (result && !result.success) {
+        throw new Error(`Removing ${ide} failed: ${result.error}`);
+      }
+      for (const root of filledRoots) {
+        if (!(await hasFiles(root))) await fs.remove(path.join(stagingDir, root));
+      }
+
+      await this.ideConfigManager.deleteIdeConfig(stagingBmadDir, ide);
+      await this.manifest.update(stagingBmadDir, { ides });
+      const lockfile = new Lockfile();
+      await lockfile.write(stagingBmadDir, await lockfile.build(stagingDir, stagingBmadDir));
+
+      await new SnapshotManager().capture(projectDir, stagingDir, 'ide');
+    } catch (error) {
+      await transaction.abort();
+      throw error;
+    }
+    await transaction.commit();
+
+    return { ide, ides };
+  }
+
   /**
    * Uninstall IDE configurations only
    * @param {string} projectDir - Project directory
@@ -1935,8 +2343,10 @@ class Installer {
    * Generate clean config.yaml files for each installed module
    * @param {string} bmadDir - BMAD installation directory
    * @param {Object} moduleConfigs - Collected configuration values
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.modules] - Only regenerate these modules' config files
    */
-  async generateModuleConfigs(bmadDir, moduleConfigs) {
+  async generateModuleConfigs(bmadDir, moduleConfigs, options = {}) {
     const yaml = require('yaml');
 
     // Extract core config values to share with other modules
@@ -1946,7 +2356,8 @@ class Installer {
     const entries = await fs.readdir(bmadDir, { withFileTypes: true });
     const installedModules = entries
       .filter((entry) => entry.isDirectory() && entry.name !== '_config' && entry.name !== 'docs')
-      .map((entry) => entry.name);
+      .map((entry) => entry.name)
+      .filter((name) => !options.modules || options.modules.includes(name));
 
     // Generate config.yaml for each installed module
     for (const moduleName of installedModules) {
@@ -2178,15 +2589,17 @@ class Installer {
     const targetPath = path.join(bmadDir, 'core');
 
     // Copy core files (skip .agent.yaml files like modules do)
-    await this.copyCoreFiles(sourcePath, targetPath);
+    await this.profiler.measure('copy', 'core', () => this.copyCoreFiles(sourcePath, targetPath));
 
-    // Compile agents using the same compiler as modules
-    const { ModuleManager } = require('../modules/manager');
-    const moduleManager = new ModuleManager();
-    await moduleManager.compileModuleAgents(sourcePath, targetPath, 'core', bmadDir, this);
+    await this.profiler.measure('compile', 'core', async () => {
+      // Compile agents using the same compiler as modules
+      const { ModuleManager } = require('../modules/manager');
+      const moduleManager = new ModuleManager();
+      await moduleManager.compileModuleAgents(sourcePath, targetPath, 'core', bmadDir, this);
 
-    // Process agent files to inject activation block
-    await this.processAgentFiles(targetPath, 'core');
+      // Process agent files to inject activation block
+      await this.processAgentFiles(targetPath, 'core');
+    });
   }
 
   /**
@@ -2362,8 +2775,9 @@ class Installer {
     spinner.start('Starting quick update...');
 
     try {
-      const projectDir = path.resolve(config.directory);
+      const projectDir = await this.resolveProjectDir(config.directory);
       const { bmadDir } = await this.findBmadDir(projectDir);
+      await this.pinExternalModules(projectDir, config);
 
       // Check if bmad directory exists
       if (!(await fs.pathExists(bmadDir))) {
@@ -2568,6 +2982,11 @@ class Installer {
         _customModuleSources: customModuleSources, // Pass custom module sources for updates
         _existingModules: installedModules, // Pass all installed modules for manifest generation
         customContent: config.customContent, // Pass through for re-caching from source
+        pins: config.pins,
+        upgradeModules: config.upgradeModules,
+        dryRun: config.dryRun,
+        frozenLockfile: config.frozenLockfile,
+        jobs: config.jobs,
       };
 
       // Call the standard install method
@@ -2586,6 +3005,9 @@ class Installer {
         modules: ['core', ...modulesToUpdate],
         skippedModules: skippedModules,
         ides: configuredIdes,
+        results: result?.results || [],
+        summary: result?.summary || {},
+        plan: result?.plan,
       };
     } catch (error) {
       spinner.error('Quick update failed');
@@ -2713,17 +3135,18 @@ class Installer {
   }
 
   /**
-   * Handle legacy BMAD v4 detection with simple warning
-   * @param {string} _projectDir - Project directory (unused in simplified version)
-   * @param {Object} _legacyV4 - Legacy V4 detection result (unused in simplified version)
+   * Handle legacy BMAD v4 detection. `bmad migrate` converts v4 installations,
+   * so the install stops here unless the user wants both side by side.
+   * @param {string} projectDir - Project directory
+   * @param {Object} legacyV4 - Legacy V4 detection result
    */
-  async handleLegacyV4Migration(_projectDir, _legacyV4) {
+  async handleLegacyV4Migration(projectDir, legacyV4) {
+    const folders = legacyV4.offenders.map((p) => path.relative(projectDir, p)).join(', ');
     await prompts.note(
-      'Found .bmad-method folder from BMAD v4 installation.\n\n' +
-        'Before continuing with installation, we recommend:\n' +
-        '  1. Remove the .bmad-method folder, OR\n' +
-        '  2. Back it up by renaming it to another name (e.g., bmad-method-backup)\n\n' +
-        'If your v4 installation set up rules or commands, you should remove those as well.',
+      `Found BMAD v4 folders: ${folders}\n\n` +
+        'Run "bmad migrate" to convert them to v6. It carries over customized agents and\n' +
+        'core-config.yaml locations, removes the v4 IDE rules and commands, moves the v4\n' +
+        'files to a backup folder and writes a migration report.',
       'Legacy BMAD v4 detected',
     );
 
@@ -2731,27 +3154,27 @@ class Installer {
       message: 'What would you like to do?',
       choices: [
         {
-          name: 'Exit and clean up manually (recommended)',
+          name: 'Exit and run bmad migrate (recommended)',
           value: 'exit',
           hint: 'Exit installation',
         },
         {
           name: 'Continue with installation anyway',
           value: 'continue',
-          hint: 'Continue',
+          hint: 'v4 files are left in place',
         },
       ],
       default: 'exit',
     });
 
     if (proceed === 'exit') {
-      await prompts.log.info('Please remove the .bmad-method folder and any v4 rules/commands, then run the installer again.');
+      await prompts.log.info(`Run: bmad migrate --directory ${projectDir}`);
       // Allow event loop to flush pending I/O before exit
       setImmediate(() => process.exit(0));
       return;
     }
 
-    await prompts.log.warn('Proceeding with installation despite legacy v4 folder');
+    await prompts.log.warn('Proceeding with installation despite legacy v4 folders');
   }
 
   /**
@@ -2896,6 +3319,11 @@ class Installer {
               continue;
             }
 
+            // The lock is rewritten at the end of each install
+            if (relativePath === LOCKFILE_NAME) {
+              continue;
+            }
+
             if (!fileInfo) {
               // File not in manifest = custom file
               // EXCEPT: Agent .md files in module folders are generated files, not custom
@@ -2925,6 +3353,57 @@ class Installer {
     return { customFiles, modifiedFiles };
   }
 
+  /**
+   * Locate the local source a module was installed from, without fetching anything.
+   * core and bmm come from src/, external modules from the ~/.bmad clone cache,
+   * custom modules from the CustomModuleCache under _config/custom.
+   * @param {string} moduleName - Module code
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Promise<string|null>} Source directory, or null when no local copy exists
+   */
+  async resolveLocalModuleSource(moduleName, bmadDir) {
+    if (moduleName === 'core' || moduleName === 'bmm') {
+      const sourcePath = getModulePath(moduleName);
+      return (await fs.pathExists(sourcePath)) ? sourcePath : null;
+    }
+
+    const externalInfo = await this.moduleManager.externalModuleManager.getModuleByCode(moduleName);
+    if (externalInfo) {
+      const cloneDir = path.join(this.moduleManager.getExternalCacheDir(), moduleName);
+      const sourcePath = path.dirname(path.join(cloneDir, externalInfo.moduleDefinition));
+      return (await fs.pathExists(sourcePath)) ? sourcePath : null;
+    }
+
+    const { CustomModuleCache } = require('./custom-module-cache');
+    const cached = await new CustomModuleCache(bmadDir).getCachedModule(moduleName);
+    return cached ? cached.cachePath : null;
+  }
+
+  /**
+   * Restore a single installed file from its module source, applying the same
+   * transformations the install uses (placeholder replacement, web_bundle stripping)
+   * @param {string} relativePath - Path relative to bmadDir, as recorded in files-manifest.csv
+   * @param {string} sourceDir - Module source directory (from resolveLocalModuleSource)
+   * @param {string} targetPath - Where to write the restored file
+   * @returns {Promise<boolean>} False if the source no longer contains the file
+   */
+  async restoreInstalledFile(relativePath, sourceDir, targetPath) {
+    const [moduleName, ...rest] = relativePath.split('/');
+    const sourceFile = path.join(sourceDir, ...rest);
+
+    if (!(await fs.pathExists(sourceFile))) {
+      return false;
+    }
+
+    await fs.ensureDir(path.dirname(targetPath));
+    if (moduleName !== 'core' && sourceFile.endsWith('workflow.yaml')) {
+      await this.moduleManager.copyWorkflowYamlStripped(sourceFile, targetPath);
+    } else {
+      await this.copyFileWithPlaceholderReplacement(sourceFile, targetPath);
+    }
+    return true;
+  }
+
   /**
    * Handle missing custom module sources interactively
    * @param {Map} customModuleSources - Map of custom module ID to info
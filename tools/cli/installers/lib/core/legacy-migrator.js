@@ -0,0 +1,647 @@
+const path = require('node:path');
+const crypto = require('node:crypto');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { Detector } = require('./detector');
+const { IdeManager } = require('../ide/manager');
+const { BMAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+
+/**
+ * Where each v4 agent lives in v6. `folded` agents were merged into another
+ * agent, so their customizations are added to that agent's.
+ */
+const V4_AGENTS = {
+  analyst: { module: 'bmm', agent: 'analyst' },
+  architect: { module: 'bmm', agent: 'architect' },
+  dev: { module: 'bmm', agent: 'dev' },
+  pm: { module: 'bmm', agent: 'pm' },
+  qa: { module: 'bmm', agent: 'qa' },
+  sm: { module: 'bmm', agent: 'sm' },
+  'ux-expert': { module: 'bmm', agent: 'ux-designer' },
+  po: { module: 'bmm', agent: 'sm', folded: true },
+  'bmad-master': { module: 'core', agent: 'bmad-master' },
+  'bmad-orchestrator': { module: 'core', agent: 'bmad-master', folded: true },
+};
+
+/**
+ * The v6 workflow or task that replaces each v4 task and template
+ */
+const V4_REPLACEMENTS = {
+  tasks: {
+    'advanced-elicitation': 'core advanced-elicitation workflow',
+    'apply-qa-fixes': 'bmm dev-story workflow',
+    'brownfield-create-epic': 'bmm create-epics-and-stories workflow',
+    'brownfield-create-story': 'bmm quick-spec workflow',
+    'correct-course': 'bmm correct-course workflow',
+    'create-brownfield-story': 'bmm create-story workflow',
+    'create-deep-research-prompt': 'bmm research workflow',
+    'create-doc': 'the bmm workflow for the document type (create-prd, create-architecture, ...)',
+    'create-next-story': 'bmm create-story workflow',
+    'document-project': 'bmm document-project workflow',
+    'execute-checklist': 'the checklist built into each bmm workflow',
+    'facilitate-brainstorming-session': 'core brainstorming workflow',
+    'generate-ai-frontend-prompt': 'bmm create-ux-design workflow',
+    'index-docs': 'core index-docs task',
+    'qa-gate': 'bmm code-review workflow',
+    'review-story': 'bmm code-review workflow',
+    'shard-doc': 'core shard-doc task',
+    'validate-next-story': 'bmm create-story workflow',
+  },
+  templates: {
+    'architecture-tmpl': 'bmm create-architecture workflow',
+    'brainstorming-output-tmpl': 'core brainstorming workflow',
+    'brownfield-architecture-tmpl': 'bmm create-architecture workflow',
+    'brownfield-prd-tmpl': 'bmm create-prd workflow',
+    'competitor-analysis-tmpl': 'bmm research workflow',
+    'front-end-architecture-tmpl': 'bmm create-architecture workflow',
+    'front-end-spec-tmpl': 'bmm create-ux-design workflow',
+    'fullstack-architecture-tmpl': 'bmm create-architecture workflow',
+    'market-research-tmpl': 'bmm research workflow',
+    'prd-tmpl': 'bmm create-prd workflow',
+    'project-brief-tmpl': 'bmm create-product-brief workflow',
+    'qa-gate-tmpl': 'bmm code-review workflow',
+    'story-tmpl': 'bmm create-story workflow',
+  },
+};
+
+/**
+ * What became of each v4 expansion pack
+ */
+const V4_EXPANSION_PACKS = {
+  '.bmad-2d-phaser-game-dev': { module: 'gds', note: 'Integrated into the BMad Game Dev Studio module' },
+  '.bmad-2d-unity-game-dev': { module: 'gds', note: 'Integrated into the BMad Game Dev Studio module' },
+  '.bmad-godot-game-dev': { module: 'gds', note: 'Integrated into the BMad Game Dev Studio module' },
+  '.bmad-creative-writing': { module: null, note: 'Not adapted to v6 yet' },
+  '.bmad-infrastructure-devops': { module: null, note: 'Deprecated - a new DevOps agent is planned' },
+};
+
+/**
+ * v4 IDE ids that were renamed in v6
+ */
+const V4_IDE_IDS = {
+  'qwen-code': 'qwen',
+  'auggie-cli': 'auggie',
+  'iflow-cli': 'iflow',
+  'codex-web': 'codex',
+};
+
+/**
+ * Files the v4 installer generated for each IDE. {prefix} is a folder's
+ * slashPrefix, {id} an agent or task id. Entries under `manual` mix v4
+ * content with the user's own and are only reported.
+ */
+const V4_IDE_RULES = {
+  dirs: [
+    '.claude/commands/{prefix}',
+    '.gemini/commands/{prefix}',
+    '.qwen/commands/{prefix}',
+    '.iflow/commands/{prefix}',
+    '.crush/commands/{prefix}',
+    '.cursor/rules/bmad',
+  ],
+  files: ['.github/chatmodes/{id}.chatmode.md', '.windsurf/workflows/{id}.md', '.trae/rules/{id}.md', '.clinerules/{id}.md'],
+  manual: ['.roomodes', '.kilocodemodes', 'AGENTS.md'],
+};
+
+/**
+ * Legacy Migrator - converts a BMAD v4 installation to v6
+ *
+ * v4 kept everything in dot-folders (.bmad-core plus one per expansion
+ * pack) and configured agents by editing them in place. The migrator works
+ * out what of that still matters in v6:
+ *   - customized agents become _config/agents/<module>-<agent>.customize.yaml
+ *   - core-config.yaml locations become bmm install answers
+ *   - v4 tasks and templates are mapped to the v6 workflows replacing them
+ *   - IDE files generated by the v4 installer are found for removal
+ * migrate() then moves the v4 folders and IDE files into a backup folder,
+ * installs v6 and writes a migration report next to the backup.
+ */
+class LegacyMigrator {
+  constructor() {
+    this.detector = new Detector();
+    this.ideManager = new IdeManager();
+  }
+
+  /**
+   * Work out the migration of a project without changing anything
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Object>} Migration plan
+   */
+  async analyze(projectDir) {
+    const legacy = await this.detector.detectLegacyV4(projectDir);
+    if (!legacy.hasLegacyV4) {
+      throw new Error(`No BMAD v4 installation (.bmad-core or .bmad-method) found in ${projectDir}`);
+    }
+
+    const plan = {
+      projectDir,
+      folders: [],
+      modules: ['bmm'],
+      ides: [],
+      unsupportedIdes: [],
+      agents: [],
+      customizations: {},
+      items: [],
+      answers: {},
+      settings: [],
+      ideFiles: [],
+      manual: [],
+    };
+
+    for (const folderPath of legacy.offenders) {
+      plan.folders.push(await this.readFolder(projectDir, folderPath));
+    }
+
+    const coreFolder = plan.folders.find((f) => f.isCore);
+    if (coreFolder) {
+      this.mapSettings(coreFolder.config, plan);
+    }
+
+    for (const folder of plan.folders) {
+      for (const agent of folder.agents) {
+        this.mapAgent(folder, agent, plan);
+      }
+      for (const item of folder.items) {
+        const replacement = folder.isCore ? V4_REPLACEMENTS[item.kind][item.name] : null;
+        plan.items.push({ folder: folder.name, ...item, replacement: replacement || null });
+      }
+
+      if (!folder.isCore) {
+        const pack = V4_EXPANSION_PACKS[folder.name];
+        plan.manual.push(
+          pack?.module
+            ? `${folder.name}: ${pack.note}. Install it with "bmad install --modules ${pack.module}"`
+            : `${folder.name}: ${pack ? pack.note : 'Unknown expansion pack'}. Its files are kept in the backup`,
+        );
+      }
+    }
+
+    await this.mapIdes(plan);
+    await this.findIdeFiles(projectDir, plan);
+
+    return plan;
+  }
+
+  /**
+   * Read a v4 folder: its config, install manifest, agents, tasks and templates
+   * @param {string} projectDir - Project directory
+   * @param {string} folderPath - v4 folder
+   * @returns {Promise<Object>} Folder description
+   */
+  async readFolder(projectDir, folderPath) {
+    const name = path.basename(folderPath);
+    const readYaml = async (fileName) => {
+      const filePath = path.join(folderPath, fileName);
+      if (!(await fs.pathExists(filePath))) return null;
+      try {
+        return yaml.parse(await fs.readFile(filePath, 'utf8')) || {};
+      } catch {
+        return null;
+      }
+    };
+
+    const config = (await readYaml('core-config.yaml')) || (await readYaml('config.yaml')) || {};
+    const installManifest = (await readYaml('install-manifest.yaml')) || {};
+    const isCore = name === '.bmad-core' || name === '.bmad-method';
+
+    // v4 recorded a shortened sha256 of every file it installed
+    const installedHashes = new Map();
+    for (const file of installManifest.files || []) {
+      if (file?.path && file.hash) {
+        installedHashes.set(path.normalize(path.relative(folderPath, path.resolve(projectDir, file.path))), file.hash);
+        installedHashes.set(path.normalize(file.path), file.hash);
+      }
+    }
+
+    const agents = [];
+    const agentsDir = path.join(folderPath, 'agents');
+    if (await fs.pathExists(agentsDir)) {
+      for (const fileName of (await fs.readdir(agentsDir)).filter((f) => f.endsWith('.md')).sort()) {
+        const relativePath = path.join('agents', fileName);
+        const content = await fs.readFile(path.join(folderPath, relativePath), 'utf8');
+        const installedHash = installedHashes.get(relativePath);
+        const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+        agents.push({
+          id: path.basename(fileName, '.md'),
+          path: path.join(name, relativePath),
+          definition: this.parseAgent(content),
+          // Without an install manifest there is nothing to compare against
+          modified: installedHash ? installedHash !== hash : false,
+          added: installedHashes.size > 0 && !installedHash,
+        });
+      }
+    }
+
+    const items = [];
+    for (const [kind, dirName] of [
+      ['tasks', 'tasks'],
+      ['templates', 'templates'],
+    ]) {
+      const dir = path.join(folderPath, dirName);
+      if (!(await fs.pathExists(dir))) continue;
+      for (const fileName of (await fs.readdir(dir)).sort()) {
+        const relativePath = path.join(dirName, fileName);
+        items.push({
+          kind,
+          name: fileName.replace(/\.(md|ya?ml)$/, ''),
+          path: path.join(name, relativePath),
+          added: installedHashes.size > 0 && !installedHashes.has(relativePath),
+        });
+      }
+    }
+
+    return {
+      name,
+      path: folderPath,
+      isCore,
+      config,
+      version: installManifest.version || config.version || null,
+      ides: installManifest.ides_setup || [],
+      slashPrefix: config.slashPrefix || (isCore ? 'BMad' : null),
+      agents,
+      items,
+    };
+  }
+
+  /**
+   * Read the YAML block of a v4 agent file
+   * @param {string} content - Agent markdown
+   * @returns {Object|null} Parsed definition, or null if it could not be read
+   */
+  parseAgent(content) {
+    const match = content.match(/```ya?ml\r?\n([\s\S]*?)```/);
+    if (!match) return null;
+    try {
+      return yaml.parse(match[1]) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Carry core-config.yaml locations into bmm answers
+   * @param {Object} config - v4 core-config.yaml
+   * @param {Object} plan - Migration plan (modified in place)
+   */
+  mapSettings(config, plan) {
+    const setAnswer = (key, value, from) => {
+      if (!value || value === '.') return;
+      plan.answers.bmm = { ...plan.answers.bmm, [key]: value };
+      plan.settings.push({ from, to: `bmm.${key}`, value });
+    };
+
+    const prdDir = config.prd?.prdFile ? path.posix.dirname(config.prd.prdFile) : null;
+    const architectureDir = config.architecture?.architectureFile ? path.posix.dirname(config.architecture.architectureFile) : null;
+    setAnswer('planning_artifacts', prdDir || architectureDir, prdDir ? 'prd.prdFile' : 'architecture.architectureFile');
+    setAnswer('implementation_artifacts', config.devStoryLocation, 'devStoryLocation');
+
+    const devFiles = config.devLoadAlwaysFiles || [];
+    if (devFiles.length > 0) {
+      this.addCustomization(plan, 'bmm-dev', {
+        critical_actions: devFiles.map((file) => `Load and follow {project-root}/${file} before implementing a story`),
+      });
+      plan.settings.push({ from: 'devLoadAlwaysFiles', to: 'bmm-dev critical_actions', value: devFiles.join(', ') });
+    }
+
+    const unmapped = ['qa', 'customTechnicalDocuments', 'devDebugLog', 'markdownExploder'].filter((key) => config[key]);
+    if (unmapped.length > 0) {
+      plan.manual.push(`core-config.yaml settings without a v6 equivalent: ${unmapped.join(', ')}`);
+    }
+  }
+
+  /**
+   * Map a v4 agent onto its v6 agent and convert its customizations
+   * @param {Object} folder - v4 folder the agent came from
+   * @param {Object} agent - Agent from readFolder()
+   * @param {Object} plan - Migration plan (modified in place)
+   */
+  mapAgent(folder, agent, plan) {
+    const target = folder.isCore ? V4_AGENTS[agent.id] : null;
+    const entry = {
+      id: agent.id,
+      folder: folder.name,
+      target: target ? `${target.module}-${target.agent}` : null,
+      folded: Boolean(target?.folded),
+      customized: false,
+      carried: [],
+    };
+    plan.agents.push(entry);
+
+    if (!target) {
+      if (folder.isCore && agent.added) {
+        plan.manual.push(`${agent.path} is an agent you added; recreate it as a v6 custom agent`);
+      }
+      return;
+    }
+    if (!agent.definition) {
+      if (agent.modified) {
+        plan.manual.push(`${agent.path} was modified but could not be read; carry its changes over by hand`);
+      }
+      return;
+    }
+
+    const { agent: meta = {}, persona = {} } = agent.definition;
+    const customization = {};
+
+    if (agent.modified && !target.folded) {
+      if (meta.name) customization.agent = { metadata: { name: meta.name } };
+      const identity = [persona.identity, persona.focus && `Focus: ${persona.focus}`]
+        .filter(Boolean)
+        .map((text) => String(text).trim().replace(/\.$/, ''))
+        .join('. ');
+      const converted = {
+        role: persona.role,
+        identity: identity || undefined,
+        communication_style: persona.style,
+        principles: Array.isArray(persona.core_principles) ? persona.core_principles : undefined,
+      };
+      const definedPersona = Object.fromEntries(Object.entries(converted).filter(([, v]) => v));
+      if (Object.keys(definedPersona).length > 0) customization.persona = definedPersona;
+    } else if (agent.modified) {
+      plan.manual.push(`${agent.path} was modified, but ${agent.id} was merged into ${entry.target}; review its persona by hand`);
+    }
+
+    // v4's `customization` field held instructions that override the agent's defaults
+    if (typeof meta.customization === 'string' && meta.customization.trim()) {
+      customization.critical_actions = [meta.customization.trim()];
+    }
+
+    if (Object.keys(customization).length > 0) {
+      entry.customized = true;
+      entry.carried = Object.keys(customization).map((key) => (key === 'agent' ? 'name' : key));
+      this.addCustomization(plan, entry.target, customization);
+    }
+  }
+
+  /**
+   * Add customization sections for a v6 agent. Lists are appended; the
+   * first name and persona win.
+   * @param {Object} plan - Migration plan (modified in place)
+   * @param {string} target - `<module>-<agent>`
+   * @param {Object} customization - Sections to add
+   */
+  addCustomization(plan, target, customization) {
+    const current = plan.customizations[target] || {};
+    for (const [key, value] of Object.entries(customization)) {
+      if (Array.isArray(value)) {
+        current[key] = [...(current[key] || []), ...value];
+      } else if (!current[key]) {
+        current[key] = value;
+      }
+    }
+    plan.customizations[target] = current;
+  }
+
+  /**
+   * Translate the IDEs v4 was set up for into v6 tool ids
+   * @param {Object} plan - Migration plan (modified in place)
+   */
+  async mapIdes(plan) {
+    await this.ideManager.ensureInitialized();
+    const v4Ides = [...new Set(plan.folders.flatMap((f) => f.ides))];
+    for (const ide of v4Ides) {
+      const v6Ide = V4_IDE_IDS[ide] || ide;
+      if (this.ideManager.isSupported(v6Ide)) {
+        if (!plan.ides.includes(v6Ide)) plan.ides.push(v6Ide);
+      } else {
+        plan.unsupportedIdes.push(ide);
+      }
+    }
+  }
+
+  /**
+   * Find IDE files the v4 installer generated
+   * @param {string} projectDir - Project directory
+   * @param {Object} plan - Migration plan (modified in place)
+   */
+  async findIdeFiles(projectDir, plan) {
+    const prefixes = [...new Set(plan.folders.map((f) => f.slashPrefix).filter(Boolean))];
+    const ids = [
+      ...new Set(
+        plan.folders.flatMap((f) => [...f.agents.map((a) => a.id), ...f.items.filter((i) => i.kind === 'tasks').map((i) => i.name)]),
+      ),
+    ];
+    const found = new Set();
+
+    for (const pattern of V4_IDE_RULES.dirs) {
+      for (const prefix of pattern.includes('{prefix}') ? prefixes : [null]) {
+        const relativePath = prefix ? pattern.replace('{prefix}', prefix) : pattern;
+        if (await fs.pathExists(path.join(projectDir, relativePath))) found.add(relativePath);
+      }
+    }
+
+    for (const pattern of V4_IDE_RULES.files) {
+      const dir = path.posix.dirname(pattern);
+      if (!(await fs.pathExists(path.join(projectDir, dir)))) continue;
+      const entries = new Set(await fs.readdir(path.join(projectDir, dir)));
+      for (const id of ids) {
+        const fileName = path.posix.basename(pattern).replace('{id}', id);
+        if (entries.has(fileName)) found.add(`${dir}/${fileName}`);
+        // Cline rules are numbered (e.g. 03-dev.md)
+        if (dir === '.clinerules') {
+          for (const entry of entries) {
+            if (/^\d+-/.test(entry) && entry.endsWith(`-${id}.md`)) found.add(`${dir}/${entry}`);
+          }
+        }
+      }
+    }
+
+    plan.ideFiles = [...found].sort();
+
+    for (const relativePath of V4_IDE_RULES.manual) {
+      const filePath = path.join(projectDir, relativePath);
+      if ((await fs.pathExists(filePath)) && /bmad/i.test(await fs.readFile(filePath, 'utf8'))) {
+        plan.manual.push(`${relativePath} still contains v4 BMAD entries; remove them by hand`);
+      }
+    }
+    if (plan.unsupportedIdes.length > 0) {
+      plan.manual.push(`v4 tools with no v6 installer: ${plan.unsupportedIdes.join(', ')}`);
+    }
+  }
+
+  /**
+   * Write the converted customizations into the v6 installation, keeping
+   * customize files that already exist
+   * @param {string} projectDir - Project directory
+   * @param {Object} plan - Migration plan
+   * @returns {Promise<{written: string[], skipped: string[]}>} Project-relative paths
+   */
+  async writeCustomizations(projectDir, plan) {
+    const written = [];
+    const skipped = [];
+    const agentsDir = path.join(projectDir, BMAD_FOLDER_NAME, '_config', 'agents');
+
+    for (const [target, customization] of Object.entries(plan.customizations)) {
+      const filePath = path.join(agentsDir, `${target}.customize.yaml`);
+      const relativePath = path.relative(projectDir, filePath).split(path.sep).join('/');
+      if (await fs.pathExists(filePath)) {
+        skipped.push(relativePath);
+        continue;
+      }
+
+      // Same section order as the customize template
+      const sections = ['agent', 'persona', 'critical_actions'].filter((key) => customization[key]);
+      const doc = new yaml.Document(Object.fromEntries(sections.map((key) => [key, customization[key]])));
+      doc.commentBefore = ' Converted from BMAD v4 by "bmad migrate"';
+      await fs.ensureDir(agentsDir);
+      await fs.writeFile(filePath, doc.toString({ lineWidth: 0 }), 'utf8');
+      written.push(relativePath);
+    }
+
+    return { written, skipped };
+  }
+
+  /**
+   * Move the v4 folders and generated IDE files into a backup folder
+   * @param {string} projectDir - Project directory
+   * @param {Object} plan - Migration plan
+   * @returns {Promise<{backupDir: string, moved: string[]}>}
+   */
+  async backUp(projectDir, plan) {
+    let backupDir = path.join(projectDir, '_bmad-v4-backup');
+    for (let n = 2; await fs.pathExists(backupDir); n++) {
+      backupDir = path.join(projectDir, `_bmad-v4-backup-${n}`);
+    }
+
+    const moved = [];
+    for (const relativePath of [...plan.folders.map((f) => f.name), ...plan.ideFiles]) {
+      await fs.move(path.join(projectDir, relativePath), path.join(backupDir, relativePath));
+      moved.push(relativePath);
+
+      // Drop IDE folders that only held v4 files
+      await this.removeEmptyParents(projectDir, relativePath);
+    }
+
+    return { backupDir, moved };
+  }
+
+  /**
+   * Put moved files back after a failed migration
+   * @param {string} projectDir - Project directory
+   * @param {string} backupDir - Backup folder
+   * @param {string[]} moved - Project-relative paths that were moved
+   */
+  async restoreBackup(projectDir, backupDir, moved) {
+    for (const relativePath of moved) {
+      await fs.move(path.join(backupDir, relativePath), path.join(projectDir, relativePath), { overwrite: true });
+    }
+    await fs.remove(backupDir);
+  }
+
+  /**
+   * Remove the folders above a removed path that are now empty
+   * @param {string} projectDir - Project directory (never removed)
+   * @param {string} relativePath - Project-relative path that was removed
+   */
+  async removeEmptyParents(projectDir, relativePath) {
+    let dir = path.dirname(path.join(projectDir, relativePath));
+    while (dir !== projectDir && (await fs.pathExists(dir)) && (await fs.readdir(dir)).length === 0) {
+      await fs.remove(dir);
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * Migrate the project: convert customizations, move v4 files into a
+   * backup folder, run the v6 install and write the migration report.
+   * If the install fails, the project is put back as it was.
+   * @param {string} projectDir - Project directory
+   * @param {Object} plan - Plan from analyze()
+   * @param {Function} install - Runs the v6 install; receives the plan
+   * @returns {Promise<Object>} {backupDir, moved, written, skipped, reportPath}
+   */
+  async migrate(projectDir, plan, install) {
+    const { written, skipped } = await this.writeCustomizations(projectDir, plan);
+    let backup = { backupDir: null, moved: [] };
+
+    try {
+      backup = await this.backUp(projectDir, plan);
+      await install(plan);
+    } catch (error) {
+      if (backup.backupDir) {
+        await this.restoreBackup(projectDir, backup.backupDir, backup.moved);
+      }
+      for (const relativePath of written) {
+        await fs.remove(path.join(projectDir, relativePath));
+        await this.removeEmptyParents(projectDir, relativePath);
+      }
+      throw error;
+    }
+
+    const result = { ...backup, written, skipped };
+    result.reportPath = path.join(backup.backupDir, 'migration-report.md');
+    await fs.writeFile(result.reportPath, this.buildReport(plan, result), 'utf8');
+    return result;
+  }
+
+  /**
+   * Render the migration report
+   * @param {Object} plan - Migration plan
+   * @param {Object} [result] - Result of migrate(); omitted for a dry run
+   * @returns {string} Markdown
+   */
+  buildReport(plan, result = null) {
+    const list = (items) => (items.length > 0 ? items.map((item) => `- ${item}`) : ['- None']);
+    const agentRows = plan.agents.map((agent) => {
+      const target = agent.target ? `${agent.target}${agent.folded ? ' (merged)' : ''}` : 'not migrated';
+      return `| ${agent.folder}/${agent.id} | ${target} | ${agent.carried.join(', ') || '-'} |`;
+    });
+    const itemRows = plan.items.map(
+      (item) => `| ${item.path} | ${item.replacement || (item.added ? 'your own file - kept in the backup' : '-')} |`,
+    );
+    const changes = result
+      ? [
+          '## Customization Files',
+          '',
+          ...list([
+            ...result.written.map((p) => `Wrote \`${p}\``),
+            ...result.skipped.map((p) => `Kept existing \`${p}\` - merge the v4 changes into it by hand`),
+          ]),
+          '',
+          '## Moved to Backup',
+          '',
+          ...list(result.moved.map((p) => `\`${p}\``)),
+        ]
+      : ['## IDE Files to Remove', '', ...list(plan.ideFiles.map((p) => `\`${p}\``))];
+
+    return [
+      '# BMAD v4 → v6 Migration Report',
+      '',
+      result ? `Migrated ${plan.projectDir}.` : `Dry run for ${plan.projectDir} - nothing was changed.`,
+      '',
+      '## v4 Folders',
+      '',
+      ...list(plan.folders.map((f) => `\`${f.name}\`${f.version ? ` (v${f.version})` : ''}`)),
+      '',
+      '## v6 Install',
+      '',
+      `- Modules: ${plan.modules.join(', ')}`,
+      `- Tools: ${plan.ides.join(', ') || 'none'}`,
+      '',
+      '## Agents',
+      '',
+      '| v4 agent | v6 agent | Customizations carried over |',
+      '| --- | --- | --- |',
+      ...agentRows,
+      '',
+      '## Tasks and Templates',
+      '',
+      '| v4 file | Replaced by |',
+      '| --- | --- |',
+      ...itemRows,
+      '',
+      '## Settings',
+      '',
+      ...list(plan.settings.map((s) => `\`${s.from}\` → \`${s.to}\`: ${s.value}`)),
+      '',
+      ...changes,
+      '',
+      '## Follow-up',
+      '',
+      ...list(plan.manual),
+      '',
+    ].join('\n');
+  }
+}
+
+module.exports = { LegacyMigrator };
@@ -0,0 +1,289 @@
+const path = require('node:path');
+const crypto = require('node:crypto');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const csv = require('csv-parse/sync');
+const { Manifest } = require('./manifest');
+const { CustomModuleCache } = require('./custom-module-cache');
+const { InstallationAuditor } = require('./installation-auditor');
+const { getProjectRoot } = require('../../../lib/project-root');
+
+const FILE_NAME = 'bmad.lock';
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Files under the bmad directory left out of the lock: manifest.yaml only adds
+ * install dates to what the lock's modules section already records, and agent
+ * sidecar memories are rewritten by the agents themselves
+ * @param {string} relativePath - Path relative to the bmad directory
+ * @returns {boolean}
+ */
+function isVolatile(relativePath) {
+  if (relativePath === '_config/manifest.yaml') return true;
+  return relativePath.startsWith('_memory/') && path.posix.dirname(relativePath).includes('-sidecar');
+}
+
+/**
+ * Header line the installer stamps into generated config.yaml files
+ */
+const GENERATED_DATE_LINE = /^# Date: \S+$/gm;
+
+/**
+ * Most differences listed when a frozen install is refused
+ */
+const MAX_REPORTED_DIFFERENCES = 20;
+
+/**
+ * Lockfile - what an install produced, for reproducing it elsewhere
+ *
+ * _bmad/bmad.lock is rewritten at the end of every install and is meant to be
+ * committed. It holds no dates, so two installs of the same inputs write the
+ * same lock, and `bmad install --frozen-lockfile` refuses to commit an install
+ * whose lock differs from the one already in the project.
+ *
+ *   lockfileVersion: 1
+ *   bmadVersion: 6.0.2
+ *   modules:
+ *     bmm:  {source: built-in, version}
+ *     cis:  {source: external, version, url, ref, sha, hash}
+ *     mine: {source: custom, version, path, hash}
+ *   ides: [claude-code]
+ *   files:
+ *     _bmad/core/tasks/workflow.xml: <sha256>
+ *     .claude/commands/bmad-help.md: <sha256>
+ */
+class Lockfile {
+  constructor() {
+    this.manifest = new Manifest();
+    this.auditor = new InstallationAuditor();
+  }
+
+  /**
+   * Get the lock file path of an installation
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string}
+   */
+  getPath(bmadDir) {
+    return path.join(bmadDir, FILE_NAME);
+  }
+
+  /**
+   * Describe an installation as a lock
+   * @param {string} projectDir - Project root directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Promise<Object>} Lock data
+   */
+  async build(projectDir, bmadDir) {
+    const manifestData = (await this.manifest._readRaw(bmadDir)) || {};
+    const customCache = await new CustomModuleCache(bmadDir).getCacheManifest();
+    const bmadFolderName = path.basename(bmadDir);
+
+    const modules = {};
+    // Older manifests list modules by name only
+    const sortedModules = (manifestData.modules || [])
+      .map((m) => (typeof m === 'string' ? { name: m } : m))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of sortedModules) {
+      modules[entry.name] = this.describeModule(entry, customCache[entry.name], bmadFolderName);
+    }
+
+    const ides = [...(manifestData.ides || [])].sort();
+
+    const files = {};
+    const add = async (relativePath, absolutePath) => {
+      files[relativePath] = await this.hashFile(absolutePath);
+    };
+
+    for (const entry of await this.readFilesManifest(bmadDir)) {
+      if (isVolatile(entry.path)) continue;
+      const absolutePath = path.join(bmadDir, entry.path);
+      if (await fs.pathExists(absolutePath)) {
+        await add(`${bmadFolderName}/${entry.path}`, absolutePath);
+      }
+    }
+
+    await this.auditor.ideManager.ensureInitialized();
+    for (const ide of ides) {
+      for (const dir of this.auditor.getIdeCommandDirs(ide)) {
+        const targetPath = path.join(projectDir, dir);
+        if (!(await fs.pathExists(targetPath))) continue;
+
+        for (const entry of (await fs.readdir(targetPath)).sort()) {
+          if (!entry.startsWith('bmad')) continue;
+
+          const entryPath = path.join(targetPath, entry);
+          const commandFiles = (await fs.stat(entryPath)).isDirectory()
+            ? (await this.auditor.listFiles(entryPath)).map((f) => `${entry}/${f}`)
+            : [entry];
+          for (const commandFile of commandFiles) {
+            await add(`${dir}/${commandFile}`, path.join(targetPath, commandFile));
+          }
+        }
+      }
+    }
+
+    return {
+      lockfileVersion: LOCKFILE_VERSION,
+      bmadVersion: manifestData.installation?.version || require(path.join(getProjectRoot(), 'package.json')).version,
+      modules,
+      ides,
+      files: Object.fromEntries(Object.entries(files).sort(([a], [b]) => a.localeCompare(b))),
+    };
+  }
+
+  /**
+   * Describe one module's source from its manifest entry
+   * @param {Object} entry - Module entry from manifest.yaml
+   * @param {Object} [cached] - The module's entry in the custom module cache manifest
+   * @param {string} bmadFolderName - Name of the BMAD folder
+   * @returns {Object} Lock entry
+   */
+  describeModule(entry, cached, bmadFolderName) {
+    const locked = { source: entry.source || 'unknown', version: entry.version || null };
+
+    if (entry.source === 'external') {
+      locked.url = entry.repoUrl || null;
+      locked.ref = entry.ref || null;
+      locked.sha = entry.sha || null;
+      locked.hash = entry.contentHash || null;
+    } else if (entry.source === 'custom') {
+      // Custom sources are kept in the installation, since their original path is machine-specific
+      locked.path = `${bmadFolderName}/_config/custom/${entry.name}`;
+      locked.hash = cached?.originalHash || entry.contentHash || null;
+    }
+
+    return locked;
+  }
+
+  /**
+   * Hash a file for the lock, ignoring the generation date stamped into config files
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>} SHA-256 hex digest
+   */
+  async hashFile(filePath) {
+    let content = await fs.readFile(filePath);
+    if (path.extname(filePath) === '.yaml') {
+      content = content.toString('utf8').replaceAll(GENERATED_DATE_LINE, '');
+    }
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Read the paths tracked in files-manifest.csv
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Promise<Array<{path: string}>>} Entries with paths relative to bmadDir
+   */
+  async readFilesManifest(bmadDir) {
+    const csvPath = path.join(bmadDir, '_config', 'files-manifest.csv');
+    if (!(await fs.pathExists(csvPath))) return [];
+
+    const records = csv.parse(await fs.readFile(csvPath, 'utf8'), { columns: true, skip_empty_lines: true });
+    return records.filter((r) => r.path);
+  }
+
+  /**
+   * Write a lock into an installation
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} lock - Lock data from build()
+   * @returns {Promise<string>} Path written
+   */
+  async write(bmadDir, lock) {
+    const lockPath = this.getPath(bmadDir);
+    const header = '# Generated by the BMAD installer - commit this file and do not edit it\n';
+    await fs.writeFile(lockPath, header + yaml.stringify(lock, { indent: 2, lineWidth: 0 }), 'utf8');
+    return lockPath;
+  }
+
+  /**
+   * Read the lock of an installation
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Promise<Object|null>} Lock data, or null if there is none
+   */
+  async read(bmadDir) {
+    const lockPath = this.getPath(bmadDir);
+    if (!(await fs.pathExists(lockPath))) return null;
+
+    try {
+      return yaml.parse(await fs.readFile(lockPath, 'utf8')) || {};
+    } catch (error) {
+      throw new Error(`Failed to read ${lockPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List how one lock differs from another
+   * @param {Object} expected - Lock committed to the project
+   * @param {Object} actual - Lock of the install being made
+   * @returns {Array<string>} Human-readable differences, empty when the locks match
+   */
+  compare(expected, actual) {
+    const differences = [];
+    const show = (value) => (value === null || value === undefined ? 'none' : String(value));
+
+    if (expected.bmadVersion !== actual.bmadVersion) {
+      differences.push(`BMAD version: ${show(expected.bmadVersion)} -> ${show(actual.bmadVersion)}`);
+    }
+
+    const expectedModules = expected.modules || {};
+    const actualModules = actual.modules || {};
+    for (const name of new Set([...Object.keys(expectedModules), ...Object.keys(actualModules)])) {
+      const before = expectedModules[name];
+      const after = actualModules[name];
+      if (!before) {
+        differences.push(`module ${name}: added`);
+      } else if (after) {
+        for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+          if (before[field] !== after[field]) {
+            differences.push(`module ${name}: ${field} ${show(before[field])} -> ${show(after[field])}`);
+          }
+        }
+      } else {
+        differences.push(`module ${name}: removed`);
+      }
+    }
+
+    const expectedIdes = (expected.ides || []).join(', ');
+    const actualIdes = (actual.ides || []).join(', ');
+    if (expectedIdes !== actualIdes) {
+      differences.push(`IDEs: ${expectedIdes || 'none'} -> ${actualIdes || 'none'}`);
+    }
+
+    const expectedFiles = expected.files || {};
+    const actualFiles = actual.files || {};
+    for (const file of new Set([...Object.keys(expectedFiles), ...Object.keys(actualFiles)])) {
+      if (!(file in expectedFiles)) {
+        differences.push(`${file}: added`);
+      } else if (!(file in actualFiles)) {
+        differences.push(`${file}: removed`);
+      } else if (expectedFiles[file] !== actualFiles[file]) {
+        differences.push(`${file}: content changed`);
+      }
+    }
+
+    return differences;
+  }
+
+  /**
+   * Refuse a staged install whose lock differs from the project's
+   * @param {string} projectBmadDir - The project's BMAD directory
+   * @param {string} stagedBmadDir - BMAD directory of the staged install
+   * @throws {Error} When the project has no lock or the locks differ
+   */
+  async assertUnchanged(projectBmadDir, stagedBmadDir) {
+    const expected = await this.read(projectBmadDir);
+    if (!expected) {
+      throw new Error(`--frozen-lockfile needs ${this.getPath(projectBmadDir)}; run an install without it to create one`);
+    }
+
+    const differences = this.compare(expected, await this.read(stagedBmadDir));
+    if (differences.length === 0) return;
+
+    const shown = differences.slice(0, MAX_REPORTED_DIFFERENCES).map((d) => `  - ${d}`);
+    if (differences.length > shown.length) {
+      shown.push(`  ...and ${differences.length - shown.length} more`);
+    }
+    throw new Error(`The install does not match ${FILE_NAME} (${differences.length} difference(s)):\n${shown.join('\n')}`);
+  }
+}
+
+module.exports = { Lockfile, LOCKFILE_NAME: FILE_NAME };
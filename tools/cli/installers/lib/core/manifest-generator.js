@@ -5,6 +5,7 @@ const crypto = require('node:crypto');
 const csv = require('csv-parse/sync');
 const { getSourcePath, getModulePath } = require('../../../lib/project-root');
 const prompts = require('../../../lib/prompts');
+const { InstallLog } = require('./install-log');
 
 // Load package.json for version info
 const packageJson = require('../../../../../package.json');
@@ -21,6 +22,7 @@ class ManifestGenerator {
     this.modules = [];
     this.files = [];
     this.selectedIdes = [];
+    this.installLog = new InstallLog();
   }
 
   /**
@@ -41,6 +43,8 @@ class ManifestGenerator {
    * @param {string} bmadDir - _bmad
    * @param {Array} selectedModules - Selected modules for installation
    * @param {Array} installedFiles - All installed files (optional, for hash tracking)
+   * @param {Object} options - {ides, preservedModules, moduleGraph} where moduleGraph maps each
+   *   module to its resolved dependencies ([{name, range, version}])
    */
   async generateManifests(bmadDir, selectedModules, installedFiles = [], options = {}) {
     // Create _config directory if it doesn't exist
@@ -67,6 +71,7 @@ class ManifestGenerator {
     this.bmadDir = bmadDir;
     this.bmadFolderName = path.basename(bmadDir); // Get the actual folder name (e.g., '_bmad' or 'bmad')
     this.allInstalledFiles = installedFiles;
+    this.moduleGraph = options.moduleGraph || {};
 
     if (!Object.prototype.hasOwnProperty.call(options, 'ides')) {
       throw new Error('ManifestGenerator requires `options.ides` to be provided – installer should supply the selected IDEs array.');
@@ -102,7 +107,7 @@ class ManifestGenerator {
       await this.writeFilesManifest(cfgDir),
     ];
 
-    return {
+    const stats = {
       workflows: this.workflows.length,
       agents: this.agents.length,
       tasks: this.tasks.length,
@@ -110,6 +115,8 @@ class ManifestGenerator {
       files: this.files.length,
       manifestFiles: manifestFiles,
     };
+    this.installLog.record('ManifestGenerator', 'manifest.write', { modules: allModules, ...stats });
+    return stats;
   }
 
   /**
@@ -610,6 +617,10 @@ class ManifestGenerator {
 
       // Get existing install date if available
       const existing = existingModulesMap.get(moduleName);
+      // Dependencies resolved by this install, or the ones recorded when the module was installed
+      const dependencies = this.moduleGraph[moduleName] || existing?.dependencies || [];
+      // Modules not fetched this run keep the verification recorded when they were
+      const verification = versionInfo.verification || existing?.verification;
 
       updatedModules.push({
         name: moduleName,
@@ -619,6 +630,12 @@ class ManifestGenerator {
         source: versionInfo.source,
         npmPackage: versionInfo.npmPackage,
         repoUrl: versionInfo.repoUrl,
+        ...(versionInfo.sha && { ref: versionInfo.ref, sha: versionInfo.sha }),
+        ...(dependencies.length > 0 && { dependencies }),
+        ...(verification && {
+          verification,
+          contentHash: versionInfo.verification ? versionInfo.contentHash : existing.contentHash || null,
+        }),
       });
     }
 
@@ -781,7 +798,8 @@ class ManifestGenerator {
         columns: true,
         skip_empty_lines: true,
       });
-      for (const record of records) {
+      // Entries of modules that are no longer installed are dropped
+      for (const record of records.filter((r) => this.updatedModules.includes(r.module))) {
         existingEntries.set(`${record.module}:${record.name}`, record);
       }
     }
@@ -853,7 +871,8 @@ class ManifestGenerator {
         columns: true,
         skip_empty_lines: true,
       });
-      for (const record of records) {
+      // Entries of modules that are no longer installed are dropped
+      for (const record of records.filter((r) => this.updatedModules.includes(r.module))) {
         existingEntries.set(`${record.module}:${record.name}`, record);
       }
     }
@@ -915,7 +934,8 @@ class ManifestGenerator {
         columns: true,
         skip_empty_lines: true,
       });
-      for (const record of records) {
+      // Entries of modules that are no longer installed are dropped
+      for (const record of records.filter((r) => this.updatedModules.includes(r.module))) {
         existingEntries.set(`${record.module}:${record.name}`, record);
       }
     }
@@ -4,6 +4,13 @@ const crypto = require('node:crypto');
 const { getProjectRoot } = require('../../../lib/project-root');
 const prompts = require('../../../lib/prompts');
 
+/**
+ * Tail of the queue of manifest.yaml updates. Modules install concurrently and
+ * each records itself by reading, changing and writing back the whole file, so
+ * those updates take turns.
+ */
+let pendingUpdate = Promise.resolve();
+
 class Manifest {
   /**
    * Create a new manifest
@@ -19,22 +26,22 @@ class Manifest {
     await fs.ensureDir(path.dirname(manifestPath));
 
     // Get the BMad version from package.json
-    const bmadVersion = data.version || require(path.join(process.cwd(), 'package.json')).version;
+    const bmadVersion = data.version || require(path.join(getProjectRoot(), 'package.json')).version;
 
     // Convert module list to new detailed format
     const moduleDetails = [];
     if (data.modules && Array.isArray(data.modules)) {
       for (const moduleName of data.modules) {
-        // Core and BMM modules use the BMad version
-        const moduleVersion = moduleName === 'core' || moduleName === 'bmm' ? bmadVersion : null;
+        const { version, ...sourceInfo } = await this.getModuleVersionInfo(moduleName, bmadDir);
         const now = data.installDate || new Date().toISOString();
 
         moduleDetails.push({
           name: moduleName,
-          version: moduleVersion,
+          // Built-in modules share the installation's version
+          version: sourceInfo.source === 'built-in' ? bmadVersion : version,
           installDate: now,
           lastUpdated: now,
-          source: moduleName === 'core' || moduleName === 'bmm' ? 'built-in' : 'unknown',
+          ...sourceInfo,
         });
       }
     }
@@ -267,42 +274,48 @@ class Manifest {
    * @param {Object} options - Optional version info
    */
   async addModule(bmadDir, moduleName, options = {}) {
-    const manifest = await this._readRaw(bmadDir);
-    if (!manifest) {
-      throw new Error('No manifest found');
-    }
+    return this._exclusive(async () => {
+      const manifest = await this._readRaw(bmadDir);
+      if (!manifest) {
+        throw new Error('No manifest found');
+      }
 
-    if (!manifest.modules) {
-      manifest.modules = [];
-    }
+      if (!manifest.modules) {
+        manifest.modules = [];
+      }
 
-    const existingIndex = manifest.modules.findIndex((m) => m.name === moduleName);
+      const existingIndex = manifest.modules.findIndex((m) => m.name === moduleName);
 
-    if (existingIndex === -1) {
-      // Module doesn't exist, add it
-      manifest.modules.push({
-        name: moduleName,
-        version: options.version || null,
-        installDate: new Date().toISOString(),
-        lastUpdated: new Date().toISOString(),
-        source: options.source || 'unknown',
-        npmPackage: options.npmPackage || null,
-        repoUrl: options.repoUrl || null,
-      });
-    } else {
-      // Module exists, update its version info
-      const existing = manifest.modules[existingIndex];
-      manifest.modules[existingIndex] = {
-        ...existing,
-        version: options.version === undefined ? existing.version : options.version,
-        source: options.source || existing.source,
-        npmPackage: options.npmPackage === undefined ? existing.npmPackage : options.npmPackage,
-        repoUrl: options.repoUrl === undefined ? existing.repoUrl : options.repoUrl,
-        lastUpdated: new Date().toISOString(),
-      };
-    }
+      if (existingIndex === -1) {
+        // Module doesn't exist, add it
+        manifest.modules.push({
+          name: moduleName,
+          version: options.version || null,
+          installDate: new Date().toISOString(),
+          lastUpdated: new Date().toISOString(),
+          source: options.source || 'unknown',
+          npmPackage: options.npmPackage || null,
+          repoUrl: options.repoUrl || null,
+          ...(options.sha && { ref: options.ref || null, sha: options.sha }),
+          ...(options.verification && { verification: options.verification, contentHash: options.contentHash || null }),
+        });
+      } else {
+        // Module exists, update its version info
+        const existing = manifest.modules[existingIndex];
+        manifest.modules[existingIndex] = {
+          ...existing,
+          version: options.version === undefined ? existing.version : options.version,
+          source: options.source || existing.source,
+          npmPackage: options.npmPackage === undefined ? existing.npmPackage : options.npmPackage,
+          repoUrl: options.repoUrl === undefined ? existing.repoUrl : options.repoUrl,
+          ...(options.sha && { ref: options.ref || null, sha: options.sha }),
+          ...(options.verification && { verification: options.verification, contentHash: options.contentHash || null }),
+          lastUpdated: new Date().toISOString(),
+        };
+      }
 
-    await this._writeRaw(bmadDir, manifest);
+      await this._writeRaw(bmadDir, manifest);
+    });
   }
 
   /**
@@ -311,16 +324,18 @@ class Manifest {
    * @param {string} moduleName - Module name to remove
    */
   async removeModule(bmadDir, moduleName) {
-    const manifest = await this._readRaw(bmadDir);
-    if (!manifest || !manifest.modules) {
-      return;
-    }
+    return this._exclusive(async () => {
+      const manifest = await this._readRaw(bmadDir);
+      if (!manifest || !manifest.modules) {
+        return;
+      }
 
-    const index = manifest.modules.findIndex((m) => m.name === moduleName);
-    if (index !== -1) {
-      manifest.modules.splice(index, 1);
-      await this._writeRaw(bmadDir, manifest);
-    }
+      const index = manifest.modules.findIndex((m) => m.name === moduleName);
+      if (index !== -1) {
+        manifest.modules.splice(index, 1);
+        await this._writeRaw(bmadDir, manifest);
+      }
+    });
   }
 
   /**
@@ -330,20 +345,22 @@ class Manifest {
    * @param {Object} versionInfo - Version info to update
    */
   async updateModuleVersion(bmadDir, moduleName, versionInfo) {
-    const manifest = await this._readRaw(bmadDir);
-    if (!manifest || !manifest.modules) {
-      return;
-    }
+    return this._exclusive(async () => {
+      const manifest = await this._readRaw(bmadDir);
+      if (!manifest || !manifest.modules) {
+        return;
+      }
 
-    const index = manifest.modules.findIndex((m) => m.name === moduleName);
-    if (index !== -1) {
-      manifest.modules[index] = {
-        ...manifest.modules[index],
-        ...versionInfo,
-        lastUpdated: new Date().toISOString(),
-      };
-      await this._writeRaw(bmadDir, manifest);
-    }
+      const index = manifest.modules.findIndex((m) => m.name === moduleName);
+      if (index !== -1) {
+        manifest.modules[index] = {
+          ...manifest.modules[index],
+          ...versionInfo,
+          lastUpdated: new Date().toISOString(),
+        };
+        await this._writeRaw(bmadDir, manifest);
+      }
+    });
   }
 
   /**
@@ -375,6 +392,17 @@ class Manifest {
     return manifest.modules;
   }
 
+  /**
+   * Run a read-change-write of manifest.yaml once the updates queued before it are done
+   * @param {Function} operation - Async function doing the update
+   * @returns {Promise<any>} The operation's result
+   */
+  async _exclusive(operation) {
+    const run = pendingUpdate.then(operation);
+    pendingUpdate = run.catch(() => {});
+    return run;
+  }
+
   /**
    * Write raw manifest data to file
    * @param {string} bmadDir - Path to bmad directory
@@ -832,7 +860,8 @@ class Manifest {
    * @param {string} moduleName - Module name/code
    * @param {string} bmadDir - Path to bmad directory
    * @param {string} moduleSourcePath - Optional source path for custom modules
-   * @returns {Object} Version info object with version, source, npmPackage, repoUrl
+   * @returns {Object} Version info object with version, source, npmPackage, repoUrl (plus ref and sha for external modules,
+   *   and verification and contentHash for modules verified during this run)
    */
   async getModuleVersionInfo(moduleName, bmadDir, moduleSourcePath = null) {
     const os = require('node:os');
@@ -882,11 +911,18 @@ class Manifest {
         }
       }
 
+      // Record the commit that was installed so later installs can reproduce it
+      const { ModuleManager } = require('../modules/manager');
+      const { ref } = await extMgr.getModuleRef(moduleName);
+
       return {
         version: version,
         source: 'external',
         npmPackage: moduleInfo.npmPackage || null,
         repoUrl: moduleInfo.url || null,
+        ref,
+        sha: new ModuleManager().getExternalModuleCommit(moduleName),
+        ...this.getVerificationInfo(moduleName),
       };
     }
 
@@ -903,6 +939,7 @@ class Manifest {
           source: 'custom',
           npmPackage: moduleConfig.npmPackage || null,
           repoUrl: moduleConfig.repoUrl || null,
+          ...this.getVerificationInfo(moduleName),
         };
       } catch (error) {
         await prompts.log.warn(`Failed to read module.yaml for ${moduleName}: ${error.message}`);
@@ -918,12 +955,28 @@ class Manifest {
     };
   }
 
+  /**
+   * Get how a module's source was verified when it was fetched this run
+   * @param {string} moduleName - Module code
+   * @returns {Object} {verification, contentHash}, or {} if it was not fetched this run
+   */
+  getVerificationInfo(moduleName) {
+    const { ModuleVerifier } = require('../modules/module-verifier');
+    const result = new ModuleVerifier().getResult(moduleName);
+    return result ? { verification: result.status, contentHash: result.hash } : {};
+  }
+
   /**
    * Fetch latest version from npm for a package
    * @param {string} packageName - npm package name
    * @returns {string|null} Latest version or null
    */
   async fetchNpmVersion(packageName) {
+    const { ExternalModuleManager } = require('../modules/external-manager');
+    if (new ExternalModuleManager().isOffline()) {
+      return null;
+    }
+
     try {
       const https = require('node:https');
       const { execSync } = require('node:child_process');
@@ -0,0 +1,297 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const csv = require('csv-parse/sync');
+const { Installer } = require('./installer');
+const { Manifest } = require('./manifest');
+const { ManifestGenerator } = require('./manifest-generator');
+const { ConfigCollector } = require('./config-collector');
+const { ConfigEditor } = require('./config-editor');
+const { DependencyResolver } = require('./dependency-resolver');
+const { InstallTransaction } = require('./install-transaction');
+const { SnapshotManager } = require('./snapshot-manager');
+const { Lockfile } = require('./lockfile');
+const { ModuleManager } = require('../modules/manager');
+const { ModuleVerifier } = require('../modules/module-verifier');
+const { IdeManager } = require('../ide/manager');
+
+/**
+ * Module Editor - add or remove a single module of an existing installation
+ *
+ * Only the changed module is copied or deleted. The installation-wide files
+ * that list modules (manifest.yaml, the manifest CSVs, bmad-help.csv and
+ * bmad.lock) are regenerated, and each configured IDE rewrites just that module's command
+ * files. Like an install, the change is staged, committed as a whole and
+ * recorded as a snapshot for `bmad rollback`.
+ */
+class ModuleEditor {
+  constructor() {
+    this.installer = new Installer();
+    this.manifest = new Manifest();
+    this.configEditor = new ConfigEditor();
+    this.dependencyResolver = new DependencyResolver();
+    this.snapshotManager = new SnapshotManager();
+    this.ideManager = new IdeManager();
+    this.moduleVerifier = new ModuleVerifier();
+  }
+
+  /**
+   * Read an installation's manifest
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Object>} {bmadDir, installDir, installation, customModulePaths}; installDir is
+   *   the directory holding bmadDir, which is the workspace root when projectDir is a workspace package
+   */
+  async load(projectDir) {
+    const { bmadDir } = await this.installer.findBmadDir(projectDir);
+    const installation = await this.manifest.read(bmadDir);
+    if (!installation) {
+      throw new Error(`No BMAD installation found in ${projectDir}`);
+    }
+    const customModulePaths = await this.configEditor.getCustomModulePaths(bmadDir, installation);
+    return { bmadDir, installDir: path.dirname(bmadDir), installation, customModulePaths };
+  }
+
+  /**
+   * Install one more module, along with any modules it declares in
+   * `dependencies:` that are not installed yet
+   * @param {string} projectDir - Project directory
+   * @param {string} moduleName - Module code
+   * @param {Object} [options] - {yes, answers, pins, allowUnverified, npmScripts}
+   * @returns {Promise<Object>} {module, version, added, ides, createdDirs, scriptRuns}
+   */
+  async add(projectDir, moduleName, options = {}) {
+    const { bmadDir, installDir, installation, customModulePaths } = await this.load(projectDir);
+    if (installation.modules.includes(moduleName)) {
+      throw new Error(`Module '${moduleName}' is already installed`);
+    }
+
+    await this.installer.pinExternalModules(installDir, { pins: options.pins || {} });
+    this.moduleVerifier.allowUnverifiedModules(options.allowUnverified);
+    const moduleManager = new ModuleManager();
+    moduleManager.externalModuleManager.setInstallScriptsPolicy(options.npmScripts || 'ignore-scripts');
+    moduleManager.setCustomModulePaths(customModulePaths);
+    if (!(await moduleManager.findModuleSource(moduleName, { silent: true }))) {
+      throw new Error(`Module '${moduleName}' not found. Run "bmad status" or "bmad install" to see the available modules`);
+    }
+
+    const installedVersions = new Map(
+      (installation.modulesDetailed || installation.modules.map((name) => ({ name }))).map((m) => [m.name, m.version || null]),
+    );
+    const resolution = await this.dependencyResolver.resolveModuleGraph([moduleName], moduleManager, { installed: installedVersions });
+    const problems = this.dependencyResolver.describeModuleGraphProblems(resolution);
+    if (problems) {
+      throw new Error(problems);
+    }
+    const newModules = resolution.modules;
+
+    // Ask the new modules' questions, with the installation's current values for everything else
+    const collector = new ConfigCollector();
+    collector.customModulePaths = customModulePaths;
+    collector.skipPrompts = Boolean(options.yes);
+    collector.presetAnswers = options.answers || {};
+    await collector.loadExistingConfig(installDir);
+    collector.collectedConfig = structuredClone(collector.existingConfig);
+    for (const name of newModules) {
+      await collector.collectModuleConfig(name, installDir, true, true);
+    }
+    const coreConfig = collector.collectedConfig.core || {};
+    const configOf = (name) => collector.collectedConfig[name] || {};
+
+    const modules = [...installation.modules, ...newModules];
+    const result = {
+      module: moduleName,
+      version: null,
+      added: resolution.added,
+      ides: installation.ides,
+      createdDirs: [],
+      scriptRuns: [],
+    };
+
+    const change = async (stagingBmadDir, installedFiles) => {
+      moduleManager.setCoreConfig(coreConfig);
+      for (const name of newModules) {
+        const installed = await moduleManager.install(name, stagingBmadDir, (filePath) => installedFiles.push(filePath), {
+          moduleConfig: configOf(name),
+          installer: this.installer,
+          silent: true,
+          skipModuleInstaller: true,
+        });
+        if (name === moduleName) {
+          result.version = installed.versionInfo?.version || null;
+        }
+      }
+      this.installer.installedFiles.clear();
+      const moduleConfigs = Object.fromEntries(newModules.map((name) => [name, configOf(name)]));
+      await this.installer.generateModuleConfigs(stagingBmadDir, { core: coreConfig, ...moduleConfigs }, { modules: newModules });
+      installedFiles.push(...this.installer.installedFiles);
+    };
+    await this.applyChange(installDir, bmadDir, installation, newModules, modules, change, resolution.graph);
+
+    // Declared directories are created in the project once the modules are in place
+    for (const name of newModules) {
+      const dirs = await moduleManager.createModuleDirectories(name, bmadDir, {
+        moduleConfig: { ...coreConfig, ...configOf(name) },
+        existingModuleConfig: {},
+        silent: true,
+      });
+      result.createdDirs.push(...dirs.createdDirs);
+    }
+    result.scriptRuns = moduleManager.externalModuleManager.getScriptRuns();
+
+    return result;
+  }
+
+  /**
+   * Find installed files outside a module that point into it
+   * @param {string} projectDir - Project directory
+   * @param {string} moduleName - Module code
+   * @returns {Promise<Array<Object>>} [{module, file, references}]
+   */
+  async findDependents(projectDir, moduleName) {
+    const { bmadDir, installation } = await this.load(projectDir);
+    return this.dependencyResolver.findModuleReferences(bmadDir, moduleName, installation.modules);
+  }
+
+  /**
+   * Uninstall one module, with the _memory sidecars of its agents
+   * @param {string} projectDir - Project directory
+   * @param {string} moduleName - Module code
+   * @returns {Promise<Object>} {module, ides, keptSidecars}
+   */
+  async remove(projectDir, moduleName) {
+    const { bmadDir, installDir, installation } = await this.load(projectDir);
+    if (moduleName === 'core') {
+      throw new Error('The core module cannot be removed');
+    }
+    if (!installation.modules.includes(moduleName)) {
+      throw new Error(`Module '${moduleName}' is not installed. Installed: ${installation.modules.join(', ')}`);
+    }
+
+    const requiredBy = (installation.modulesDetailed || [])
+      .filter((m) => (m.dependencies || []).some((d) => d.name === moduleName))
+      .map((m) => m.name);
+    if (requiredBy.length > 0) {
+      throw new Error(`${moduleName} is required by ${requiredBy.join(', ')}; remove ${requiredBy.length > 1 ? 'those' : 'that'} first`);
+    }
+
+    const modules = installation.modules.filter((m) => m !== moduleName);
+    let keptSidecars = [];
+    await this.applyChange(installDir, bmadDir, installation, [moduleName], modules, async (stagingBmadDir, installedFiles) => {
+      keptSidecars = await this.removeSidecars(stagingBmadDir, moduleName, installedFiles);
+      await new ModuleManager().remove(moduleName, stagingBmadDir);
+      await this.manifest.removeModule(stagingBmadDir, moduleName);
+      await this.manifest.removeCustomModule(stagingBmadDir, moduleName);
+    });
+
+    return { module: moduleName, ides: installation.ides, keptSidecars };
+  }
+
+  /**
+   * Delete the _memory sidecar folders of a module's agents. Sidecars are
+   * listed under _memory in files-manifest.csv, not under their module, so
+   * the module's agents are looked up in agent-manifest.csv. A sidecar the
+   * user changed or added files to is kept.
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {string} moduleName - Module code
+   * @param {Array<string>} installedFiles - Files that stay listed in files-manifest.csv; deleted ones are taken out
+   * @returns {Promise<Array<string>>} Sidecars kept for holding user edits, relative to bmadDir
+   */
+  async removeSidecars(bmadDir, moduleName, installedFiles) {
+    const agentManifestPath = path.join(bmadDir, '_config', 'agent-manifest.csv');
+    if (!(await fs.pathExists(agentManifestPath))) return [];
+
+    const agents = csv.parse(await fs.readFile(agentManifestPath, 'utf8'), { columns: true, skip_empty_lines: true });
+    // An agent of the same name in another module shares the sidecar
+    const otherAgents = new Set(agents.filter((a) => a.module !== moduleName).map((a) => a.name));
+    const recorded = new Map((await this.installer.readFilesManifest(bmadDir)).map((entry) => [entry.path, entry.hash]));
+
+    const kept = [];
+    for (const agent of agents.filter((a) => a.module === moduleName && !otherAgents.has(a.name))) {
+      const relativeDir = `_memory/${agent.name}-sidecar`;
+      const sidecarDir = path.join(bmadDir, relativeDir);
+      if (!(await fs.pathExists(sidecarDir))) continue;
+
+      let edited = false;
+      for (const file of await new ModuleManager().getFileList(sidecarDir)) {
+        const relativePath = `${relativeDir}/${file.split(path.sep).join('/')}`;
+        if (recorded.get(relativePath) !== (await this.manifest.calculateFileHash(path.join(sidecarDir, file)))) {
+          edited = true;
+          break;
+        }
+      }
+      if (edited) {
+        kept.push(relativeDir);
+        continue;
+      }
+
+      await fs.remove(sidecarDir);
+      const remaining = installedFiles.filter((f) => !f.startsWith(sidecarDir + path.sep));
+      installedFiles.splice(0, installedFiles.length, ...remaining);
+    }
+    return kept;
+  }
+
+  /**
+   * Stage a module change, regenerate the module lists and the changed
+   * modules' IDE files, and commit it with a snapshot
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} installation - Manifest data from Manifest.read()
+   * @param {Array<string>} changed - Added or removed modules
+   * @param {Array<string>} modules - Modules installed after the change
+   * @param {Function} change - Makes the change: (stagingBmadDir, installedFiles) => Promise
+   * @param {Object} [moduleGraph] - Resolved dependencies of the added modules, recorded in the manifest
+   */
+  async applyChange(projectDir, bmadDir, installation, changed, modules, change, moduleGraph = {}) {
+    const transaction = new InstallTransaction(projectDir);
+    const stagingDir = await transaction.begin();
+    try {
+      const stagingBmadDir = path.join(stagingDir, path.basename(bmadDir));
+
+      // files-manifest.csv lists every installed file; carry over the ones that remain
+      const installedFiles = [];
+      for (const entry of await this.installer.readFilesManifest(stagingBmadDir)) {
+        const filePath = path.join(stagingBmadDir, entry.path);
+        if (!changed.includes(entry.module) && (await fs.pathExists(filePath))) {
+          installedFiles.push(filePath);
+        }
+      }
+
+      await change(stagingBmadDir, installedFiles);
+      const workspace = await this.installer.workspace.read(projectDir);
+      if (workspace) {
+        await this.installer.workspace.writePackageConfigs(stagingBmadDir, workspace);
+      }
+
+      await new ManifestGenerator().generateManifests(stagingBmadDir, modules, installedFiles, {
+        ides: installation.ides,
+        preservedModules: modules,
+        moduleGraph,
+      });
+      await this.installer.mergeModuleHelpCatalogs(stagingBmadDir);
+      await this.installer.fileMerger.savePristine(stagingBmadDir, await this.installer.readFilesManifest(stagingBmadDir));
+
+      this.ideManager.setBmadFolderName(path.basename(bmadDir));
+      const ideResults = await this.ideManager.setupModules(installation.ides, stagingDir, stagingBmadDir, {
+        modules: changed,
+        selectedModules: modules,
+        silent: true,
+        workspace,
+      });
+      const failed = ideResults.filter((r) => !r.success);
+      if (failed.length > 0) {
+        throw new Error(`Updating ${failed.map((r) => `${r.ide} (${r.error})`).join(', ')} failed`);
+      }
+
+      const lockfile = new Lockfile();
+      await lockfile.write(stagingBmadDir, await lockfile.build(stagingDir, stagingBmadDir));
+
+      await this.snapshotManager.capture(projectDir, stagingDir, 'module');
+    } catch (error) {
+      await transaction.abort();
+      throw error;
+    }
+    await transaction.commit();
+  }
+}
+
+module.exports = { ModuleEditor };
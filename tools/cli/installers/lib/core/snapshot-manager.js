@@ -0,0 +1,294 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { Manifest } = require('./manifest');
+const { InstallPlanner } = require('./install-planner');
+const { InstallTransaction } = require('./install-transaction');
+const { BMAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+
+/**
+ * Number of snapshots kept; older ones are pruned when a new one is taken
+ */
+const MAX_SNAPSHOTS = 5;
+
+/**
+ * Snapshot Manager - history of previous installations
+ *
+ * Before a staged install is committed, the files it is about to overwrite or
+ * delete are copied into _config/snapshots/<id>/ together with the previous
+ * manifest.yaml, files-manifest.csv and module config.yaml files, and the
+ * files it creates are listed. Applying a snapshot therefore undoes exactly
+ * one install; restoring an older snapshot applies every newer one first.
+ *
+ * Folders outside the staged directories (the output folders a `config set`
+ * creates or moves) cannot be swapped in; what was done to them is listed in
+ * the snapshot and reversed in the project itself when it is restored.
+ *
+ * Snapshot layout:
+ *   snapshot.yaml          id, date, previous version/modules/IDEs, stored files (with hashes), created paths,
+ *                          folder changes
+ *   manifest.yaml          previous _config/manifest.yaml
+ *   files-manifest.csv     previous _config/files-manifest.csv
+ *   configs/<module>/config.yaml
+ *   files/<path>           previous content of each changed file, relative to the project root
+ */
+class SnapshotManager {
+  constructor() {
+    this.manifest = new Manifest();
+    this.planner = new InstallPlanner();
+  }
+
+  /**
+   * Get the snapshots directory of an installation
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {string}
+   */
+  getSnapshotsDir(bmadDir) {
+    return path.join(bmadDir, '_config', 'snapshots');
+  }
+
+  /**
+   * Record the current installation before a staged install replaces it.
+   * The snapshot is written into the staging directory so it is committed
+   * together with the install.
+   * @param {string} projectDir - Project root directory
+   * @param {string} stagingDir - Staging directory the install ran in
+   * @param {string} [reason] - What replaced the installation ('install', 'rollback', 'config', 'module' or 'ide')
+   * @param {Array<Object>} [directories] - Folder changes made in the project, from ModuleManager.createModuleDirectories
+   * @returns {Promise<Object|null>} Snapshot metadata, or null if there was no previous installation
+   */
+  async capture(projectDir, stagingDir, reason = 'install', directories = []) {
+    const bmadDir = path.join(projectDir, BMAD_FOLDER_NAME);
+    const installation = await this.manifest.read(bmadDir);
+    if (!installation) return null;
+
+    const plan = await this.planner.plan(projectDir, stagingDir);
+    const changed = [];
+    const created = [];
+    for (const group of Object.values(plan.groups)) {
+      changed.push(...group.overwrite, ...group.delete);
+      created.push(...group.create, ...group.backup);
+    }
+
+    const snapshotsDir = this.getSnapshotsDir(path.join(stagingDir, BMAD_FOLDER_NAME));
+    const id = await this.createId(snapshotsDir);
+    const snapshotDir = path.join(snapshotsDir, id);
+
+    const files = [];
+    for (const relativePath of changed.filter((p) => !this.isSnapshotPath(p)).sort()) {
+      const sourcePath = path.join(projectDir, relativePath);
+      await fs.copy(sourcePath, path.join(snapshotDir, 'files', relativePath));
+      files.push({ path: relativePath, hash: await this.manifest.calculateFileHash(sourcePath) });
+    }
+
+    for (const name of ['manifest.yaml', 'files-manifest.csv']) {
+      const sourcePath = path.join(bmadDir, '_config', name);
+      if (await fs.pathExists(sourcePath)) {
+        await fs.copy(sourcePath, path.join(snapshotDir, name));
+      }
+    }
+
+    for (const moduleName of installation.modules) {
+      const configPath = path.join(bmadDir, moduleName, 'config.yaml');
+      if (await fs.pathExists(configPath)) {
+        await fs.copy(configPath, path.join(snapshotDir, 'configs', moduleName, 'config.yaml'));
+      }
+    }
+
+    const snapshot = {
+      id,
+      createdAt: new Date().toISOString(),
+      reason,
+      version: installation.version || null,
+      modules: installation.modules,
+      ides: installation.ides,
+      files,
+      created: created.filter((p) => !this.isSnapshotPath(p)).sort(),
+      ...(directories.length > 0 && { directories }),
+    };
+    await fs.writeFile(path.join(snapshotDir, 'snapshot.yaml'), yaml.stringify(snapshot, { lineWidth: 0 }), 'utf8');
+
+    await this.prune(snapshotsDir);
+    return snapshot;
+  }
+
+  /**
+   * List the snapshots of an installation
+   * @param {string} bmadDir - BMAD installation directory
+   * @returns {Promise<Array<Object>>} Snapshot metadata, newest first
+   */
+  async list(bmadDir) {
+    const snapshotsDir = this.getSnapshotsDir(bmadDir);
+    if (!(await fs.pathExists(snapshotsDir))) return [];
+
+    const snapshots = [];
+    for (const entry of await fs.readdir(snapshotsDir)) {
+      const metadataPath = path.join(snapshotsDir, entry, 'snapshot.yaml');
+      if (await fs.pathExists(metadataPath)) {
+        snapshots.push(yaml.parse(await fs.readFile(metadataPath, 'utf8')));
+      }
+    }
+
+    return snapshots.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Restore the installation to the state recorded in a snapshot. Runs as a
+   * transaction, and records the state it replaces as a new snapshot so the
+   * restore itself can be undone.
+   * @param {string} projectDir - Project root directory
+   * @param {string} [id] - Snapshot to restore (default: the newest)
+   * @returns {Promise<Object>} The restored snapshot's metadata
+   */
+  async restore(projectDir, id) {
+    const snapshots = await this.list(path.join(projectDir, BMAD_FOLDER_NAME));
+    if (snapshots.length === 0) {
+      throw new Error('No snapshots found');
+    }
+
+    const index = id ? snapshots.findIndex((s) => s.id === id) : 0;
+    if (index === -1) {
+      throw new Error(`Snapshot '${id}' not found. Available: ${snapshots.map((s) => s.id).join(', ')}`);
+    }
+
+    const transaction = new InstallTransaction(projectDir);
+    const stagingDir = await transaction.begin();
+    const undone = [];
+    try {
+      const snapshotsDir = this.getSnapshotsDir(path.join(stagingDir, BMAD_FOLDER_NAME));
+      for (const snapshot of snapshots.slice(0, index + 1)) {
+        await this.apply(path.join(snapshotsDir, snapshot.id), stagingDir);
+        undone.push(...(await this.undoDirectories(projectDir, snapshot.directories || [])));
+      }
+      await this.capture(projectDir, stagingDir, 'rollback', undone);
+    } catch (error) {
+      await this.undoDirectories(projectDir, undone);
+      await transaction.abort();
+      throw error;
+    }
+
+    await transaction.commit();
+    return snapshots[index];
+  }
+
+  /**
+   * Undo the install a snapshot was taken before
+   * @param {string} snapshotDir - Snapshot directory
+   * @param {string} projectDir - Project root to apply it to
+   */
+  async apply(snapshotDir, projectDir) {
+    const snapshot = yaml.parse(await fs.readFile(path.join(snapshotDir, 'snapshot.yaml'), 'utf8'));
+    const bmadDir = path.join(projectDir, BMAD_FOLDER_NAME);
+
+    for (const file of snapshot.files || []) {
+      const targetPath = path.join(projectDir, file.path);
+      await fs.copy(path.join(snapshotDir, 'files', file.path), targetPath, { overwrite: true });
+
+      if (file.hash && (await this.manifest.calculateFileHash(targetPath)) !== file.hash) {
+        throw new Error(`Snapshot ${snapshot.id} is damaged: ${file.path} does not match its recorded hash`);
+      }
+    }
+
+    for (const relativePath of snapshot.created || []) {
+      const createdPath = path.join(projectDir, relativePath);
+      await fs.remove(createdPath);
+
+      // Drop directories the install created only to hold this file
+      let dir = path.dirname(createdPath);
+      while (dir !== projectDir && (await fs.pathExists(dir)) && (await fs.readdir(dir)).length === 0) {
+        await fs.remove(dir);
+        dir = path.dirname(dir);
+      }
+    }
+
+    const manifestPath = path.join(snapshotDir, 'manifest.yaml');
+    if (await fs.pathExists(manifestPath)) {
+      await this.manifest._writeRaw(bmadDir, yaml.parse(await fs.readFile(manifestPath, 'utf8')));
+    }
+
+    const filesManifestPath = path.join(snapshotDir, 'files-manifest.csv');
+    if (await fs.pathExists(filesManifestPath)) {
+      await fs.copy(filesManifestPath, path.join(bmadDir, '_config', 'files-manifest.csv'), { overwrite: true });
+    }
+
+    const configsDir = path.join(snapshotDir, 'configs');
+    if (await fs.pathExists(configsDir)) {
+      for (const moduleName of await fs.readdir(configsDir)) {
+        await fs.copy(path.join(configsDir, moduleName, 'config.yaml'), path.join(bmadDir, moduleName, 'config.yaml'), {
+          overwrite: true,
+        });
+      }
+    }
+  }
+
+  /**
+   * Reverse folder changes made in a project, newest first. Folders that were
+   * moved are moved back; created folders are removed only while still empty,
+   * so nothing the user has put in them is lost.
+   * @param {string} projectDir - Project root directory
+   * @param {Array<Object>} directories - Changes, as recorded by capture()
+   * @returns {Promise<Array<Object>>} The changes that reversing made, in the same form
+   */
+  async undoDirectories(projectDir, directories) {
+    const done = [];
+    const removeIfEmpty = async (relativePath) => {
+      let dir = path.join(projectDir, relativePath);
+      while (dir !== projectDir && (await fs.pathExists(dir)) && (await fs.readdir(dir)).length === 0) {
+        await fs.remove(dir);
+        dir = path.dirname(dir);
+      }
+    };
+
+    for (const change of directories.toReversed()) {
+      if (change.action === 'move') {
+        const from = path.join(projectDir, change.from);
+        const to = path.join(projectDir, change.to);
+        if ((await fs.pathExists(to)) && !(await fs.pathExists(from))) {
+          await fs.move(to, from);
+          await removeIfEmpty(path.dirname(change.to));
+          done.push({ action: 'move', from: change.to, to: change.from });
+        }
+      } else {
+        await removeIfEmpty(change.path);
+      }
+    }
+    return done;
+  }
+
+  /**
+   * Remove the oldest snapshots beyond MAX_SNAPSHOTS
+   * @param {string} snapshotsDir - Snapshots directory
+   */
+  async prune(snapshotsDir) {
+    const ids = (await fs.readdir(snapshotsDir)).sort().toReversed();
+    for (const id of ids.slice(MAX_SNAPSHOTS)) {
+      await fs.remove(path.join(snapshotsDir, id));
+    }
+  }
+
+  /**
+   * Create a sortable snapshot id from the current time (e.g. 20260219-143005)
+   * @param {string} snapshotsDir - Snapshots directory, to avoid collisions
+   * @returns {Promise<string>}
+   */
+  async createId(snapshotsDir) {
+    const base = new Date().toISOString().replaceAll(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+    let id = base;
+    for (let n = 2; await fs.pathExists(path.join(snapshotsDir, id)); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * Whether a project-relative path is inside a snapshots directory
+   * @param {string} relativePath - Path relative to the project root
+   * @returns {boolean}
+   */
+  isSnapshotPath(relativePath) {
+    return relativePath.startsWith(`${BMAD_FOLDER_NAME}/_config/snapshots/`);
+  }
+}
+
+module.exports = { SnapshotManager, MAX_SNAPSHOTS };
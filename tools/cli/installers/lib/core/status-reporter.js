@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const path = require('node:path');
+const { Installer } = require('./installer');
+const { Manifest } = require('./manifest');
+const { IdeConfigManager } = require('./ide-config-manager');
+const { InstallationAuditor } = require('./installation-auditor');
+
+/**
+ * Status Reporter - everything about an installation a dashboard or script
+ * needs, as printed by `bmad status --json` and returned by the Node API
+ */
+class StatusReporter {
+  constructor() {
+    this.installer = new Installer();
+    this.manifest = new Manifest();
+    this.ideConfigManager = new IdeConfigManager();
+    this.auditor = new InstallationAuditor();
+  }
+
+  /**
+   * Report on the installation in a project
+   * @param {string} projectDir - Project root directory
+   * @returns {Promise<Object>} Status data; {installed: false, projectDir, bmadDir} when there is no installation
+   */
+  async report(projectDir) {
+    const resolvedDir = path.resolve(projectDir);
+    const { bmadDir } = await this.installer.findBmadDir(resolvedDir);
+    const manifestData = (await fs.pathExists(bmadDir)) ? await this.manifest._readRaw(bmadDir) : null;
+    if (!manifestData) {
+      return { installed: false, projectDir: resolvedDir, bmadDir };
+    }
+
+    const availableUpdates = await this.manifest.checkForUpdates(bmadDir);
+    return this.build(resolvedDir, bmadDir, manifestData, availableUpdates);
+  }
+
+  /**
+   * Collect the status of an installation whose manifest is already read
+   * @param {string} projectDir - Project root directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} manifestData - Raw manifest.yaml contents
+   * @param {Array} availableUpdates - Updates from Manifest.checkForUpdates()
+   * @returns {Promise<Object>} Status data
+   */
+  async build(projectDir, bmadDir, manifestData, availableUpdates) {
+    const installation = manifestData.installation || {};
+    const ideConfigs = await this.ideConfigManager.loadAllIdeConfigs(bmadDir);
+
+    let drift = null;
+    const manifestFiles = await this.installer.readFilesManifest(bmadDir);
+    if (manifestFiles.length > 0) {
+      const report = await this.auditor.audit(projectDir, bmadDir, manifestFiles);
+      drift = { ...report.summary, healthy: report.healthy };
+    }
+
+    return {
+      installed: true,
+      projectDir,
+      bmadDir,
+      version: installation.version || null,
+      installDate: installation.installDate || null,
+      lastUpdated: installation.lastUpdated || null,
+      modules: (manifestData.modules || []).map((m) => ({
+        name: m.name,
+        version: m.version || null,
+        source: m.source || null,
+        installDate: m.installDate || null,
+        lastUpdated: m.lastUpdated || null,
+        npmPackage: m.npmPackage || null,
+        repoUrl: m.repoUrl || null,
+      })),
+      ides: Object.entries(ideConfigs).map(([name, configuration]) => ({ name, configuration })),
+      availableUpdates,
+      drift,
+    };
+  }
+}
+
+module.exports = { StatusReporter };
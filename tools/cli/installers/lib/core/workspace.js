@@ -0,0 +1,249 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+
+/**
+ * Workspace manifest, at the root of a monorepo
+ */
+const WORKSPACE_FILE = 'bmad-workspace.yaml';
+
+/**
+ * Where the merged config of each package is written, relative to the bmad directory
+ */
+const PACKAGES_DIR = path.join('_config', 'workspace');
+
+/**
+ * How IDE commands pick a package: one set of commands that asks, or one set per package
+ */
+const COMMAND_MODES = ['ask', 'namespaced'];
+
+/**
+ * Workspace - one BMAD install shared by the packages of a monorepo
+ *
+ * bmad-workspace.yaml at the project root lists the member packages, each with
+ * config overlays keyed by module:
+ *
+ *   commands: ask            # or namespaced
+ *   packages:
+ *     - path: apps/web
+ *       name: web            # defaults to the folder name
+ *       config:
+ *         bmm:
+ *           project_name: Web
+ *           planning_artifacts: "{package-root}/_bmad-output/planning-artifacts"
+ *
+ * Core, modules and IDE commands are installed once at the root. Each package
+ * gets its own copy of every module config, with its overlay applied, in
+ * _config/workspace/<package>/<module>/config.yaml; core overlay values reach
+ * every module, as core values do in a normal install. IDE commands point
+ * agents and workflows at those copies instead of the root config.
+ */
+class Workspace {
+  /**
+   * Get the directory holding a package's module configs
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {string} name - Package name
+   * @returns {string}
+   */
+  getPackageConfigDir(bmadDir, name) {
+    return path.join(bmadDir, PACKAGES_DIR, name);
+  }
+
+  /**
+   * Parse and check a workspace manifest
+   * @param {string} content - Contents of bmad-workspace.yaml
+   * @param {string} rootDir - Directory holding it
+   * @returns {Object} {rootDir, commands, packages: [{name, path, root, config}]}
+   */
+  parse(content, rootDir) {
+    const fail = (message) => {
+      throw new Error(`Invalid ${WORKSPACE_FILE}: ${message}`);
+    };
+
+    let data;
+    try {
+      data = yaml.parse(content);
+    } catch (error) {
+      fail(error.message);
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.packages) || data.packages.length === 0) {
+      fail('it must list at least one package under "packages"');
+    }
+
+    const commands = data.commands || 'ask';
+    if (!COMMAND_MODES.includes(commands)) {
+      fail(`commands must be ${COMMAND_MODES.join(' or ')}, not '${commands}'`);
+    }
+
+    const packages = [];
+    for (const entry of data.packages) {
+      const relativePath = typeof entry === 'string' ? entry : entry?.path;
+      if (typeof relativePath !== 'string' || !relativePath.trim()) {
+        fail('every package needs a path');
+      }
+
+      const root = path.resolve(rootDir, relativePath);
+      const posixPath = path.relative(rootDir, root).split(path.sep).join('/');
+      if (!posixPath || posixPath.startsWith('..') || path.isAbsolute(posixPath)) {
+        fail(`package path '${relativePath}' must be a folder inside the workspace`);
+      }
+
+      const name =
+        entry.name ||
+        path
+          .basename(root)
+          .toLowerCase()
+          .replaceAll(/[^a-z0-9]+/g, '-')
+          .replaceAll(/^-|-$/g, '');
+      if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+        fail(`package name '${name}' must be lowercase letters, digits and dashes`);
+      }
+      if (packages.some((p) => p.name === name)) {
+        fail(`two packages are named '${name}' - give one of them a name`);
+      }
+
+      const config = entry.config || {};
+      const badModule = Object.keys(config).find((m) => !config[m] || typeof config[m] !== 'object' || Array.isArray(config[m]));
+      if (badModule) {
+        fail(`config.${badModule} of package '${name}' must be a map of settings`);
+      }
+
+      packages.push({ name, path: posixPath, root, config });
+    }
+
+    return { rootDir, commands, packages };
+  }
+
+  /**
+   * Read the workspace manifest of a project
+   * @param {string} projectDir - Project (workspace root) directory
+   * @returns {Promise<Object|null>} Workspace from parse(), or null when the project is not a workspace
+   */
+  async read(projectDir) {
+    const manifestPath = path.join(projectDir, WORKSPACE_FILE);
+    if (!(await fs.pathExists(manifestPath))) return null;
+
+    const workspace = this.parse(await fs.readFile(manifestPath, 'utf8'), projectDir);
+    for (const pkg of workspace.packages) {
+      if (!(await fs.pathExists(pkg.root))) {
+        throw new Error(`Workspace package '${pkg.name}' not found: ${pkg.root}`);
+      }
+    }
+    return workspace;
+  }
+
+  /**
+   * Find the workspace a directory belongs to as a member package. Synchronous,
+   * like the agent installer's config lookup that uses it.
+   * @param {string} dir - Directory inside a package
+   * @returns {Object|null} {workspace, package}, or null when no workspace lists it
+   */
+  findRoot(dir) {
+    const target = path.resolve(dir);
+    for (let current = path.dirname(target); current !== path.dirname(current); current = path.dirname(current)) {
+      const manifestPath = path.join(current, WORKSPACE_FILE);
+      if (fs.pathExistsSync(manifestPath)) {
+        const workspace = this.parse(fs.readFileSync(manifestPath, 'utf8'), current);
+        const pkg = this.findPackage(workspace, target);
+        return pkg ? { workspace, package: pkg } : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the package holding a directory
+   * @param {Object} workspace - Workspace from parse()
+   * @param {string} dir - Directory
+   * @returns {Object|null} Package, or null when the directory is in none
+   */
+  findPackage(workspace, dir) {
+    const target = path.resolve(dir);
+    return workspace.packages.find((p) => target === p.root || target.startsWith(p.root + path.sep)) || null;
+  }
+
+  /**
+   * Apply a package's overlay to one module config. Core values reach every module;
+   * {package-root} in a value becomes the package folder.
+   * @param {Object} pkg - Package
+   * @param {string} moduleName - Module the config belongs to
+   * @param {Object} moduleConfig - The module's installed config values
+   * @returns {Object} Config for the package
+   */
+  overlayConfig(pkg, moduleName, moduleConfig) {
+    const packageRoot = `{project-root}/${pkg.path}`;
+    const expand = (value) => (typeof value === 'string' ? value.replaceAll('{package-root}', packageRoot) : value);
+    const overlay = { ...pkg.config.core, ...(moduleName === 'core' ? {} : pkg.config[moduleName]) };
+
+    return {
+      ...moduleConfig,
+      ...Object.fromEntries(Object.entries(overlay).map(([key, value]) => [key, expand(value)])),
+      package_name: pkg.name,
+      package_root: packageRoot,
+    };
+  }
+
+  /**
+   * Write every package's copy of the installed module configs, replacing earlier ones
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} workspace - Workspace from parse()
+   * @returns {Promise<Object>} {written: config files, ignored: ['<package>.<module>'] overlays of modules not installed}
+   */
+  async writePackageConfigs(bmadDir, workspace) {
+    const modules = [];
+    for (const entry of await fs.readdir(bmadDir, { withFileTypes: true })) {
+      if (entry.isDirectory() && !entry.name.startsWith('_') && (await fs.pathExists(path.join(bmadDir, entry.name, 'config.yaml')))) {
+        modules.push(entry.name);
+      }
+    }
+
+    // Reported rather than refused: a typo, or a module removed since the overlay was written
+    const ignored = workspace.packages.flatMap((pkg) =>
+      Object.keys(pkg.config)
+        .filter((m) => !modules.includes(m))
+        .map((m) => `${pkg.name}.${m}`),
+    );
+
+    await fs.remove(path.join(bmadDir, PACKAGES_DIR));
+    const written = [];
+    for (const pkg of workspace.packages) {
+      for (const moduleName of modules) {
+        const installed = yaml.parse(await fs.readFile(path.join(bmadDir, moduleName, 'config.yaml'), 'utf8')) || {};
+        const config = this.overlayConfig(pkg, moduleName, installed);
+
+        const configPath = path.join(this.getPackageConfigDir(bmadDir, pkg.name), moduleName, 'config.yaml');
+        const header = `# ${moduleName.toUpperCase()} Module Configuration for package ${pkg.name} (${pkg.path})
+# Generated by BMAD installer from ${moduleName}/config.yaml and ${WORKSPACE_FILE}
+
+`;
+        await fs.ensureDir(path.dirname(configPath));
+        await fs.writeFile(configPath, header + yaml.stringify(config, { indent: 2, lineWidth: 0, minContentWidth: 0 }), 'utf8');
+        written.push(configPath);
+      }
+    }
+    return { written, ignored };
+  }
+
+  /**
+   * Instructions added to IDE commands so agents and workflows load a package's config
+   * @param {Object} workspace - Workspace from parse()
+   * @param {Object} [pkg] - Package the command is for; without one the command asks
+   * @returns {string}
+   */
+  getCommandNote(workspace, pkg = null) {
+    const packageConfig = (name) => `{project-root}/_bmad/${PACKAGES_DIR.split(path.sep).join('/')}/${name}/<module>/config.yaml`;
+    const redirect = 'wherever these instructions, or files they have you load, say to load {project-root}/_bmad/<module>/config.yaml';
+
+    if (pkg) {
+      return `WORKSPACE PACKAGE: ${pkg.name} (${pkg.path})
+Work on this package only: ${redirect}, load ${packageConfig(pkg.name)} instead.`;
+    }
+
+    const list = workspace.packages.map((p) => `- ${p.name} (${p.path})`).join('\n');
+    return `WORKSPACE: this project has several packages, each with its own configuration:
+${list}
+Before anything else, ask the user which package to work on, unless they already said. Then ${redirect}, load ${packageConfig('<package>')} instead.`;
+  }
+}
+
+module.exports = { Workspace, WORKSPACE_FILE };
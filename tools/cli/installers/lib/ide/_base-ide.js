@@ -80,6 +80,34 @@ class BaseIdeSetup {
     return null;
   }
 
+  /**
+   * Bring the IDE files of some modules in line with the installation after
+   * those modules were added or removed - subclasses that can write one
+   * module's files override
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} options - Setup options; options.modules lists the added or removed modules
+   * @returns {Promise<Object>} Setup result
+   */
+  async setupModules(projectDir, bmadDir, options = {}) {
+    // Default: regenerate everything for the modules still installed
+    return this.setup(projectDir, bmadDir, options);
+  }
+
+  /**
+   * Rewrite the files that have config values written into them, after
+   * those values were changed - subclasses that embed config values override
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<string>} changedKeys - Config keys whose values changed
+   * @param {Object} options - Setup options
+   * @returns {Promise<Array<string>>} Rewritten files, relative to the project directory
+   */
+  async refreshConfigArtifacts(projectDir, bmadDir, changedKeys, options = {}) {
+    // Default: generated files load config.yaml at runtime, so nothing to rewrite
+    return [];
+  }
+
   /**
    * Detect whether this IDE already has configuration in the project
    * Subclasses can override for custom logic
@@ -535,6 +563,16 @@ class BaseIdeSetup {
    * @param {string} content - File content
    */
   async writeFile(filePath, content) {
+    await this.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, this.resolveBmadFolder(content), 'utf8');
+  }
+
+  /**
+   * Replace the _bmad placeholder in generated content with the installation's folder name
+   * @param {string} content - File content
+   * @returns {string} Content as it is written to disk
+   */
+  resolveBmadFolder(content) {
     // Replace _bmad placeholder if present
     if (typeof content === 'string' && content.includes('_bmad')) {
       content = content.replaceAll('_bmad', this.bmadFolderName);
@@ -544,8 +582,7 @@ class BaseIdeSetup {
     if (typeof content === 'string' && content.includes('_bmad')) {
       content = content.replaceAll('_bmad', '_bmad');
     }
-    await this.ensureDir(path.dirname(filePath));
-    await fs.writeFile(filePath, content, 'utf8');
+    return content;
   }
 
   /**
@@ -5,6 +5,7 @@ const prompts = require('../../../lib/prompts');
 const { AgentCommandGenerator } = require('./shared/agent-command-generator');
 const { WorkflowCommandGenerator } = require('./shared/workflow-command-generator');
 const { TaskToolCommandGenerator } = require('./shared/task-tool-command-generator');
+const { Workspace } = require('../core/workspace');
 
 /**
  * Config-driven IDE setup handler
@@ -18,12 +19,20 @@ const { TaskToolCommandGenerator } = require('./shared/task-tool-command-generat
  * - Template-based content generation
  * - Multi-target installation support (e.g., GitHub Copilot)
  * - Artifact type filtering (agents, workflows, tasks, tools)
+ * - Incremental updates: setup() renders every file first and then writes or
+ *   deletes only the bmad* files whose content differs from what is on disk
+ * - Workspaces: with options.workspace every command either asks which package
+ *   to work on or is written once per package, as bmad-<package>-*
  */
 class ConfigDrivenIdeSetup extends BaseIdeSetup {
   constructor(platformCode, platformConfig) {
     super(platformCode, platformConfig.name, platformConfig.preferred);
     this.platformConfig = platformConfig;
     this.installerConfig = platformConfig.installer || null;
+    // Files rendered during setup(), by absolute path, before they are compared with the disk
+    this.pendingFiles = null;
+    // Workspace the commands being written are for (options.workspace), or null
+    this.workspace = null;
   }
 
   /**
@@ -36,24 +45,206 @@ class ConfigDrivenIdeSetup extends BaseIdeSetup {
   async setup(projectDir, bmadDir, options = {}) {
     if (!options.silent) await prompts.log.info(`Setting up ${this.name}...`);
 
-    // Clean up any old BMAD installation first
-    await this.cleanup(projectDir, options);
+    if (!this.installerConfig) {
+      return { success: false, reason: 'no-config' };
+    }
+
+    const targets = this.installerConfig.targets || (this.installerConfig.target_dir ? [this.installerConfig] : null);
+    if (!targets) {
+      return { success: false, reason: 'invalid-config' };
+    }
+
+    // Render into memory, then bring each target directory in line with it
+    this.pendingFiles = new Map();
+    this.workspace = options.workspace || null;
+    let result;
+    let rendered;
+    try {
+      // Handle multi-target installations (e.g., GitHub Copilot)
+      result = this.installerConfig.targets
+        ? await this.installToMultipleTargets(projectDir, bmadDir, targets, options)
+        : await this.installToTarget(projectDir, bmadDir, this.installerConfig, options);
+    } finally {
+      rendered = this.pendingFiles;
+      this.pendingFiles = null;
+      this.workspace = null;
+    }
+
+    const changes = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    for (const target of targets) {
+      const targetChanges = await this.syncTarget(projectDir, target.target_dir, rendered);
+      for (const key of Object.keys(changes)) {
+        changes[key] += targetChanges[key];
+      }
+    }
+
+    return { ...result, changes };
+  }
+
+  /**
+   * Make the bmad* files of a target directory match the rendered files: write
+   * new and changed files, delete files no longer generated, leave the rest untouched
+   * @param {string} projectDir - Project directory
+   * @param {string} targetDir - Target directory (relative)
+   * @param {Map<string, string>} rendered - Rendered content by absolute file path
+   * @returns {Promise<Object>} {added, updated, removed, unchanged}
+   */
+  async syncTarget(projectDir, targetDir, rendered) {
+    const targetPath = path.join(projectDir, targetDir);
+    const changes = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+    const existing = (await fs.pathExists(targetPath)) ? await fs.readdir(targetPath) : [];
+    for (const entry of existing) {
+      const entryPath = path.join(targetPath, entry);
+      if (entry.startsWith('bmad') && !rendered.has(entryPath)) {
+        await fs.remove(entryPath);
+        changes.removed++;
+      }
+    }
+
+    for (const [filePath, content] of rendered) {
+      if (path.dirname(filePath) !== targetPath) continue;
+
+      const exists = await fs.pathExists(filePath);
+      if (exists && (await fs.readFile(filePath, 'utf8')) === this.resolveBmadFolder(content)) {
+        changes.unchanged++;
+        continue;
+      }
+      await super.writeFile(filePath, content);
+      changes[exists ? 'updated' : 'added']++;
+    }
+
+    // Remove the directory if nothing is generated into it any more
+    if (changes.removed > 0 && (await fs.readdir(targetPath)).length === 0) {
+      await fs.remove(targetPath);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Write a generated file, or during setup() hold it to be compared with the disk.
+   * In a workspace, a command is written as its package variants.
+   * @param {string} filePath - File path
+   * @param {string} content - File content
+   */
+  async writeFile(filePath, content) {
+    for (const [variantPath, variant] of this.getWorkspaceVariants(filePath, content)) {
+      if (this.pendingFiles) {
+        this.pendingFiles.set(variantPath, variant);
+      } else {
+        await super.writeFile(variantPath, variant);
+      }
+    }
+  }
+
+  /**
+   * Get the files a command is written as: itself, or in a workspace the command
+   * asking for the package, or (commands: namespaced) the root command plus one
+   * per package, named bmad-<package>-*
+   * @param {string} filePath - Command file path
+   * @param {string} content - Rendered command
+   * @returns {Array<Array<string>>} [filePath, content] pairs
+   */
+  getWorkspaceVariants(filePath, content) {
+    const fileName = path.basename(filePath);
+    if (!this.workspace || !fileName.startsWith('bmad')) {
+      return [[filePath, content]];
+    }
+
+    const workspace = new Workspace();
+    if (this.workspace.commands !== 'namespaced') {
+      return [[filePath, this.addCommandNote(content, workspace.getCommandNote(this.workspace))]];
+    }
+
+    const variants = [[filePath, content]];
+    for (const pkg of this.workspace.packages) {
+      const note = workspace.getCommandNote(this.workspace, pkg);
+      // Commands listed by name must not share one with the root command
+      const renamed = content.replace(/^(---\r?\n(?:(?!---).*\r?\n)*?name:\s*['"]?)/, `$1${pkg.name}-`);
+      variants.push([
+        path.join(path.dirname(filePath), fileName.replace(/^bmad-?/, `bmad-${pkg.name}-`)),
+        this.addCommandNote(renamed, note),
+      ]);
+    }
+    return variants;
+  }
 
+  /**
+   * Add workspace instructions to a rendered command: inside the prompt of a
+   * TOML command, at the end of a markdown one
+   * @param {string} content - Rendered command
+   * @param {string} note - Instructions from Workspace.getCommandNote()
+   * @returns {string}
+   */
+  addCommandNote(content, note) {
+    const trimmed = content.trimEnd();
+    if (trimmed.endsWith('"""')) {
+      return `${trimmed.slice(0, -3).trimEnd()}\n\n${note}\n"""\n`;
+    }
+    return `${trimmed}\n\n${note}\n`;
+  }
+
+  /**
+   * Rewrite only the files of the given modules: their old files are removed
+   * and the files of those still installed are written again
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} options - Setup options (options.modules: modules to rewrite)
+   * @returns {Promise<Object>} Setup result
+   */
+  async setupModules(projectDir, bmadDir, options = {}) {
     if (!this.installerConfig) {
       return { success: false, reason: 'no-config' };
     }
 
-    // Handle multi-target installations (e.g., GitHub Copilot)
-    if (this.installerConfig.targets) {
-      return this.installToMultipleTargets(projectDir, bmadDir, this.installerConfig.targets, options);
+    const targets = this.installerConfig.targets || (this.installerConfig.target_dir ? [this.installerConfig] : []);
+    const packages = options.workspace?.commands === 'namespaced' ? options.workspace.packages.map((p) => p.name) : [];
+    for (const target of targets) {
+      await this.cleanupModuleFiles(projectDir, target.target_dir, options.modules, options.selectedModules || [], packages);
     }
 
-    // Handle single-target installations
-    if (this.installerConfig.target_dir) {
-      return this.installToTarget(projectDir, bmadDir, this.installerConfig, options);
+    const results = { agents: 0, workflows: 0, tasks: 0, tools: 0 };
+    this.workspace = options.workspace || null;
+    try {
+      for (const target of targets) {
+        const result = await this.installToTarget(projectDir, bmadDir, target, { ...options, onlyModules: options.modules });
+        for (const key of Object.keys(results)) {
+          results[key] += result.results?.[key] || 0;
+        }
+      }
+    } finally {
+      this.workspace = null;
     }
 
-    return { success: false, reason: 'invalid-config' };
+    return { success: true, results };
+  }
+
+  /**
+   * Remove the files generated for some modules from a target directory
+   * @param {string} projectDir - Project directory
+   * @param {string} targetDir - Target directory (relative)
+   * @param {Array<string>} modules - Modules whose files are removed
+   * @param {Array<string>} installedModules - All installed modules, so a longer name sharing the prefix (bmm-x for bmm) is kept
+   * @param {Array<string>} [packages] - Workspace packages with their own commands (bmad-<package>-bmm-*)
+   */
+  async cleanupModuleFiles(projectDir, targetDir, modules, installedModules, packages = []) {
+    const targetPath = path.join(projectDir, targetDir);
+    if (!(await fs.pathExists(targetPath))) return;
+
+    const prefixesFor = (moduleName) =>
+      ['bmad-', ...packages.map((p) => `bmad-${p}-`)].flatMap((prefix) => [`${prefix}${moduleName}-`, `${prefix}agent-${moduleName}-`]);
+    for (const entry of await fs.readdir(targetPath)) {
+      const owner = modules.find((m) => prefixesFor(m).some((prefix) => entry.startsWith(prefix)));
+      if (!owner) continue;
+
+      const longerOwner = installedModules.some(
+        (m) => m.startsWith(`${owner}-`) && prefixesFor(m).some((prefix) => entry.startsWith(prefix)),
+      );
+      if (!longerOwner) {
+        await fs.remove(path.join(targetPath, entry));
+      }
+    }
   }
 
   /**
@@ -78,26 +269,28 @@ class ConfigDrivenIdeSetup extends BaseIdeSetup {
 
     const selectedModules = options.selectedModules || [];
     const results = { agents: 0, workflows: 0, tasks: 0, tools: 0 };
+    // setupModules() writes the files of some modules only
+    const inScope = (artifacts) => (options.onlyModules ? artifacts.filter((a) => options.onlyModules.includes(a.module)) : artifacts);
 
     // Install agents
     if (!artifact_types || artifact_types.includes('agents')) {
       const agentGen = new AgentCommandGenerator(this.bmadFolderName);
       const { artifacts } = await agentGen.collectAgentArtifacts(bmadDir, selectedModules);
-      results.agents = await this.writeAgentArtifacts(targetPath, artifacts, template_type, config);
+      results.agents = await this.writeAgentArtifacts(targetPath, inScope(artifacts), template_type, config);
     }
 
     // Install workflows
     if (!artifact_types || artifact_types.includes('workflows')) {
       const workflowGen = new WorkflowCommandGenerator(this.bmadFolderName);
       const { artifacts } = await workflowGen.collectWorkflowArtifacts(bmadDir);
-      results.workflows = await this.writeWorkflowArtifacts(targetPath, artifacts, template_type, config);
+      results.workflows = await this.writeWorkflowArtifacts(targetPath, inScope(artifacts), template_type, config);
     }
 
     // Install tasks and tools using template system (supports TOML for Gemini, MD for others)
     if (!artifact_types || artifact_types.includes('tasks') || artifact_types.includes('tools')) {
       const taskToolGen = new TaskToolCommandGenerator(this.bmadFolderName);
       const { artifacts } = await taskToolGen.collectTaskToolArtifacts(bmadDir);
-      const taskToolResult = await this.writeTaskToolArtifacts(targetPath, artifacts, template_type, config);
+      const taskToolResult = await this.writeTaskToolArtifacts(targetPath, inScope(artifacts), template_type, config);
       results.tasks = taskToolResult.tasks || 0;
       results.tools = taskToolResult.tools || 0;
     }
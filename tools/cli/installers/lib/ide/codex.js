@@ -33,8 +33,11 @@ class CodexSetup extends BaseIdeSetup {
     const { artifacts, counts } = await this.collectClaudeArtifacts(projectDir, bmadDir, options);
 
     // Clean up old .codex/prompts locations (both global and project)
-    const oldGlobalDir = this.getOldCodexPromptDir(null, 'global');
-    await this.clearOldBmadFiles(oldGlobalDir, options);
+    // The global one lives outside the project, so a dry run must leave it alone
+    if (!options.dryRun) {
+      const oldGlobalDir = this.getOldCodexPromptDir(null, 'global');
+      await this.clearOldBmadFiles(oldGlobalDir, options);
+    }
     const oldProjectDir = this.getOldCodexPromptDir(projectDir, 'project');
     await this.clearOldBmadFiles(oldProjectDir, options);
 
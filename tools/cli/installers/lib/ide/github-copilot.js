@@ -7,6 +7,21 @@ const fs = require('fs-extra');
 const csv = require('csv-parse/sync');
 const yaml = require('yaml');
 
+/**
+ * Config keys whose values are written into copilot-instructions.md
+ */
+const INSTRUCTION_CONFIG_KEYS = new Set([
+  'project_name',
+  'user_name',
+  'communication_language',
+  'document_output_language',
+  'user_skill_level',
+  'output_folder',
+  'planning_artifacts',
+  'implementation_artifacts',
+  'project_knowledge',
+]);
+
 /**
  * GitHub Copilot setup handler
  * Creates agents in .github/agents/, prompts in .github/prompts/,
@@ -501,6 +516,24 @@ Type \`/bmad-\` in Copilot Chat to see all available BMAD workflows and agent ac
     }
   }
 
+  /**
+   * Regenerate copilot-instructions.md when a value it shows has changed
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<string>} changedKeys - Config keys whose values changed
+   * @param {Object} options - Setup options
+   * @returns {Promise<Array<string>>} Rewritten files, relative to the project directory
+   */
+  async refreshConfigArtifacts(projectDir, bmadDir, changedKeys, options = {}) {
+    if (!changedKeys.some((key) => INSTRUCTION_CONFIG_KEYS.has(key))) {
+      return [];
+    }
+
+    const agentManifest = await this.loadAgentManifest(bmadDir);
+    await this.generateCopilotInstructions(projectDir, bmadDir, agentManifest, { ...options, silent: true });
+    return [`${this.githubDir}/copilot-instructions.md`];
+  }
+
   /**
    * Load module config.yaml for template variables
    * @param {string} bmadDir - BMAD installation directory
@@ -2,6 +2,7 @@ const fs = require('fs-extra');
 const path = require('node:path');
 const { BMAD_FOLDER_NAME } = require('./shared/path-utils');
 const prompts = require('../../../lib/prompts');
+const { InstallLog } = require('../core/install-log');
 
 /**
  * IDE Manager - handles IDE-specific setup
@@ -16,6 +17,7 @@ class IdeManager {
     this.handlers = new Map();
     this._initialized = false;
     this.bmadFolderName = BMAD_FOLDER_NAME; // Default, can be overridden
+    this.installLog = new InstallLog();
   }
 
   /**
@@ -176,6 +178,7 @@ class IdeManager {
       return { success: false, ide: ideName, error: 'unsupported IDE' };
     }
 
+    const startedAt = Date.now();
     try {
       const handlerResult = await handler.setup(projectDir, bmadDir, options);
       // Build detail string from handler-returned data
@@ -189,6 +192,12 @@ class IdeManager {
         if (r.tasks > 0) parts.push(`${r.tasks} tasks`);
         if (r.tools > 0) parts.push(`${r.tools} tools`);
         detail = parts.join(', ');
+        // Config-driven handlers only touch files whose content changed
+        if (handlerResult.changes) {
+          const c = handlerResult.changes;
+          const changed = ['added', 'updated', 'removed'].filter((key) => c[key] > 0).map((key) => `${c[key]} ${key}`);
+          detail += `; ${[...changed, `${c.unchanged} unchanged`].join(', ')}`;
+        }
       } else if (handlerResult && handlerResult.counts) {
         // Codex handler returns { success, counts: { agents, workflows, tasks }, written }
         const c = handlerResult.counts;
@@ -206,8 +215,16 @@ class IdeManager {
         if (handlerResult.tools > 0) parts.push(`${handlerResult.tools} tools`);
         detail = parts.join(', ');
       }
+      this.installLog.record('IdeManager', 'ide.setup', {
+        ide: ideName,
+        projectDir,
+        detail,
+        ...(handlerResult?.changes && { changes: handlerResult.changes }),
+        durationMs: Date.now() - startedAt,
+      });
       return { success: true, ide: ideName, detail, handlerResult };
     } catch (error) {
+      this.installLog.recordError('IdeManager', 'ide.setup', error, { ide: ideName, projectDir, durationMs: Date.now() - startedAt });
       await prompts.log.error(`Failed to setup ${ideName}: ${error.message}`);
       return { success: false, ide: ideName, error: error.message };
     }
@@ -267,6 +284,58 @@ class IdeManager {
     return results;
   }
 
+  /**
+   * Update the IDE files of modules that were just added or removed, for the
+   * IDEs in the list
+   * @param {Array<string>} ideList - Configured IDEs
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Object} options - Setup options; options.modules lists the changed modules,
+   *   options.selectedModules every installed module
+   * @returns {Promise<Array<Object>>} Result per IDE
+   */
+  async setupModules(ideList, projectDir, bmadDir, options = {}) {
+    await this.ensureInitialized();
+    const results = [];
+
+    for (const ideName of ideList) {
+      const handler = this.handlers.get(ideName.toLowerCase());
+      if (!handler) continue;
+
+      try {
+        await handler.setupModules(projectDir, bmadDir, options);
+        results.push({ ide: ideName, success: true });
+      } catch (error) {
+        results.push({ ide: ideName, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Rewrite the IDE files that embed config values, for the IDEs in the list
+   * @param {Array<string>} ideList - Configured IDEs
+   * @param {string} projectDir - Project directory
+   * @param {string} bmadDir - BMAD installation directory
+   * @param {Array<string>} changedKeys - Config keys whose values changed
+   * @param {Object} [options] - Options passed through to handlers
+   * @returns {Promise<Array<string>>} Rewritten files, relative to the project directory
+   */
+  async refreshConfigArtifacts(ideList, projectDir, bmadDir, changedKeys, options = {}) {
+    await this.ensureInitialized();
+    const rewritten = [];
+
+    for (const ideName of ideList) {
+      const handler = this.handlers.get(ideName.toLowerCase());
+      if (handler && typeof handler.refreshConfigArtifacts === 'function') {
+        rewritten.push(...(await handler.refreshConfigArtifacts(projectDir, bmadDir, changedKeys, options)));
+      }
+    }
+
+    return rewritten;
+  }
+
   /**
    * Get list of supported IDEs
    * @returns {Array} List of supported IDE names
@@ -1,10 +1,56 @@
 const fs = require('fs-extra');
+const os = require('node:os');
 const path = require('node:path');
+const { fileURLToPath } = require('node:url');
 const yaml = require('yaml');
 const prompts = require('../../../lib/prompts');
 
 /**
- * Manages external official modules defined in external-official-modules.yaml
+ * Trust levels a registry can declare; every module it lists gets that type
+ */
+const TRUST_LEVELS = ['bmad-org', 'community', 'internal'];
+
+/**
+ * Project whose bmad-registries.yaml is read, in addition to the user's
+ * ~/.bmad/registries.yaml. Module level like the pins, since every
+ * ExternalModuleManager must list the same modules.
+ */
+let registryProjectDir = null;
+
+/**
+ * Registry warnings already shown, so a problem is reported once per run
+ */
+const registryWarnings = new Set();
+
+/**
+ * Per-project pins for the current install, keyed by module code. Kept at
+ * module level because every ModuleManager (config collection, install,
+ * manifest generation) must check out the same commit.
+ */
+const modulePins = new Map();
+
+/**
+ * Where external modules come from for the current run: null to fetch them
+ * from their repositories, or {mirrorDir, copied} for an offline run, with
+ * mirrorDir null to use only what is already in the cache.
+ */
+let moduleSource = null;
+
+/**
+ * What npm may run when an external module's dependencies are installed:
+ * never (no npm install), ignore-scripts, prompt or always
+ */
+const INSTALL_SCRIPT_POLICIES = ['never', 'ignore-scripts', 'prompt', 'always'];
+let installScriptsPolicy = 'ignore-scripts';
+
+/**
+ * External modules whose npm install scripts ran during this run
+ */
+const scriptRuns = new Set();
+
+/**
+ * Manages external modules defined in external-official-modules.yaml and any
+ * configured registries.
  * These are modules hosted in external repositories that can be installed
  *
  * @class ExternalModuleManager
@@ -16,23 +62,128 @@ class ExternalModuleManager {
   }
 
   /**
-   * Load and parse the external-official-modules.yaml file
+   * Load external-official-modules.yaml merged with the configured registries.
+   * Modules are deduplicated by code: official entries win, then project
+   * registries, then user registries.
    * @returns {Object} Parsed YAML content with modules object
    */
   async loadExternalModulesConfig() {
-    if (this.cachedModules) {
+    if (this.cachedModules && this.cachedProjectDir === registryProjectDir) {
       return this.cachedModules;
     }
 
+    let config;
     try {
       const content = await fs.readFile(this.externalModulesConfigPath, 'utf8');
-      const config = yaml.parse(content);
-      this.cachedModules = config;
-      return config;
+      config = yaml.parse(content);
     } catch (error) {
       await prompts.log.warn(`Failed to load external modules config: ${error.message}`);
       return { modules: {} };
     }
+
+    const modules = { ...config.modules };
+    const codes = new Map(Object.values(modules).map((m) => [m.code, 'the official module list']));
+    const { registries, integrity } = await this.loadRegistryList();
+    for (const registry of registries) {
+      let entries;
+      try {
+        entries = yaml.parse(await fs.readFile(registry.path, 'utf8'))?.modules || {};
+      } catch (error) {
+        await this.warnRegistry(`Skipping registry '${registry.name}': ${error.message}`);
+        continue;
+      }
+
+      for (const [key, entry] of Object.entries(entries)) {
+        if (!entry?.code) continue;
+        if (codes.has(entry.code)) {
+          await this.warnRegistry(
+            `Registry '${registry.name}': module '${entry.code}' is already provided by ${codes.get(entry.code)}; ignoring it`,
+          );
+          continue;
+        }
+        codes.set(entry.code, `registry '${registry.name}'`);
+        modules[key in modules ? `${registry.name}/${key}` : key] = { ...entry, type: registry.trust, registry: registry.name };
+      }
+    }
+
+    this.cachedModules = { ...config, modules, integrity };
+    this.cachedProjectDir = registryProjectDir;
+    return this.cachedModules;
+  }
+
+  /**
+   * Read module registries from the project's bmad-registries.yaml and the
+   * user's ~/.bmad/registries.yaml, project first:
+   *
+   * registries:
+   *   - name: acme
+   *     path: ./acme-modules.yaml   # or file:///srv/bmad/acme-modules.yaml
+   *     trust: internal
+   * integrity:                    # content hashes expected of custom modules
+   *   my-module: 9f86d081884c7d65...
+   *
+   * @returns {Promise<Object>} {registries: [{name, path, trust}] with absolute paths, integrity: {code: hash}}
+   */
+  async loadRegistryList() {
+    const configFiles = [
+      ...(registryProjectDir ? [path.join(registryProjectDir, 'bmad-registries.yaml')] : []),
+      path.join(os.homedir(), '.bmad', 'registries.yaml'),
+    ];
+
+    const registries = [];
+    const integrity = {};
+    for (const configFile of configFiles) {
+      if (!(await fs.pathExists(configFile))) continue;
+
+      let declared;
+      try {
+        declared = yaml.parse(await fs.readFile(configFile, 'utf8')) || {};
+      } catch (error) {
+        await this.warnRegistry(`Failed to read ${configFile}: ${error.message}`);
+        continue;
+      }
+
+      // The project's hashes take precedence over the user's
+      for (const [code, hash] of Object.entries(declared.integrity || {})) {
+        integrity[code] ??= String(hash);
+      }
+
+      for (const registry of declared.registries || []) {
+        const name = registry?.name || registry?.path;
+        if (!registry?.path) {
+          await this.warnRegistry(`${configFile}: registry '${name}' has no path`);
+          continue;
+        }
+        if (!TRUST_LEVELS.includes(registry.trust)) {
+          await this.warnRegistry(`${configFile}: registry '${name}' needs a trust level (${TRUST_LEVELS.join(', ')})`);
+          continue;
+        }
+        const registryPath = registry.path.startsWith('file://')
+          ? fileURLToPath(registry.path)
+          : path.resolve(path.dirname(configFile), registry.path);
+        registries.push({ name, path: registryPath, trust: registry.trust });
+      }
+    }
+
+    return { registries, integrity };
+  }
+
+  /**
+   * Show a registry problem once per run
+   * @param {string} message - Warning
+   */
+  async warnRegistry(message) {
+    if (registryWarnings.has(message)) return;
+    registryWarnings.add(message);
+    await prompts.log.warn(message);
+  }
+
+  /**
+   * Also read the registries declared in a project's bmad-registries.yaml
+   * @param {string|null} projectDir - Project directory
+   */
+  useProjectRegistries(projectDir) {
+    registryProjectDir = projectDir ? path.resolve(projectDir) : null;
   }
 
   /**
@@ -54,8 +205,12 @@ class ExternalModuleManager {
         subheader: moduleConfig.subheader,
         description: moduleConfig.description || '',
         defaultSelected: moduleConfig.defaultSelected === true,
-        type: moduleConfig.type || 'community', // bmad-org or community
+        type: moduleConfig.type || 'community', // bmad-org, community or internal
+        registry: moduleConfig.registry || 'official', // Registry that lists the module
+        integrity: moduleConfig.integrity || null, // Expected content hash of the module directory
+        sha: moduleConfig.sha || null, // Commit the registry's ref must resolve to
         npmPackage: moduleConfig.npmPackage || null, // Include npm package name
+        ref: moduleConfig.ref || null, // Tag, branch or commit to install (default: the repo's default branch)
         isExternal: true,
       });
     }
@@ -96,8 +251,12 @@ class ExternalModuleManager {
       subheader: moduleConfig.subheader,
       description: moduleConfig.description || '',
       defaultSelected: moduleConfig.defaultSelected === true,
-      type: moduleConfig.type || 'community', // bmad-org or community
+      type: moduleConfig.type || 'community', // bmad-org, community or internal
+      registry: moduleConfig.registry || 'official', // Registry that lists the module
+      integrity: moduleConfig.integrity || null, // Expected content hash of the module directory
+      sha: moduleConfig.sha || null, // Commit the registry's ref must resolve to
       npmPackage: moduleConfig.npmPackage || null, // Include npm package name
+      ref: moduleConfig.ref || null, // Tag, branch or commit to install (default: the repo's default branch)
       isExternal: true,
     };
   }
@@ -131,6 +290,127 @@ class ExternalModuleManager {
     const module = await this.getModuleByCode(code);
     return module ? module.moduleDefinition : null;
   }
+
+  /**
+   * Pin a module for the current install. A pinned commit wins over the
+   * ref; the ref wins over the one in external-official-modules.yaml.
+   * @param {string} code - The module code
+   * @param {Object} pin - {ref, sha}; either may be null
+   */
+  pinModule(code, pin) {
+    modulePins.set(code, { ref: pin.ref || null, sha: pin.sha || null });
+  }
+
+  /**
+   * Drop all pins set with pinModule()
+   */
+  clearPins() {
+    modulePins.clear();
+  }
+
+  /**
+   * Install external modules without network access for the rest of this run
+   * @param {string|null} mirrorDir - Module mirror with one directory per module code; null to use the cache
+   */
+  useOfflineSource(mirrorDir) {
+    moduleSource = { mirrorDir: mirrorDir || null, copied: new Set() };
+  }
+
+  /**
+   * Go back to fetching external modules from their repositories
+   */
+  clearOfflineSource() {
+    moduleSource = null;
+  }
+
+  /**
+   * @returns {Object|null} {mirrorDir, copied} set by useOfflineSource(), or null when online
+   */
+  getOfflineSource() {
+    return moduleSource;
+  }
+
+  /**
+   * @returns {boolean} True when nothing may be fetched from the network
+   */
+  isOffline() {
+    return moduleSource !== null;
+  }
+
+  /**
+   * Set what npm may run when installing external modules' dependencies
+   * @param {string} policy - never, ignore-scripts, prompt or always
+   */
+  setInstallScriptsPolicy(policy) {
+    if (!INSTALL_SCRIPT_POLICIES.includes(policy)) {
+      throw new Error(`Invalid npm scripts policy '${policy}' (expected one of: ${INSTALL_SCRIPT_POLICIES.join(', ')})`);
+    }
+    installScriptsPolicy = policy;
+  }
+
+  /**
+   * @returns {string} The npm scripts policy of this run
+   */
+  getInstallScriptsPolicy() {
+    return installScriptsPolicy;
+  }
+
+  /**
+   * Note that an external module's npm install scripts ran
+   * @param {string} code - Module code
+   */
+  recordScriptRun(code) {
+    scriptRuns.add(code);
+  }
+
+  /**
+   * @returns {Array<string>} External modules whose npm install scripts ran during this run
+   */
+  getScriptRuns() {
+    return [...scriptRuns];
+  }
+
+  /**
+   * Forget which modules' npm install scripts ran, before another run in the same process
+   */
+  clearScriptRuns() {
+    scriptRuns.clear();
+  }
+
+  /**
+   * Resolve what to check out for a module
+   * @param {string} code - The module code
+   * @returns {Promise<{ref: string|null, sha: string|null}>} Requested ref and locked commit (null = latest)
+   */
+  async getModuleRef(code) {
+    const pin = modulePins.get(code);
+    if (pin?.ref) return pin;
+
+    const module = await this.getModuleByCode(code);
+    return { ref: module?.ref || null, sha: pin?.sha || null };
+  }
+
+  /**
+   * Get what a module's source is expected to match. An external module's
+   * registry commit applies only while the module is installed at the
+   * registry's ref; a custom module can only be given a content hash.
+   * @param {string} code - Module code
+   * @returns {Promise<Object>} {hash, commit}, each null when nothing is expected
+   */
+  async getExpectedIntegrity(code) {
+    const module = await this.getModuleByCode(code);
+    if (!module) {
+      const config = await this.loadExternalModulesConfig();
+      return { hash: config.integrity?.[code] || null, commit: null };
+    }
+
+    const { ref } = await this.getModuleRef(code);
+    const atRegistryRef = (ref || null) === (module.ref || null);
+    return {
+      hash: atRegistryRef ? module.integrity : null,
+      commit: atRegistryRef ? module.sha : null,
+    };
+  }
 }
 
-module.exports = { ExternalModuleManager };
+module.exports = { ExternalModuleManager, TRUST_LEVELS, INSTALL_SCRIPT_POLICIES };
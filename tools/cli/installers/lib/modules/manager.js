@@ -6,6 +6,9 @@ const { XmlHandler } = require('../../../lib/xml-handler');
 const { getProjectRoot, getSourcePath, getModulePath } = require('../../../lib/project-root');
 const { filterCustomizationData } = require('../../../lib/agent/compiler');
 const { ExternalModuleManager } = require('./external-manager');
+const { ModuleVerifier } = require('./module-verifier');
+const { InstallProfiler } = require('../core/install-profiler');
+const { InstallLog } = require('../core/install-log');
 const { BMAD_FOLDER_NAME } = require('../ide/shared/path-utils');
 
 /**
@@ -30,6 +33,9 @@ class ModuleManager {
     this.bmadFolderName = BMAD_FOLDER_NAME; // Default, can be overridden
     this.customModulePaths = new Map(); // Initialize custom module paths
     this.externalModuleManager = new ExternalModuleManager(); // For external official modules
+    this.moduleVerifier = new ModuleVerifier();
+    this.profiler = new InstallProfiler();
+    this.installLog = new InstallLog();
   }
 
   /**
@@ -349,6 +355,10 @@ class ModuleManager {
       throw new Error(`External module '${moduleCode}' not found in external-official-modules.yaml`);
     }
 
+    if (this.externalModuleManager.isOffline()) {
+      return this.useOfflineModule(moduleCode);
+    }
+
     const cacheDir = this.getExternalCacheDir();
     const moduleCacheDir = path.join(cacheDir, moduleCode);
     const silent = options.silent || false;
@@ -381,6 +391,10 @@ class ModuleManager {
     let needsDependencyInstall = false;
     let wasNewClone = false;
 
+    // A locked commit is checked out as-is; otherwise the ref (or default branch) is fetched
+    const { ref, sha } = await this.externalModuleManager.getModuleRef(moduleCode);
+    const target = sha || ref;
+
     // Check if already cloned
     if (await fs.pathExists(moduleCacheDir)) {
       // Try to update if it's a git repo
@@ -388,20 +402,12 @@ class ModuleManager {
       fetchSpinner.start(`Fetching ${moduleInfo.name}...`);
       try {
         const currentRef = execSync('git rev-parse HEAD', { cwd: moduleCacheDir, stdio: 'pipe' }).toString().trim();
-        // Fetch and reset to remote - works better with shallow clones than pull
-        execSync('git fetch origin --depth 1', {
-          cwd: moduleCacheDir,
-          stdio: ['ignore', 'pipe', 'pipe'],
-          env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
-        });
-        execSync('git reset --hard origin/HEAD', {
-          cwd: moduleCacheDir,
-          stdio: ['ignore', 'pipe', 'pipe'],
-          env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
-        });
+        if (!sha || currentRef !== sha) {
+          this.checkoutExternalRef(moduleCacheDir, target);
+        }
         const newRef = execSync('git rev-parse HEAD', { cwd: moduleCacheDir, stdio: 'pipe' }).toString().trim();
 
-        fetchSpinner.stop(`Fetched ${moduleInfo.name}`);
+        fetchSpinner.stop(`Fetched ${moduleInfo.name}${target ? ` at ${target === sha ? sha.slice(0, 7) : ref}` : ''}`);
         // Force dependency install if we got new code
         if (currentRef !== newRef) {
           needsDependencyInstall = true;
@@ -425,13 +431,26 @@ class ModuleManager {
           stdio: ['ignore', 'pipe', 'pipe'],
           env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
         });
-        fetchSpinner.stop(`Fetched ${moduleInfo.name}`);
       } catch (error) {
         fetchSpinner.error(`Failed to fetch ${moduleInfo.name}`);
         throw new Error(`Failed to clone external module '${moduleCode}': ${error.message}`);
       }
+
+      if (target) {
+        try {
+          this.checkoutExternalRef(moduleCacheDir, target);
+        } catch (error) {
+          fetchSpinner.error(`Failed to check out ${target} of ${moduleInfo.name}`);
+          await fs.remove(moduleCacheDir);
+          throw new Error(`Failed to check out '${target}' of external module '${moduleCode}': ${error.message}`);
+        }
+      }
+      fetchSpinner.stop(`Fetched ${moduleInfo.name}${target ? ` at ${target === sha ? sha.slice(0, 7) : ref}` : ''}`);
     }
 
+    // Nothing from the clone runs (npm install scripts included) until it is verified
+    await this.verifyExternalModule(moduleCode, moduleCacheDir);
+
     // Install dependencies if package.json exists
     const packageJsonPath = path.join(moduleCacheDir, 'package.json');
     const nodeModulesPath = path.join(moduleCacheDir, 'node_modules');
@@ -440,23 +459,9 @@ class ModuleManager {
       const nodeModulesMissing = !(await fs.pathExists(nodeModulesPath));
 
       // Force install if we updated or cloned new
-      if (needsDependencyInstall || wasNewClone || nodeModulesMissing) {
-        const installSpinner = await createSpinner();
-        installSpinner.start(`Installing dependencies for ${moduleInfo.name}...`);
-        try {
-          execSync('npm install --omit=dev --no-audit --no-fund --no-progress --legacy-peer-deps', {
-            cwd: moduleCacheDir,
-            stdio: ['ignore', 'pipe', 'pipe'],
-            timeout: 120_000, // 2 minute timeout
-          });
-          installSpinner.stop(`Installed dependencies for ${moduleInfo.name}`);
-        } catch (error) {
-          installSpinner.error(`Failed to install dependencies for ${moduleInfo.name}`);
-          if (!silent) await prompts.log.warn(`  ${error.message}`);
-        }
-      } else {
+      let packageJsonNewer = false;
+      if (!needsDependencyInstall && !wasNewClone && !nodeModulesMissing) {
         // Check if package.json is newer than node_modules
-        let packageJsonNewer = false;
         try {
           const packageStats = await fs.stat(packageJsonPath);
           const nodeModulesStats = await fs.stat(nodeModulesPath);
@@ -465,28 +470,160 @@ class ModuleManager {
           // If stat fails, assume we need to install
           packageJsonNewer = true;
         }
+      }
 
-        if (packageJsonNewer) {
-          const installSpinner = await createSpinner();
-          installSpinner.start(`Installing dependencies for ${moduleInfo.name}...`);
-          try {
-            execSync('npm install --omit=dev --no-audit --no-fund --no-progress --legacy-peer-deps', {
-              cwd: moduleCacheDir,
-              stdio: ['ignore', 'pipe', 'pipe'],
-              timeout: 120_000, // 2 minute timeout
-            });
-            installSpinner.stop(`Installed dependencies for ${moduleInfo.name}`);
-          } catch (error) {
-            installSpinner.error(`Failed to install dependencies for ${moduleInfo.name}`);
-            if (!silent) await prompts.log.warn(`  ${error.message}`);
-          }
-        }
+      if (needsDependencyInstall || wasNewClone || nodeModulesMissing || packageJsonNewer) {
+        await this.installExternalDependencies(moduleCode, moduleInfo, moduleCacheDir, await createSpinner(), silent);
+      }
+    }
+
+    return moduleCacheDir;
+  }
+
+  /**
+   * Run npm install in a cloned external module as the npm scripts policy
+   * allows: not at all (never), without lifecycle scripts (ignore-scripts),
+   * with them (always), or asking first (prompt). Modules whose scripts ran
+   * are recorded for the install summary.
+   * @param {string} moduleCode - Code of the external module
+   * @param {Object} moduleInfo - Module entry from the registry
+   * @param {string} moduleCacheDir - Clone directory
+   * @param {Object} installSpinner - Spinner (or no-op) to report progress on
+   * @param {boolean} silent - Suppress warnings
+   */
+  async installExternalDependencies(moduleCode, moduleInfo, moduleCacheDir, installSpinner, silent) {
+    const { execSync } = require('node:child_process');
+    const policy = this.externalModuleManager.getInstallScriptsPolicy();
+    if (policy === 'never') {
+      return;
+    }
+
+    let runScripts = policy === 'always';
+    if (policy === 'prompt') {
+      runScripts = await prompts.confirm({
+        message: `${moduleInfo.name} has npm dependencies. Let npm run their install scripts? (they execute code on this machine)`,
+        default: false,
+      });
+    }
+
+    installSpinner.start(`Installing dependencies for ${moduleInfo.name}...`);
+    try {
+      // --no-save: a lockfile written into the clone would change its content hash
+      execSync(
+        `npm install --no-save --omit=dev --no-audit --no-fund --no-progress --legacy-peer-deps${runScripts ? '' : ' --ignore-scripts'}`,
+        {
+          cwd: moduleCacheDir,
+          stdio: ['ignore', 'pipe', 'pipe'],
+          timeout: 120_000, // 2 minute timeout
+        },
+      );
+      installSpinner.stop(`Installed dependencies for ${moduleInfo.name}${runScripts ? '' : ' (install scripts skipped)'}`);
+      if (runScripts) {
+        this.externalModuleManager.recordScriptRun(moduleCode);
+      }
+    } catch (error) {
+      installSpinner.error(`Failed to install dependencies for ${moduleInfo.name}`);
+      if (!silent) await prompts.log.warn(`  ${error.message}`);
+    }
+  }
+
+  /**
+   * Provide an external module without git or npm: copied into the cache
+   * from the module mirror when there is one, otherwise the clone already
+   * cached. A pinned commit must match what is available.
+   * @param {string} moduleCode - Code of the external module
+   * @returns {Promise<string>} Path to the cached module
+   */
+  async useOfflineModule(moduleCode) {
+    const moduleCacheDir = path.join(this.getExternalCacheDir(), moduleCode);
+    const source = this.externalModuleManager.getOfflineSource();
+
+    if (source.mirrorDir && !source.copied.has(moduleCode)) {
+      const mirroredDir = path.join(source.mirrorDir, moduleCode);
+      if (!(await fs.pathExists(mirroredDir))) {
+        throw new Error(`External module '${moduleCode}' is not in the module mirror ${source.mirrorDir}`);
       }
+      await fs.remove(moduleCacheDir);
+      await fs.copy(mirroredDir, moduleCacheDir);
+      source.copied.add(moduleCode);
+    } else if (!(await fs.pathExists(moduleCacheDir))) {
+      throw new Error(`External module '${moduleCode}' is not cached and cannot be fetched offline (use --module-source)`);
     }
 
+    const { sha } = await this.externalModuleManager.getModuleRef(moduleCode);
+    const commit = this.getExternalModuleCommit(moduleCode);
+    if (sha && commit !== sha) {
+      throw new Error(
+        `External module '${moduleCode}' is pinned to ${sha.slice(0, 7)}, but the offline copy is at ${commit ? commit.slice(0, 7) : 'an unknown commit'}`,
+      );
+    }
+
+    await this.verifyExternalModule(moduleCode, moduleCacheDir);
     return moduleCacheDir;
   }
 
+  /**
+   * Check a cached external module against the content hash and commit its
+   * registry expects. The hash covers the whole clone, not only the folder of
+   * the module definition, since npm install runs at the clone root. A commit
+   * already checked this run is not hashed again.
+   * @param {string} moduleCode - Code of the external module
+   * @param {string} moduleCacheDir - Clone directory
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyExternalModule(moduleCode, moduleCacheDir) {
+    const commit = this.getExternalModuleCommit(moduleCode);
+    const previous = this.moduleVerifier.getResult(moduleCode);
+    if (commit && previous?.commit === commit) {
+      return previous;
+    }
+
+    const expected = await this.externalModuleManager.getExpectedIntegrity(moduleCode);
+    return this.moduleVerifier.verify(moduleCode, { commit }, expected, moduleCacheDir);
+  }
+
+  /**
+   * Move a cached external module clone to a tag, branch or commit
+   * @param {string} moduleCacheDir - Clone directory
+   * @param {string|null} target - Ref or commit SHA; null for the remote's default branch
+   */
+  checkoutExternalRef(moduleCacheDir, target) {
+    const { execSync } = require('node:child_process');
+    const gitOptions = {
+      cwd: moduleCacheDir,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+    };
+
+    // Fetch and reset rather than pull - works better with shallow clones
+    if (target) {
+      if (!/^[\w./-]+$/.test(target)) {
+        throw new Error(`Invalid git ref '${target}'`);
+      }
+      execSync(`git fetch origin --depth 1 "${target}"`, gitOptions);
+      execSync('git reset --hard FETCH_HEAD', gitOptions);
+    } else {
+      execSync('git fetch origin --depth 1', gitOptions);
+      execSync('git reset --hard origin/HEAD', gitOptions);
+    }
+  }
+
+  /**
+   * Get the commit an external module's cached clone is at
+   * @param {string} moduleCode - Code of the external module
+   * @returns {string|null} Commit SHA, or null if the module is not cloned
+   */
+  getExternalModuleCommit(moduleCode) {
+    const { execSync } = require('node:child_process');
+    try {
+      return execSync('git rev-parse HEAD', { cwd: path.join(this.getExternalCacheDir(), moduleCode), stdio: 'pipe' })
+        .toString()
+        .trim();
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Find the source path for an external module
    * @param {string} moduleCode - Code of the external module
@@ -500,7 +637,11 @@ class ModuleManager {
     }
 
     // Clone the external module repo
-    const cloneDir = await this.cloneExternalModule(moduleCode, options);
+    const cloneDir = await this.profiler.measure('clone', moduleCode, () =>
+      this.installLog.time('ModuleManager', 'module.clone', { module: moduleCode, url: moduleInfo.url }, () =>
+        this.cloneExternalModule(moduleCode, options),
+      ),
+    );
 
     // The module-definition specifies the path to module.yaml relative to repo root
     // We need to return the directory containing module.yaml
@@ -521,6 +662,20 @@ class ModuleManager {
    * @param {Object} options.logger - Logger instance for output
    */
   async install(moduleName, bmadDir, fileTrackingCallback = null, options = {}) {
+    const targetPath = path.join(bmadDir, moduleName);
+    return this.installLog.time('ModuleManager', 'module.install', { module: moduleName, targetPath }, () =>
+      this.installFromSource(moduleName, bmadDir, fileTrackingCallback, options),
+    );
+  }
+
+  /**
+   * Install a module; install() without the log entry
+   * @param {string} moduleName - Code of the module to install
+   * @param {string} bmadDir - Target bmad directory
+   * @param {Function} fileTrackingCallback - Optional callback to track installed files
+   * @param {Object} options - Options of install()
+   */
+  async installFromSource(moduleName, bmadDir, fileTrackingCallback = null, options = {}) {
     const sourcePath = await this.findModuleSource(moduleName, { silent: options.silent });
     const targetPath = path.join(bmadDir, moduleName);
 
@@ -558,18 +713,22 @@ class ModuleManager {
       await fs.remove(targetPath);
     }
 
-    // Vendor cross-module workflows BEFORE copying
-    // This reads source agent.yaml files and copies referenced workflows
-    await this.vendorCrossModuleWorkflows(sourcePath, targetPath, moduleName);
+    await this.profiler.measure('copy', moduleName, async () => {
+      // Vendor cross-module workflows BEFORE copying
+      // This reads source agent.yaml files and copies referenced workflows
+      await this.vendorCrossModuleWorkflows(sourcePath, targetPath, moduleName);
 
-    // Copy module files with filtering
-    await this.copyModuleWithFiltering(sourcePath, targetPath, fileTrackingCallback, options.moduleConfig);
+      // Copy module files with filtering
+      await this.copyModuleWithFiltering(sourcePath, targetPath, fileTrackingCallback, options.moduleConfig);
+    });
 
-    // Compile any .agent.yaml files to .md format
-    await this.compileModuleAgents(sourcePath, targetPath, moduleName, bmadDir, options.installer);
+    await this.profiler.measure('compile', moduleName, async () => {
+      // Compile any .agent.yaml files to .md format
+      await this.compileModuleAgents(sourcePath, targetPath, moduleName, bmadDir, options.installer);
 
-    // Process agent files to inject activation block
-    await this.processAgentFiles(targetPath, moduleName);
+      // Process agent files to inject activation block
+      await this.processAgentFiles(targetPath, moduleName);
+    });
 
     // Create directories declared in module.yaml (unless explicitly skipped)
     if (!options.skipModuleInstaller) {
@@ -580,12 +739,22 @@ class ModuleManager {
     const { Manifest } = require('../core/manifest');
     const manifestObj = new Manifest();
     const versionInfo = await manifestObj.getModuleVersionInfo(moduleName, bmadDir, sourcePath);
+    this.installLog.record('ModuleManager', 'module.source', {
+      module: moduleName,
+      sourcePath,
+      origin: versionInfo.source,
+      version: versionInfo.version,
+    });
 
     await manifestObj.addModule(bmadDir, moduleName, {
       version: versionInfo.version,
       source: versionInfo.source,
       npmPackage: versionInfo.npmPackage,
       repoUrl: versionInfo.repoUrl,
+      ref: versionInfo.ref,
+      sha: versionInfo.sha,
+      verification: versionInfo.verification,
+      contentHash: versionInfo.contentHash,
     });
 
     return {
@@ -1031,6 +1200,14 @@ class ModuleManager {
           }
         }
 
+        this.installLog.record('ModuleManager', 'agent.compile', {
+          module: moduleName,
+          agent: agentName,
+          sourcePath: sourceYamlPath,
+          targetPath: targetMdPath,
+          sidecar: hasSidecar,
+        });
+
         // Only show compilation details in verbose mode
         if (process.env.BMAD_VERBOSE_INSTALL === 'true') {
           await prompts.log.message(
@@ -1038,6 +1215,13 @@ class ModuleManager {
           );
         }
       } catch (error) {
+        this.installLog.recordError(
+          'ModuleManager',
+          'agent.compile',
+          error,
+          { module: moduleName, agent: agentName, sourcePath: sourceYamlPath },
+          'warn',
+        );
         await prompts.log.warn(`    Failed to compile agent ${agentName}: ${error.message}`);
       }
     }
@@ -1256,13 +1440,15 @@ class ModuleManager {
    * @param {Object} options.moduleConfig - Module configuration from config collector
    * @param {Object} options.existingModuleConfig - Previous module config (for detecting path changes during updates)
    * @param {Object} options.coreConfig - Core configuration
-   * @returns {Promise<{createdDirs: string[], movedDirs: string[], createdWdsFolders: string[]}>} Created directories info
+   * @param {string} [options.projectRoot] - Where the directories live (default: parent of bmadDir)
+   * @returns {Promise<{createdDirs: string[], movedDirs: string[], createdWdsFolders: string[], changes: Object[]}>} Created directories info;
+   *   changes lists what was done relative to the project root, in order: {action: 'create', path} or {action: 'move', from, to}
    */
   async createModuleDirectories(moduleName, bmadDir, options = {}) {
     const moduleConfig = options.moduleConfig || {};
     const existingModuleConfig = options.existingModuleConfig || {};
-    const projectRoot = path.dirname(bmadDir);
-    const emptyResult = { createdDirs: [], movedDirs: [], createdWdsFolders: [] };
+    const projectRoot = options.projectRoot || path.dirname(bmadDir);
+    const emptyResult = { createdDirs: [], movedDirs: [], createdWdsFolders: [], changes: [] };
 
     // Special handling for core module - it's in src/core not src/modules
     let sourcePath;
@@ -1298,6 +1484,7 @@ class ModuleManager {
     const createdDirs = [];
     const movedDirs = [];
     const createdWdsFolders = [];
+    const changes = [];
 
     for (const dirRef of directories) {
       // Parse variable reference like "{design_artifacts}"
@@ -1379,6 +1566,7 @@ class ModuleManager {
           await fs.ensureDir(path.dirname(fullPath));
           await fs.move(oldFullPath, fullPath);
           movedDirs.push(`${dirName}: ${oldDirPath} → ${dirPath}`);
+          changes.push({ action: 'move', from: oldDirPath, to: path.normalize(dirPath) });
         } catch (moveError) {
           const color = await prompts.getColor();
           await prompts.log.warn(
@@ -1388,6 +1576,7 @@ class ModuleManager {
           );
           await fs.ensureDir(fullPath);
           createdDirs.push(`${dirName}: ${dirPath}`);
+          changes.push({ action: 'create', path: path.normalize(dirPath) });
         }
       } else if (oldFullPath && (await fs.pathExists(oldFullPath)) && (await fs.pathExists(fullPath))) {
         // F5: Both old and new directories exist — warn user about potential orphaned documents
@@ -1401,6 +1590,7 @@ class ModuleManager {
         // New directory doesn't exist yet → create it
         createdDirs.push(`${dirName}: ${dirPath}`);
         await fs.ensureDir(fullPath);
+        changes.push({ action: 'create', path: path.normalize(dirPath) });
       }
 
       // Create WDS subfolders if this is the design_artifacts directory
@@ -1410,12 +1600,13 @@ class ModuleManager {
           if (!(await fs.pathExists(subPath))) {
             await fs.ensureDir(subPath);
             createdWdsFolders.push(subfolder);
+            changes.push({ action: 'create', path: path.join(path.normalize(dirPath), subfolder) });
           }
         }
       }
     }
 
-    return { createdDirs, movedDirs, createdWdsFolders };
+    return { createdDirs, movedDirs, createdWdsFolders, changes };
   }
 
   /**
@@ -0,0 +1,155 @@
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { execFileSync } = require('node:child_process');
+const { ExternalModuleManager } = require('./external-manager');
+const { getProjectRoot } = require('../../../lib/project-root');
+
+const INDEX_FILE = 'bmad-mirror.yaml';
+
+/**
+ * Module Mirror - external modules bundled for installs without network access
+ *
+ * A mirror is a directory (or a .tgz of one) holding one directory per module
+ * code, each a copy of the module's cached clone including node_modules, plus
+ * bmad-mirror.yaml describing what was mirrored:
+ *
+ *   bmad-mirror.yaml
+ *   bmb/
+ *   cis/
+ */
+class ModuleMirror {
+  constructor() {
+    this.externalModuleManager = new ExternalModuleManager();
+  }
+
+  /**
+   * Whether a path names a packed mirror rather than a directory
+   * @param {string} source - Mirror path
+   * @returns {boolean}
+   */
+  isArchive(source) {
+    return /\.(tgz|tar\.gz)$/i.test(source);
+  }
+
+  /**
+   * Open a mirror directory or archive
+   * @param {string} source - Mirror directory or .tgz
+   * @returns {Promise<Object>} {dir, index, extracted} where extracted is the temporary directory to remove afterwards, if any
+   */
+  async open(source) {
+    const sourcePath = path.resolve(source);
+    if (!(await fs.pathExists(sourcePath))) {
+      throw new Error(`Module source not found: ${sourcePath}`);
+    }
+
+    let dir = sourcePath;
+    let extracted = null;
+    if ((await fs.stat(sourcePath)).isFile()) {
+      if (!this.isArchive(sourcePath)) {
+        throw new Error(`Module source must be a directory or a .tgz archive: ${sourcePath}`);
+      }
+      extracted = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-mirror-'));
+      try {
+        execFileSync('tar', ['-xzf', sourcePath, '-C', extracted], { stdio: 'pipe' });
+      } catch (error) {
+        await fs.remove(extracted);
+        throw new Error(`Failed to unpack ${sourcePath}: ${error.message}`);
+      }
+      dir = extracted;
+    }
+
+    const indexPath = path.join(dir, INDEX_FILE);
+    if (!(await fs.pathExists(indexPath))) {
+      if (extracted) await fs.remove(extracted);
+      throw new Error(`${sourcePath} is not a module mirror (${INDEX_FILE} is missing). Create one with "bmad mirror"`);
+    }
+    const index = yaml.parse(await fs.readFile(indexPath, 'utf8')) || {};
+
+    return { dir, index: { ...index, modules: index.modules || {} }, extracted };
+  }
+
+  /**
+   * Switch this run to offline installs, from a mirror when one is given.
+   * An unpacked archive is removed when the process exits.
+   * @param {Object} options - {offline, moduleSource}
+   * @returns {Promise<Object|null>} Opened mirror, or null when installing online or from the cache
+   */
+  async useForInstall(options) {
+    if (!options.moduleSource) {
+      if (options.offline) {
+        this.externalModuleManager.useOfflineSource(null);
+      }
+      return null;
+    }
+
+    const mirror = await this.open(options.moduleSource);
+    if (mirror.extracted) {
+      process.once('exit', () => fs.removeSync(mirror.extracted));
+    }
+    this.externalModuleManager.useOfflineSource(mirror.dir);
+    return mirror;
+  }
+
+  /**
+   * Fetch external modules and write them to a mirror directory or archive
+   * @param {string} output - Directory, or a path ending in .tgz/.tar.gz for an archive
+   * @param {Array<string>} moduleCodes - External modules to mirror
+   * @param {Object} moduleManager - ModuleManager used to fetch the modules
+   * @param {Object} [options] - {force, onModule(code)}
+   * @returns {Promise<Object>} {output, modules} with the recorded entry of each module
+   */
+  async create(output, moduleCodes, moduleManager, options = {}) {
+    const outputPath = path.resolve(output);
+    const archive = this.isArchive(outputPath);
+    if ((await fs.pathExists(outputPath)) && !options.force) {
+      throw new Error(`${outputPath} already exists (use --force to overwrite)`);
+    }
+
+    const modules = {};
+    const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bmad-mirror-'));
+    try {
+      for (const code of moduleCodes) {
+        const moduleInfo = await this.externalModuleManager.getModuleByCode(code);
+        if (!moduleInfo) {
+          throw new Error(`'${code}' is not an external module`);
+        }
+        options.onModule?.(code);
+
+        const cloneDir = await moduleManager.cloneExternalModule(code, { silent: true });
+        await fs.copy(cloneDir, path.join(stagingDir, code));
+
+        const packageJsonPath = path.join(cloneDir, 'package.json');
+        const { ref } = await this.externalModuleManager.getModuleRef(code);
+        modules[code] = {
+          name: moduleInfo.name,
+          version: (await fs.pathExists(packageJsonPath)) ? (await fs.readJson(packageJsonPath)).version || null : null,
+          ref,
+          sha: moduleManager.getExternalModuleCommit(code),
+        };
+      }
+
+      const index = {
+        created: new Date().toISOString(),
+        bmadVersion: require(path.join(getProjectRoot(), 'package.json')).version,
+        modules,
+      };
+      await fs.writeFile(path.join(stagingDir, INDEX_FILE), yaml.stringify(index, { indent: 2, lineWidth: 0 }));
+
+      await fs.remove(outputPath);
+      if (archive) {
+        await fs.ensureDir(path.dirname(outputPath));
+        execFileSync('tar', ['-czf', outputPath, '-C', stagingDir, '.'], { stdio: 'pipe' });
+      } else {
+        await fs.move(stagingDir, outputPath);
+      }
+    } finally {
+      await fs.remove(stagingDir);
+    }
+
+    return { output: outputPath, modules };
+  }
+}
+
+module.exports = { ModuleMirror };
@@ -0,0 +1,109 @@
+const prompts = require('../../../lib/prompts');
+const { CustomModuleCache } = require('../core/custom-module-cache');
+
+/**
+ * Verification result of each module fetched or copied during this run, keyed
+ * by module code. Module level so the manifest written at the end of the
+ * install can record what the fetches found.
+ */
+const results = new Map();
+
+/**
+ * Whether modules that fail verification may be installed anyway (--allow-unverified)
+ */
+let allowUnverified = false;
+
+/**
+ * Module Verifier - checks fetched module sources against what a registry expects
+ *
+ * A registry entry can carry the content hash of the module directory
+ * (`integrity:`) and the commit its `ref` tag must resolve to (`sha:`).
+ * A module with neither is recorded as unverified; a module that does not
+ * match is refused unless unverified modules are allowed.
+ *
+ * Statuses recorded in the manifest:
+ * - verified: every expectation matched
+ * - unverified: nothing to check against
+ * - failed: an expectation did not match and --allow-unverified was given
+ */
+class ModuleVerifier {
+  constructor() {
+    this.hasher = new CustomModuleCache();
+  }
+
+  /**
+   * Let modules that fail verification be installed, with a warning
+   * @param {boolean} allow - Whether to allow them
+   */
+  allowUnverifiedModules(allow) {
+    allowUnverified = Boolean(allow);
+  }
+
+  /**
+   * Forget the results of earlier verifications
+   */
+  clearResults() {
+    results.clear();
+  }
+
+  /**
+   * Get the result of a module's last verification
+   * @param {string} moduleCode - Module code
+   * @returns {Object|null} {status, hash, commit, problems}
+   */
+  getResult(moduleCode) {
+    return results.get(moduleCode) || null;
+  }
+
+  /**
+   * Hash a module directory the way the custom module cache does, leaving out
+   * node_modules: it is filled by npm install, after verification
+   * @param {string} dir - Module directory
+   * @returns {Promise<string>} SHA-256 hex digest
+   */
+  async hashModule(dir) {
+    return this.hasher.calculateHash(dir, ['node_modules']);
+  }
+
+  /**
+   * Check a module against its expected content hash and commit
+   * @param {string} moduleCode - Module code
+   * @param {Object} actual - {hash, commit} of the fetched module; hash may be omitted to compute it from dir
+   * @param {Object} expected - {hash, commit}, either may be null
+   * @param {string} [dir] - Module directory to hash when actual.hash is not given
+   * @returns {Promise<Object>} The recorded result
+   * @throws {Error} When an expectation does not match and unverified modules are not allowed
+   */
+  async verify(moduleCode, actual, expected, dir = null) {
+    const hash = actual.hash || (dir ? await this.hashModule(dir) : null);
+    const commit = actual.commit || null;
+
+    const problems = [];
+    if (expected.hash && expected.hash !== hash) {
+      problems.push(`expected content hash ${expected.hash.slice(0, 12)}, got ${hash ? hash.slice(0, 12) : 'none'}`);
+    }
+    if (expected.commit && expected.commit !== commit) {
+      problems.push(`expected commit ${expected.commit.slice(0, 7)}, got ${commit ? commit.slice(0, 7) : 'none'}`);
+    }
+
+    if (problems.length > 0 && !allowUnverified) {
+      throw new Error(
+        `Integrity check failed for module '${moduleCode}': ${problems.join('; ')}. Use --allow-unverified to install it anyway`,
+      );
+    }
+
+    let status = 'unverified';
+    if (problems.length > 0) {
+      status = 'failed';
+      await prompts.log.warn(`Installing unverified module '${moduleCode}': ${problems.join('; ')}`);
+    } else if (expected.hash || expected.commit) {
+      status = 'verified';
+    }
+
+    const result = { status, hash, commit, problems };
+    results.set(moduleCode, result);
+    return result;
+  }
+}
+
+module.exports = { ModuleVerifier };
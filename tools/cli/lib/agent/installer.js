@@ -9,26 +9,36 @@ const yaml = require('yaml');
 const prompts = require('../prompts');
 const { compileAgent, compileAgentFile } = require('./compiler');
 const { extractInstallConfig, getDefaultValues } = require('./template-engine');
+const { Workspace } = require('../../installers/lib/core/workspace');
 
 /**
- * Find BMAD config file in project
+ * Find BMAD config file in project. A workspace package without an install of
+ * its own gets the workspace's config, with the package's overlay applied.
  * @param {string} startPath - Starting directory to search from
  * @returns {Object|null} Config data or null
  */
 function findBmadConfig(startPath = process.cwd()) {
   // Look for common BMAD folder names
   const possibleNames = ['_bmad'];
+  const workspace = new Workspace();
+  const member = workspace.findRoot(startPath);
+  const searchPaths = member ? [startPath, member.workspace.rootDir] : [startPath];
 
-  for (const name of possibleNames) {
-    const configPath = path.join(startPath, name, 'bmb', 'config.yaml');
-    if (fs.existsSync(configPath)) {
-      const content = fs.readFileSync(configPath, 'utf8');
-      const config = yaml.parse(content);
-      return {
-        ...config,
-        bmadFolder: path.join(startPath, name),
-        projectRoot: startPath,
-      };
+  for (const searchPath of searchPaths) {
+    for (const name of possibleNames) {
+      const configPath = path.join(searchPath, name, 'bmb', 'config.yaml');
+      if (fs.existsSync(configPath)) {
+        const content = fs.readFileSync(configPath, 'utf8');
+        let config = yaml.parse(content);
+        if (searchPath !== startPath) {
+          config = workspace.overlayConfig(member.package, 'bmb', config);
+        }
+        return {
+          ...config,
+          bmadFolder: path.join(searchPath, name),
+          projectRoot: searchPath,
+        };
+      }
     }
   }
 
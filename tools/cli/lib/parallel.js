@@ -0,0 +1,32 @@
+/**
+ * Run an async worker over a list with at most `limit` calls in flight.
+ * Results keep the order of the items. The first failure rejects the whole
+ * run once the workers already started have settled.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Most items processed at once (1 runs them in order, one after another)
+ * @param {Function} worker - Async function (item, index) => result
+ * @returns {Promise<Array>} Results, in item order
+ */
+async function mapLimit(items, limit, worker) {
+  const results = Array.from({ length: items.length });
+  let next = 0;
+  let failure = null;
+
+  const run = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, run));
+  if (failure) throw failure;
+  return results;
+}
+
+module.exports = { mapLimit };
@@ -11,6 +11,39 @@ let _clack = null;
 let _clackCore = null;
 let _picocolors = null;
 
+/**
+ * Receives output as events instead of the terminal while running headless
+ * (from the Node API); null when attached to a terminal
+ */
+let _headless = null;
+
+/**
+ * Route all output to a handler instead of the terminal. While headless,
+ * anything that would ask a question throws instead.
+ * @param {Function|null} handler - Called with {type: 'log'|'note'|'progress', level?, title?, message}; null to restore the terminal
+ */
+function setHeadless(handler) {
+  _headless = handler;
+}
+
+/**
+ * Whether output is routed to a headless handler
+ * @returns {boolean}
+ */
+function isHeadless() {
+  return _headless !== null;
+}
+
+/**
+ * Refuse a question while headless
+ * @param {Object} options - The prompt's options
+ * @throws {Error} Always
+ */
+function refuseHeadless(options) {
+  const question = options.message || options.name || 'a question';
+  throw new Error(`Cannot prompt "${question}" when running without a terminal; pass the answer as an option`);
+}
+
 /**
  * Lazy-load @clack/prompts (ESM module)
  * @returns {Promise<Object>} The clack prompts module
@@ -64,6 +97,7 @@ async function handleCancel(value, message = 'Operation cancelled') {
  * @param {string} message - The intro message
  */
 async function intro(message) {
+  if (_headless) return _headless({ type: 'log', level: 'step', message });
   const clack = await getClack();
   clack.intro(message);
 }
@@ -73,6 +107,7 @@ async function intro(message) {
  * @param {string} message - The outro message
  */
 async function outro(message) {
+  if (_headless) return _headless({ type: 'log', level: 'step', message });
   const clack = await getClack();
   clack.outro(message);
 }
@@ -83,6 +118,7 @@ async function outro(message) {
  * @param {string} [title] - Optional title
  */
 async function note(message, title) {
+  if (_headless) return _headless({ type: 'note', title, message });
   const clack = await getClack();
   clack.note(message, title);
 }
@@ -93,6 +129,7 @@ async function note(message, title) {
  * @returns {Object} Spinner controller with start, stop, message, error, cancel, clear, isSpinning
  */
 async function spinner() {
+  if (_headless) return headlessSpinner();
   const clack = await getClack();
   const s = clack.spinner();
   let spinning = false;
@@ -136,6 +173,48 @@ async function spinner() {
   };
 }
 
+/**
+ * Spinner that reports its messages as progress events while headless
+ * @returns {Object} Spinner controller with the same interface as spinner()
+ */
+function headlessSpinner() {
+  let spinning = false;
+  const report = (level, msg) => msg && _headless?.({ type: level ? 'log' : 'progress', level, message: msg });
+
+  return {
+    start: (msg) => {
+      spinning = true;
+      report(null, msg);
+    },
+    stop: (msg) => {
+      if (spinning) {
+        spinning = false;
+        report(null, msg);
+      }
+    },
+    message: (msg) => {
+      if (spinning) report(null, msg);
+    },
+    error: (msg) => {
+      spinning = false;
+      report('error', msg);
+    },
+    cancel: (msg) => {
+      spinning = false;
+      report('warn', msg);
+    },
+    clear: () => {
+      spinning = false;
+    },
+    get isSpinning() {
+      return spinning;
+    },
+    get isCancelled() {
+      return false;
+    },
+  };
+}
+
 /**
  * Single-select prompt (replaces Inquirer 'list' type)
  * @param {Object} options - Prompt options
@@ -145,6 +224,7 @@ async function spinner() {
  * @returns {Promise<any>} Selected value
  */
 async function select(options) {
+  if (_headless) refuseHeadless(options);
   const clack = await getClack();
 
   // Convert Inquirer-style choices to clack format
@@ -187,6 +267,7 @@ async function select(options) {
  * @returns {Promise<Array>} Array of selected values
  */
 async function multiselect(options) {
+  if (_headless) refuseHeadless(options);
   const clack = await getClack();
 
   // Support both clack-native (options) and Inquirer-style (choices) APIs
@@ -256,6 +337,7 @@ function defaultAutocompleteFilter(search, option) {
  * @returns {Promise<Array>} Array of selected values
  */
 async function autocompleteMultiselect(options) {
+  if (_headless) refuseHeadless(options);
   const core = await getClackCore();
   const clack = await getClack();
   const color = await getPicocolors();
@@ -392,6 +474,7 @@ async function autocompleteMultiselect(options) {
  * @returns {Promise<boolean>} User's answer
  */
 async function confirm(options) {
+  if (_headless) refuseHeadless(options);
   const clack = await getClack();
 
   const result = await clack.confirm({
@@ -418,6 +501,7 @@ async function confirm(options) {
  * @returns {Promise<string>} User's input
  */
 async function text(options) {
+  if (_headless) refuseHeadless(options);
   const core = await getClackCore();
   const color = await getPicocolors();
 
@@ -487,6 +571,7 @@ async function text(options) {
  * @returns {Promise<string>} User's input
  */
 async function password(options) {
+  if (_headless) refuseHeadless(options);
   const clack = await getClack();
 
   const result = await clack.password({
@@ -505,6 +590,7 @@ async function password(options) {
  * @returns {Promise<Object>} Object with all answers
  */
 async function group(prompts, options = {}) {
+  if (_headless) refuseHeadless({ message: Object.keys(prompts).join(', ') });
   const clack = await getClack();
 
   const result = await clack.group(prompts, {
@@ -524,6 +610,14 @@ async function group(prompts, options = {}) {
  * @returns {Promise<void>}
  */
 async function tasks(taskList) {
+  if (_headless) {
+    for (const t of taskList.filter((t) => t.enabled !== false)) {
+      _headless({ type: 'progress', message: t.title });
+      const result = await t.task((message) => _headless({ type: 'progress', message }));
+      if (result) _headless({ type: 'progress', message: result });
+    }
+    return;
+  }
   const clack = await getClack();
   await clack.tasks(taskList);
 }
@@ -533,26 +627,32 @@ async function tasks(taskList) {
  */
 const log = {
   async info(message) {
+    if (_headless) return _headless({ type: 'log', level: 'info', message });
     const clack = await getClack();
     clack.log.info(message);
   },
   async success(message) {
+    if (_headless) return _headless({ type: 'log', level: 'success', message });
     const clack = await getClack();
     clack.log.success(message);
   },
   async warn(message) {
+    if (_headless) return _headless({ type: 'log', level: 'warn', message });
     const clack = await getClack();
     clack.log.warn(message);
   },
   async error(message) {
+    if (_headless) return _headless({ type: 'log', level: 'error', message });
     const clack = await getClack();
     clack.log.error(message);
   },
   async message(message) {
+    if (_headless) return _headless({ type: 'log', level: 'message', message });
     const clack = await getClack();
     clack.log.message(message);
   },
   async step(message) {
+    if (_headless) return _headless({ type: 'log', level: 'step', message });
     const clack = await getClack();
     clack.log.step(message);
   },
@@ -563,6 +663,7 @@ const log = {
  * @param {string} [message='Operation cancelled'] - The cancellation message
  */
 async function cancel(message = 'Operation cancelled') {
+  if (_headless) return _headless({ type: 'log', level: 'warn', message });
   const clack = await getClack();
   clack.cancel(message);
 }
@@ -574,6 +675,7 @@ async function cancel(message = 'Operation cancelled') {
  * @param {Object} [options] - Box options (contentAlign, titleAlign, width, rounded, formatBorder, etc.)
  */
 async function box(content, title, options) {
+  if (_headless) return _headless({ type: 'note', title, message: content });
   const clack = await getClack();
   clack.box(content, title, options);
 }
@@ -608,6 +710,7 @@ async function taskLog(options) {
  * @returns {Promise<string>} Selected path
  */
 async function pathPrompt(options) {
+  if (_headless) refuseHeadless(options);
   const clack = await getClack();
   const result = await clack.path(options);
   await handleCancel(result);
@@ -625,6 +728,7 @@ async function pathPrompt(options) {
  * @returns {Promise<any>} Selected value
  */
 async function autocomplete(options) {
+  if (_headless) refuseHeadless(options);
   const clack = await getClack();
   const result = await clack.autocomplete(options);
   await handleCancel(result);
@@ -639,6 +743,7 @@ async function autocomplete(options) {
  * @returns {Promise<any>} Selected value
  */
 async function selectKey(options) {
+  if (_headless) refuseHeadless(options);
   const clack = await getClack();
   const result = await clack.selectKey(options);
   await handleCancel(result);
@@ -680,6 +785,8 @@ const stream = {
  * @returns {Promise<Object>} The color utility (picocolors)
  */
 async function getColor() {
+  // Events carry plain text
+  if (_headless) return (await getPicocolors()).createColors(false);
   return await getPicocolors();
 }
 
@@ -782,6 +889,8 @@ async function prompt(questions) {
 
 module.exports = {
   getClack,
+  setHeadless,
+  isHeadless,
   getColor,
   handleCancel,
   intro,
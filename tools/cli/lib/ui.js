@@ -4,6 +4,7 @@ const fs = require('fs-extra');
 const { CLIUtils } = require('./cli-utils');
 const { CustomHandler } = require('../installers/lib/custom/handler');
 const { ExternalModuleManager } = require('../installers/lib/modules/external-manager');
+const { InstallLog } = require('../installers/lib/core/install-log');
 const prompts = require('./prompts');
 
 // Separator class for visual grouping in select/multiselect prompts
@@ -50,6 +51,7 @@ class UI {
     } else {
       confirmedDirectory = await this.getConfirmedDirectory();
     }
+    new ExternalModuleManager().useProjectRegistries(confirmedDirectory);
 
     // Preflight: Check for legacy BMAD v4 footprints immediately after getting directory
     const { Detector } = require('../installers/lib/core/detector');
@@ -169,8 +171,9 @@ class UI {
       }
     }
 
-    // Check if there's an existing BMAD installation (after any folder renames)
-    const hasExistingInstall = await fs.pathExists(bmadDir);
+    // Check if there's an existing BMAD installation (after any folder renames);
+    // the logs left by a failed first install don't count as one
+    const hasExistingInstall = (await fs.pathExists(bmadDir)) && !(await new InstallLog().hasOnlyLogs(bmadDir));
 
     let customContentConfig = { hasCustomContent: false };
     if (!hasExistingInstall) {
@@ -851,10 +854,20 @@ class UI {
   async collectCoreConfig(directory, options = {}) {
     const { ConfigCollector } = require('../installers/lib/core/config-collector');
     const configCollector = new ConfigCollector();
+    const fileAnswers = options.answers?.core || {};
 
     // If options are provided, set them directly
-    if (options.userName || options.communicationLanguage || options.documentOutputLanguage || options.outputFolder) {
-      const coreConfig = {};
+    if (
+      options.userName ||
+      options.communicationLanguage ||
+      options.documentOutputLanguage ||
+      options.outputFolder ||
+      Object.keys(fileAnswers).length > 0
+    ) {
+      const coreConfig = await configCollector.checkAnswers('core', fileAnswers);
+      if (Object.keys(fileAnswers).length > 0) {
+        await prompts.log.info(`Using core answers from config file: ${Object.keys(fileAnswers).join(', ')}`);
+      }
       if (options.userName) {
         coreConfig.user_name = options.userName;
         await prompts.log.info(`Using user name from command-line: ${options.userName}`);
@@ -879,11 +892,15 @@ class UI {
       const existingConfig = configCollector.collectedConfig.core || {};
       configCollector.collectedConfig.core = { ...existingConfig, ...coreConfig };
 
-      // If not all options are provided, collect the missing ones interactively (unless --yes flag)
+      // If not all options are provided, collect the missing ones (defaults with --yes)
       if (
-        !options.yes &&
-        (!options.userName || !options.communicationLanguage || !options.documentOutputLanguage || !options.outputFolder)
+        !coreConfig.user_name ||
+        !coreConfig.communication_language ||
+        !coreConfig.document_output_language ||
+        !coreConfig.output_folder
       ) {
+        configCollector.presetAnswers = { core: coreConfig };
+        configCollector.skipPrompts = Boolean(options.yes);
         await configCollector.collectModuleConfig('core', directory, false, true);
       }
     } else if (options.yes) {
@@ -1066,7 +1083,20 @@ class UI {
     }
     allOptions.push(...officialModules.map(({ label, value, hint }) => ({ label, value, hint })));
 
-    // Group 3: Community Modules (type: community)
+    // Group 3: Internal Modules (type: internal, from a configured registry)
+    const internalModules = [];
+    for (const mod of externalModules) {
+      if (mod.type === 'internal') {
+        const entry = buildModuleEntry(mod, mod.code, `Internal (${mod.registry})`);
+        internalModules.push(entry);
+        if (entry.selected) {
+          initialValues.push(mod.code);
+        }
+      }
+    }
+    allOptions.push(...internalModules.map(({ label, value, hint }) => ({ label, value, hint })));
+
+    // Group 4: Community Modules (type: community)
     const communityModules = [];
     for (const mod of externalModules) {
       if (mod.type === 'community') {